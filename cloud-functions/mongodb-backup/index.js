@@ -1,11 +1,33 @@
+const crypto = require('crypto');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const { Storage } = require('@google-cloud/storage');
+const { Firestore } = require('@google-cloud/firestore');
+const { PubSub } = require('@google-cloud/pubsub');
 const { Client } = require('ssh2');
 
 const secretClient = new SecretManagerServiceClient();
 const storage = new Storage();
 const projectId = process.env.GCP_PROJECT_ID || 'gcf-course-478410';
 const bucketName = process.env.GCS_BACKUP_BUCKET || 'postgresql-server-backups';
+const firestore = new Firestore({
+  projectId,
+  ...(process.env.FIRESTORE_DATABASE_ID && { databaseId: process.env.FIRESTORE_DATABASE_ID }),
+});
+const runsCollection = process.env.RUNS_COLLECTION || 'backup_runs';
+const hostsCollection = process.env.HOSTS_COLLECTION || 'backup_hosts';
+const locksCollection = process.env.LOCKS_COLLECTION || 'backup_locks';
+const lockTtlMinutes = Number(process.env.LOCK_TTL_MINUTES) || 120;
+// Queued runs are re-published here when the lock is handed to them
+const backupTopic = process.env.BACKUP_TOPIC || 'mongodb-backup-trigger';
+const pubsub = new PubSub({ projectId });
+const resultsTopic = process.env.BACKUP_RESULTS_TOPIC || 'backup-results';
+// Sidecar manifests live outside the engine prefixes so backup listings skip them
+const manifestPrefix = 'manifests/';
+// Objects are uploaded here and moved under the engine prefix once their auth tag and digest are written
+const uploadPrefix = 'uploads/';
+// Each backup is encrypted with its own data key, wrapped by this master key (32 bytes, base64)
+const masterKeySecret = process.env.BACKUP_MASTER_KEY_SECRET || 'cf-backup-master-key';
+const encryptionAlgorithm = 'aes-256-gcm';
 
 /**
  * Cloud Function triggered by Pub/Sub for MongoDB backup
@@ -13,55 +35,676 @@ const bucketName = process.env.GCS_BACKUP_BUCKET || 'postgresql-server-backups';
 exports.mongodbBackupHandler = async (message, context) => {
   console.log('MongoDB backup triggered!');
   console.log('Message data:', Buffer.from(message.data, 'base64').toString());
-  
+
+  const payload = parseMessage(message);
+  // Cloud Scheduler publishes without a runId, so the run is created here
+  const runId = payload.runId || crypto.randomUUID();
+  // Backups are partitioned by host; the legacy single VM files under 'default'
+  const hostLabel = payload.host || 'default';
+  const startedAt = new Date();
+  let phase = 'validate';
+
+  await updateRun(runId, {
+    runId,
+    engine: 'mongodb',
+    operation: 'backup',
+    status: 'running',
+    startedAt: startedAt.toISOString(),
+    ...(!payload.runId && {
+      triggeredBy: payload.triggeredBy || 'unknown',
+      host: hostLabel,
+      ...(payload.scheduleId && { scheduleId: payload.scheduleId }),
+      createdAt: startedAt.toISOString(),
+    }),
+  });
+
   try {
+    const target = validateBackupTarget(payload.target);
+
+    // Only one backup per engine and host may work on the VM at a time
+    phase = 'lock';
+    await startPhase(runId, phase);
+    const lock = await claimLock(runId, hostLabel, payload);
+    if (lock.status === 'rejected') {
+      throw new Error(`Run ${lock.heldBy} is already backing up or restoring ${hostLabel}`);
+    }
+    if (lock.status !== 'acquired') {
+      console.log(`Run ${runId} ${lock.status} behind run ${lock.heldBy}`);
+      await updateRun(runId, lock.status === 'queued'
+        ? { status: 'waiting', phase: null, waitingFor: lock.heldBy }
+        : { status: 'coalesced', phase: null, coalescedInto: lock.heldBy, finishedAt: new Date().toISOString() });
+      return { success: true, message: `MongoDB backup ${lock.status} behind run ${lock.heldBy}`, runId };
+    }
+
     // 1. Retrieve secrets
+    phase = 'secrets';
+    await startPhase(runId, phase);
     console.log('Retrieving secrets from Secret Manager...');
     
-    const [sshKeyResponse] = await secretClient.accessSecretVersion({
-      name: `projects/${projectId}/secrets/cf-backup-ssh-key/versions/latest`,
-    });
-    const [vmIpResponse] = await secretClient.accessSecretVersion({
-      name: `projects/${projectId}/secrets/cf-vm-ip/versions/latest`,
-    });
-    const [vmUsernameResponse] = await secretClient.accessSecretVersion({
-      name: `projects/${projectId}/secrets/cf-vm-username/versions/latest`,
-    });
-
-    const sshKey = sshKeyResponse.payload.data.toString();
-    const vmIp = vmIpResponse.payload.data.toString().trim();
-    const vmUsername = vmUsernameResponse.payload.data.toString().trim();
+    const vm = await getVmCredentials(payload.host);
 
-    console.log(`Connecting to ${vmUsername}@${vmIp}`);
+    console.log(`Connecting to ${vm.username}@${vm.host}:${vm.port}`);
 
     // 2. Execute backup via SSH
-    const backupInfo = await executeBackup(vmIp, vmUsername, sshKey);
+    phase = 'dump';
+    await startPhase(runId, phase);
+    await refreshLock(runId, hostLabel);
+    const backupInfo = await executeBackup(vm, target);
     console.log('Backup created successfully:', backupInfo);
 
-    // 3. Upload backup to GCS
+    // 3. Upload backup to GCS and check it against the digest taken on the VM
+    phase = 'upload';
+    await startPhase(runId, phase);
+    const vmChecksum = await remoteChecksum(vm, backupInfo.path);
     console.log(`Uploading backup to GCS bucket: ${bucketName}`);
-    const uploadResult = await uploadBackupToGCS(vmIp, vmUsername, sshKey, backupInfo.filename);
+    const uploadResult = await uploadBackupToGCS(vm, backupInfo.filename, { runId, target, host: hostLabel });
+    await verifyUpload(uploadResult, vmChecksum, { engine: 'mongodb', runId, host: hostLabel, target });
     console.log('Backup uploaded successfully:', uploadResult);
 
     // 4. Delete local backup file from VM
-    await deleteLocalBackup(vmIp, vmUsername, sshKey, backupInfo.filename);
+    phase = 'cleanup';
+    await startPhase(runId, phase);
+    await deleteLocalBackup(vm, backupInfo.filename);
     console.log('Local backup file deleted from VM');
 
+    const finishedAt = new Date();
+    const outcome = {
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      target,
+      gcsPath: uploadResult.gcsPath,
+      bucket: uploadResult.bucket,
+      objectName: uploadResult.filename,
+      sizeBytes: uploadResult.size,
+      encryption: { algorithm: encryptionAlgorithm, keyId: uploadResult.encryption.keyId },
+      sha256: uploadResult.sha256,
+    };
+    await updateRun(runId, { status: 'succeeded', phase: null, ...outcome });
+    await releaseLock(runId, hostLabel);
+    await publishResult('backup.completed', runId, payload, { startedAt: startedAt.toISOString(), ...outcome });
+
     return {
       success: true,
       message: 'MongoDB backup completed and uploaded to GCS',
+      runId,
       gcsPath: uploadResult.gcsPath
     };
   } catch (error) {
     console.error('Backup failed:', error);
+    const finishedAt = new Date();
+    const outcome = {
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      error: { message: error.message, phase },
+    };
+    await updateRun(runId, { status: 'failed', ...outcome });
+    await releaseLock(runId, hostLabel);
+    await publishResult('backup.failed', runId, payload, { startedAt: startedAt.toISOString(), ...outcome });
     throw error;
   }
 };
 
+/**
+ * Cloud Function triggered by Pub/Sub for MongoDB restore
+ * Streams the mongodump archive from GCS to the VM over SFTP, extracts it and
+ * replays it with mongorestore, optionally limited to one database or collection.
+ */
+exports.mongodbRestoreHandler = async (message, context) => {
+  console.log('MongoDB restore triggered!');
+  console.log('Message data:', Buffer.from(message.data, 'base64').toString());
+
+  const payload = parseMessage(message);
+  const runId = payload.runId || crypto.randomUUID();
+  const hostLabel = payload.host || 'default';
+  const startedAt = new Date();
+  let phase = 'validate';
+
+  await updateRun(runId, {
+    runId,
+    engine: 'mongodb',
+    operation: 'restore',
+    status: 'running',
+    startedAt: startedAt.toISOString(),
+    ...(!payload.runId && {
+      triggeredBy: payload.triggeredBy || 'unknown',
+      host: hostLabel,
+      sourceObject: payload.fileName || null,
+      createdAt: startedAt.toISOString(),
+    }),
+  });
+
+  try {
+    const target = validateRestoreTarget(payload.target);
+    const sourceBucket = payload.bucket || bucketName;
+    const localPath = `/tmp/restore_${startedAt.getTime()}_${restoreFileName(payload.fileName)}`;
+
+    // Restores share the backups' lease, so nothing else works on the host meanwhile
+    phase = 'lock';
+    await startPhase(runId, phase);
+    const lock = await claimLock(runId, hostLabel, { ...payload, onConflict: 'reject' }, 'restore');
+    if (lock.status !== 'acquired') {
+      throw new Error(`Run ${lock.heldBy} is already backing up or restoring ${hostLabel}`);
+    }
+
+    // 1. Retrieve secrets
+    phase = 'secrets';
+    await startPhase(runId, phase);
+    console.log('Retrieving secrets from Secret Manager...');
+    const vm = await getVmCredentials(payload.host);
+    console.log(`Connecting to ${vm.username}@${vm.host}:${vm.port}`);
+
+    // 2. Stream the backup object from GCS to the VM
+    phase = 'download';
+    await startPhase(runId, phase);
+    console.log(`Downloading gs://${sourceBucket}/${payload.fileName} to ${localPath}`);
+    const downloadResult = await downloadBackupToVM(vm, sourceBucket, payload.fileName, localPath);
+    console.log('Backup downloaded to VM:', downloadResult);
+
+    // 3. Run the restore
+    phase = 'restore';
+    await refreshLock(runId, hostLabel);
+    await startPhase(runId, phase);
+    await runRemoteCommand(vm, buildRestoreCommand(localPath, target));
+    console.log('Restore completed');
+
+    // 4. Delete the downloaded backup from VM
+    phase = 'cleanup';
+    await startPhase(runId, phase);
+    await runRemoteCommand(vm, `rm -rf "${localPath}" "${localPath}_extracted"`);
+    console.log('Downloaded backup deleted from VM');
+
+    const finishedAt = new Date();
+    const outcome = {
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      sourceObject: payload.fileName,
+      target,
+      sizeBytes: downloadResult.size,
+    };
+    await updateRun(runId, { status: 'succeeded', phase: null, ...outcome });
+    await releaseLock(runId, hostLabel);
+    await publishResult('restore.completed', runId, payload, { startedAt: startedAt.toISOString(), ...outcome });
+
+    return {
+      success: true,
+      message: `MongoDB restore of ${payload.fileName} completed`,
+      runId,
+    };
+  } catch (error) {
+    console.error('Restore failed:', error);
+    const finishedAt = new Date();
+    const outcome = {
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      error: { message: error.message, phase },
+    };
+    await updateRun(runId, { status: 'failed', ...outcome });
+    await releaseLock(runId, hostLabel);
+    await publishResult('restore.failed', runId, payload, { startedAt: startedAt.toISOString(), ...outcome });
+    throw error;
+  }
+};
+
+/**
+ * Parse the Pub/Sub message payload, tolerating empty or non-JSON data
+ */
+function parseMessage(message) {
+  try {
+    return JSON.parse(Buffer.from(message.data, 'base64').toString());
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Merge fields into this run's ledger entry in Firestore
+ * Ledger write failures are logged but never fail the backup itself.
+ */
+async function updateRun(runId, fields) {
+  try {
+    await firestore.collection(runsCollection).doc(runId).set(
+      { ...fields, updatedAt: new Date().toISOString() },
+      { merge: true }
+    );
+  } catch (error) {
+    console.warn(`Failed to update run ${runId}:`, error.message);
+  }
+}
+
+/**
+ * Record the start of a backup phase (secrets, dump, upload, cleanup)
+ */
+function startPhase(runId, phase) {
+  return updateRun(runId, {
+    phase,
+    phases: { [phase]: { startedAt: new Date().toISOString() } },
+  });
+}
+
+/**
+ * Claim the mongodb/host lease for a backup or restore run
+ * The API takes the lease at trigger time, so its runs find it already theirs;
+ * runs published without it (Cloud Tasks, Cloud Scheduler) claim it here. If
+ * another run holds it, payload.onConflict decides: queue (default), coalesce or reject.
+ * Only backups coalesce, and only into a running backup. An expired lease goes
+ * to the first run queued behind it, so a crashed holder does not strand its queue.
+ * @returns {Promise<object>} { status: 'acquired' | 'queued' | 'coalesced' | 'rejected', heldBy }
+ */
+async function claimLock(runId, hostLabel, payload, operation = 'backup') {
+  const lockRef = firestore.collection(locksCollection).doc(`mongodb_${hostLabel}`);
+
+  const { promoted, ...claim } = await firestore.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(lockRef);
+    let lock = snapshot.exists ? snapshot.data() : null;
+    const now = new Date();
+
+    let promoted = null;
+    if (lock && lock.runId !== runId && new Date(lock.expiresAt) <= now && (lock.queue || []).length) {
+      const [head, ...queue] = lock.queue;
+      promoted = head.runId === runId ? null : head;
+      lock = {
+        ...lock,
+        runId: head.runId,
+        operation: 'backup',
+        acquiredAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + lockTtlMinutes * 60 * 1000).toISOString(),
+        queue,
+      };
+    }
+
+    if (!lock || lock.runId === runId || new Date(lock.expiresAt) <= now) {
+      transaction.set(lockRef, {
+        engine: 'mongodb',
+        host: hostLabel,
+        runId,
+        operation,
+        acquiredAt: lock && lock.runId === runId ? lock.acquiredAt : now.toISOString(),
+        expiresAt: new Date(now.getTime() + lockTtlMinutes * 60 * 1000).toISOString(),
+        queue: ((lock && lock.queue) || []).filter((entry) => entry.runId !== runId),
+      });
+      return { status: 'acquired' };
+    }
+
+    const policy = payload.onConflict || 'queue';
+    const queue = lock.queue || [];
+    if (policy === 'queue' && !queue.some((entry) => entry.runId === runId)) {
+      lock = { ...lock, queue: [...queue, { runId, topic: backupTopic, message: { ...payload, runId }, queuedAt: now.toISOString() }] };
+    }
+    if (promoted || policy === 'queue') {
+      transaction.set(lockRef, lock);
+    }
+    if (policy === 'queue') {
+      return { status: 'queued', heldBy: lock.runId, promoted };
+    }
+    const coalesce = policy === 'coalesce' && (lock.operation || 'backup') === 'backup';
+    return { status: coalesce ? 'coalesced' : 'rejected', heldBy: lock.runId, promoted };
+  });
+
+  if (promoted) {
+    console.warn(`Expired lock on ${hostLabel} handed to queued run ${promoted.runId}`);
+    await startQueuedRun(promoted, hostLabel);
+  }
+  return claim;
+}
+
+/**
+ * Extend the lease while the run is still working
+ */
+async function refreshLock(runId, hostLabel) {
+  const lockRef = firestore.collection(locksCollection).doc(`mongodb_${hostLabel}`);
+  try {
+    await firestore.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(lockRef);
+      if (snapshot.exists && snapshot.data().runId === runId) {
+        transaction.update(lockRef, { expiresAt: new Date(Date.now() + lockTtlMinutes * 60 * 1000).toISOString() });
+      }
+    });
+  } catch (error) {
+    console.warn(`Failed to refresh lock for run ${runId}:`, error.message);
+  }
+}
+
+/**
+ * Release the lease held by a run, handing it to the first queued run if any
+ * The queued run's message is re-published so it starts right away.
+ */
+async function releaseLock(runId, hostLabel) {
+  const lockRef = firestore.collection(locksCollection).doc(`mongodb_${hostLabel}`);
+  let next;
+  try {
+    next = await firestore.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(lockRef);
+      if (!snapshot.exists || snapshot.data().runId !== runId) {
+        return null;
+      }
+
+      const [nextEntry, ...queue] = snapshot.data().queue || [];
+      if (!nextEntry) {
+        transaction.delete(lockRef);
+        return null;
+      }
+
+      const now = new Date();
+      transaction.update(lockRef, {
+        runId: nextEntry.runId,
+        operation: 'backup',
+        acquiredAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + lockTtlMinutes * 60 * 1000).toISOString(),
+        queue,
+      });
+      return nextEntry;
+    });
+  } catch (error) {
+    console.warn(`Failed to release lock for run ${runId}:`, error.message);
+  }
+
+  if (next) {
+    await startQueuedRun(next, hostLabel);
+  }
+}
+
+/**
+ * Publish the message of a queued run that was handed the lease
+ * A run that cannot be started would hold the lease until it expired, so it is
+ * marked failed and the lease moves on to the next run in the queue.
+ */
+async function startQueuedRun(next, hostLabel) {
+  try {
+    await pubsub.topic(next.topic).publishMessage({ data: Buffer.from(JSON.stringify(next.message)) });
+    console.log(`Lock handed to queued run ${next.runId}`);
+  } catch (error) {
+    console.error(`Failed to start queued run ${next.runId}:`, error.message);
+    await updateRun(next.runId, {
+      status: 'failed',
+      phase: null,
+      finishedAt: new Date().toISOString(),
+      error: { message: `Could not be started after waiting for the lock: ${error.message}`, phase: 'lock' },
+    });
+    await releaseLock(next.runId, hostLabel);
+  }
+}
+
+/**
+ * Publish a backup.* / restore.* completion event to the results topic
+ * The Express API consumes these to update state and send notifications.
+ * Publish failures are logged; the run ledger still holds the outcome.
+ */
+async function publishResult(type, runId, payload, details) {
+  const event = {
+    type,
+    eventId: crypto.randomUUID(),
+    engine: 'mongodb',
+    runId,
+    triggeredBy: payload.triggeredBy || 'unknown',
+    ...(payload.scheduleId && { scheduleId: payload.scheduleId }),
+    ...details,
+    occurredAt: new Date().toISOString(),
+  };
+
+  try {
+    await pubsub.topic(resultsTopic).publishMessage({
+      data: Buffer.from(JSON.stringify(event)),
+      attributes: { type, engine: event.engine, runId },
+    });
+    console.log(`Published ${type} event for run ${runId}`);
+  } catch (error) {
+    console.warn(`Failed to publish ${type} event for run ${runId}:`, error.message);
+  }
+}
+
+/**
+ * Resolve SSH connection settings for the database VM
+ * Named hosts come from the host inventory and carry a reference to the secret
+ * holding their private key; without a host the legacy cf-* secrets are used.
+ * @returns {Promise<object>} ssh2 connect config { host, port, username, privateKey }
+ */
+async function getVmCredentials(hostName) {
+  if (!hostName || hostName === 'default') {
+    const [sshKeyResponse] = await secretClient.accessSecretVersion({
+      name: `projects/${projectId}/secrets/cf-backup-ssh-key/versions/latest`,
+    });
+    const [vmIpResponse] = await secretClient.accessSecretVersion({
+      name: `projects/${projectId}/secrets/cf-vm-ip/versions/latest`,
+    });
+    const [vmUsernameResponse] = await secretClient.accessSecretVersion({
+      name: `projects/${projectId}/secrets/cf-vm-username/versions/latest`,
+    });
+
+    return {
+      host: vmIpResponse.payload.data.toString().trim(),
+      port: 22,
+      username: vmUsernameResponse.payload.data.toString().trim(),
+      privateKey: sshKeyResponse.payload.data.toString(),
+    };
+  }
+
+  assertHostName(hostName);
+  const snapshot = await firestore.collection(hostsCollection).doc(hostName).get();
+  if (!snapshot.exists) {
+    throw new Error(`Unknown host: ${hostName}`);
+  }
+  const host = snapshot.data();
+  if (!(host.engines || []).includes('mongodb')) {
+    throw new Error(`Host ${hostName} does not run mongodb`);
+  }
+
+  const secretName = host.sshKeySecret.startsWith('projects/')
+    ? host.sshKeySecret
+    : `projects/${projectId}/secrets/${host.sshKeySecret}/versions/latest`;
+  const [sshKeyResponse] = await secretClient.accessSecretVersion({ name: secretName });
+
+  return {
+    host: host.address,
+    port: host.port || 22,
+    username: host.username,
+    privateKey: sshKeyResponse.payload.data.toString(),
+  };
+}
+
+/**
+ * Validate a host name before it is used as a document id and object path segment
+ */
+function assertHostName(hostName) {
+  if (typeof hostName !== 'string' || !/^[a-z0-9][a-z0-9-]{0,62}$/.test(hostName)) {
+    throw new Error(`Invalid host name: ${JSON.stringify(hostName)}`);
+  }
+}
+
+/**
+ * Validate a target identifier before it is used in a shell command
+ */
+function assertIdentifier(value, field) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_][A-Za-z0-9_.-]{0,62}$/.test(value)) {
+    throw new Error(`Invalid target ${field}: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Base name of the backup object, used for the temporary file on the VM
+ */
+function restoreFileName(fileName) {
+  const baseName = String(fileName || '').split('/').pop();
+  if (!/^[A-Za-z0-9_][A-Za-z0-9_.-]*$/.test(baseName)) {
+    throw new Error(`Invalid backup fileName: ${fileName}`);
+  }
+  return baseName;
+}
+
+/**
+ * Validate the backup target from the message
+ * { database: 'app', collections: ['users', 'orders'] } - omit database to dump everything
+ */
+function validateBackupTarget(target = {}) {
+  if (target.collections && !target.database) {
+    throw new Error('Backup target collections requires database');
+  }
+
+  return {
+    ...(target.database && { database: assertIdentifier(target.database, 'database') }),
+    ...(target.collections && {
+      collections: target.collections.map((collection) => assertIdentifier(collection, 'collection')),
+    }),
+  };
+}
+
+/**
+ * Validate the restore target from the message
+ * { database: 'app', collection: 'users', drop: false } - omit database to restore everything
+ */
+function validateRestoreTarget(target = {}) {
+  if (target.collection && !target.database) {
+    throw new Error('Restore target collection requires database');
+  }
+
+  return {
+    ...(target.database && { database: assertIdentifier(target.database, 'database') }),
+    ...(target.collection && { collection: assertIdentifier(target.collection, 'collection') }),
+    drop: Boolean(target.drop),
+  };
+}
+
+/**
+ * Build the mongorestore command for a downloaded mongodump archive
+ * drop replaces existing collections instead of merging documents into them.
+ */
+function buildRestoreCommand(localPath, target) {
+  const extractDir = `${localPath}_extracted`;
+  const options = [];
+
+  if (target.drop) {
+    options.push('--drop');
+  }
+  if (target.collection) {
+    options.push(`--nsInclude="${target.database}.${target.collection}"`);
+  } else if (target.database) {
+    options.push(`--nsInclude="${target.database}.*"`);
+  }
+
+  return `
+    mkdir -p "${extractDir}" && \
+    tar -xzf "${localPath}" -C "${extractDir}" && \
+    mongorestore ${options.join(' ')} --dir="$(find "${extractDir}" -mindepth 1 -maxdepth 1 -type d | head -n 1)" && \
+    echo "Restore completed from ${localPath}"
+  `;
+}
+
+/**
+ * Stream a backup object from GCS to a file on the VM over SFTP
+ * Encrypted objects are decrypted on the way; the GCM tag fails the download
+ * if the object was tampered with. Unencrypted objects are copied as they are.
+ */
+async function downloadBackupToVM(vm, sourceBucket, fileName, localPath) {
+  const decipher = await createDecryption(sourceBucket, fileName);
+
+  return new Promise((resolve, reject) => {
+    const conn = new Client();
+
+    conn.on('ready', () => {
+      console.log('SSH connection established for download');
+
+      conn.sftp((err, sftp) => {
+        if (err) {
+          conn.end();
+          return reject(err);
+        }
+
+        const readStream = storage.bucket(sourceBucket).file(fileName).createReadStream();
+        const writeStream = sftp.createWriteStream(localPath);
+
+        let size = 0;
+        readStream.on('data', (chunk) => {
+          size += chunk.length;
+        });
+
+        readStream.on('error', (error) => {
+          conn.end();
+          reject(new Error(`Failed to read backup from GCS: ${error.message}`));
+        });
+
+        writeStream.on('error', (error) => {
+          conn.end();
+          reject(new Error(`Failed to write backup to VM: ${error.message}`));
+        });
+
+        writeStream.on('close', () => {
+          conn.end();
+          resolve({ localPath, size });
+        });
+
+        if (decipher) {
+          decipher.on('error', (error) => {
+            conn.end();
+            reject(new Error(`Failed to decrypt backup: ${error.message}`));
+          });
+          readStream.pipe(decipher).pipe(writeStream);
+        } else {
+          readStream.pipe(writeStream);
+        }
+      });
+    });
+
+    conn.on('error', (err) => {
+      reject(err);
+    });
+
+    conn.connect(vm);
+  });
+}
+
+/**
+ * Run a shell command on the VM and resolve with its output
+ */
+function runRemoteCommand(vm, command) {
+  return new Promise((resolve, reject) => {
+    const conn = new Client();
+
+    conn.on('ready', () => {
+      conn.exec(command, (err, stream) => {
+        if (err) {
+          conn.end();
+          return reject(err);
+        }
+
+        let output = '';
+        let errorOutput = '';
+
+        stream.on('data', (data) => {
+          output += data.toString();
+          console.log('STDOUT:', data.toString());
+        });
+
+        stream.stderr.on('data', (data) => {
+          errorOutput += data.toString();
+          console.log('STDERR:', data.toString());
+        });
+
+        stream.on('close', (code) => {
+          conn.end();
+
+          if (code === 0) {
+            resolve({ output: output.trim() });
+          } else {
+            reject(new Error(`Command failed with code ${code}: ${errorOutput}`));
+          }
+        });
+      });
+    });
+
+    conn.on('error', (err) => {
+      reject(err);
+    });
+
+    conn.connect(vm);
+  });
+}
+
 /**
  * Execute MongoDB backup via SSH
+ * mongodump takes one collection per call, so each requested collection is
+ * dumped into the same output directory.
  */
-function executeBackup(vmIp, vmUsername, sshKey) {
+function executeBackup(vm, target) {
   return new Promise((resolve, reject) => {
     const conn = new Client();
 
@@ -69,9 +712,13 @@ function executeBackup(vmIp, vmUsername, sshKey) {
       console.log('SSH connection established');
 
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `mongodb_backup_${timestamp}.tar.gz`;
+      const filename = `mongodb_${target.database || 'all'}_${timestamp}.tar.gz`;
+      const outDir = `/tmp/mongodb_backup_${timestamp}`;
+      const dumpCommand = target.collections
+        ? target.collections.map((collection) => `mongodump --db="${target.database}" --collection="${collection}" --out=${outDir}`).join(' && ')
+        : `mongodump ${target.database ? `--db="${target.database}" ` : ''}--out=${outDir}`;
       const backupCommand = `
-        mongodump --out=/tmp/mongodb_backup_${timestamp} && \
+        ${dumpCommand} && \
         tar -czf /tmp/${filename} -C /tmp mongodb_backup_${timestamp} && \
         rm -rf /tmp/mongodb_backup_${timestamp} && \
         echo "Backup created: /tmp/${filename}"
@@ -116,19 +763,16 @@ function executeBackup(vmIp, vmUsername, sshKey) {
       reject(err);
     });
 
-    conn.connect({
-      host: vmIp,
-      port: 22,
-      username: vmUsername,
-      privateKey: sshKey,
-    });
+    conn.connect(vm);
   });
 }
 
 /**
  * Upload backup file from VM to Google Cloud Storage
  */
-async function uploadBackupToGCS(vmIp, vmUsername, sshKey, filename) {
+async function uploadBackupToGCS(vm, filename, details) {
+  const encryption = await createEncryption();
+
   return new Promise((resolve, reject) => {
     const conn = new Client();
 
@@ -146,17 +790,31 @@ async function uploadBackupToGCS(vmIp, vmUsername, sshKey, filename) {
 
         const readStream = sftp.createReadStream(remotePath);
         const bucket = storage.bucket(bucketName);
-        const file = bucket.file(`mongodb/${filename}`);
+        const objectPath = `mongodb/${details.host}/${filename}`;
+        const file = bucket.file(`${uploadPrefix}${objectPath}`);
         const writeStream = file.createWriteStream({
           metadata: {
-            contentType: 'application/gzip',
+            contentType: 'application/octet-stream',
             metadata: {
+              ...encryption.metadata,
               source: 'mongodb-backup-function',
-              timestamp: new Date().toISOString()
+              timestamp: new Date().toISOString(),
+              runId: details.runId,
+              host: details.host,
+              database: details.target.database || 'all',
+              ...(details.target.collections && { collections: details.target.collections.join(',') })
             }
           }
         });
 
+        // Hashed before encryption so the upload can be checked against the VM's digest
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        readStream.on('data', (chunk) => {
+          size += chunk.length;
+          hash.update(chunk);
+        });
+
         readStream.on('error', (error) => {
           conn.end();
           reject(new Error(`Failed to read file from VM: ${error.message}`));
@@ -170,13 +828,22 @@ async function uploadBackupToGCS(vmIp, vmUsername, sshKey, filename) {
         writeStream.on('finish', () => {
           conn.end();
           resolve({
-            gcsPath: `gs://${bucketName}/mongodb/${filename}`,
+            gcsPath: `gs://${bucketName}/${objectPath}`,
             bucket: bucketName,
-            filename: `mongodb/${filename}`
+            filename: objectPath,
+            uploadName: file.name,
+            sha256: hash.digest('hex'),
+            encryption: { keyId: encryption.metadata.keyId, authTag: encryption.cipher.getAuthTag().toString('base64') },
+            size: size
           });
         });
 
-        readStream.pipe(writeStream);
+        encryption.cipher.on('error', (error) => {
+          conn.end();
+          reject(new Error(`Failed to encrypt backup: ${error.message}`));
+        });
+
+        readStream.pipe(encryption.cipher).pipe(writeStream);
       });
     });
 
@@ -184,19 +851,129 @@ async function uploadBackupToGCS(vmIp, vmUsername, sshKey, filename) {
       reject(err);
     });
 
-    conn.connect({
-      host: vmIp,
-      port: 22,
-      username: vmUsername,
-      privateKey: sshKey,
-    });
+    conn.connect(vm);
   });
 }
 
+/**
+ * SHA-256 and size of a file on the VM, taken before it is streamed to GCS
+ */
+async function remoteChecksum(vm, remotePath) {
+  const { output } = await runRemoteCommand(vm, `sha256sum "${remotePath}" | cut -d' ' -f1 && stat -c%s "${remotePath}"`);
+  const [sha256, size] = output.split('\n').map((line) => line.trim());
+  return { sha256, size: Number(size) };
+}
+
+/**
+ * Read a version of the master key from Secret Manager
+ * The resolved version name is the key ID stored with each object, so its
+ * data key can still be unwrapped after the secret is rotated.
+ */
+async function getMasterKey(keyId = `projects/${projectId}/secrets/${masterKeySecret}/versions/latest`) {
+  const [response] = await secretClient.accessSecretVersion({ name: keyId });
+  const key = Buffer.from(response.payload.data.toString().trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Master key ${response.name} must be 32 bytes, base64-encoded`);
+  }
+  return { keyId: response.name, key };
+}
+
+/**
+ * Set up envelope encryption for one backup object
+ * A fresh AES-256-GCM data key encrypts the stream; it is stored in the object's
+ * metadata wrapped by the master key (IV, ciphertext and tag, base64).
+ */
+async function createEncryption() {
+  const masterKey = await getMasterKey();
+  const dataKey = crypto.randomBytes(32);
+  const wrapIv = crypto.randomBytes(12);
+  const wrapper = crypto.createCipheriv(encryptionAlgorithm, masterKey.key, wrapIv);
+  const wrappedKey = Buffer.concat([wrapIv, wrapper.update(dataKey), wrapper.final(), wrapper.getAuthTag()]);
+  const iv = crypto.randomBytes(12);
+
+  return {
+    cipher: crypto.createCipheriv(encryptionAlgorithm, dataKey, iv),
+    metadata: {
+      encryption: encryptionAlgorithm,
+      keyId: masterKey.keyId,
+      wrappedKey: wrappedKey.toString('base64'),
+      iv: iv.toString('base64'),
+    },
+  };
+}
+
+/**
+ * Decipher for an encrypted backup object, or null for objects stored unencrypted
+ */
+async function createDecryption(sourceBucket, fileName) {
+  const [objectMetadata] = await storage.bucket(sourceBucket).file(fileName).getMetadata();
+  const metadata = objectMetadata.metadata || {};
+  if (!metadata.encryption) {
+    return null;
+  }
+  if (metadata.encryption !== encryptionAlgorithm || !metadata.authTag) {
+    throw new Error(`${fileName} cannot be decrypted: unsupported algorithm or missing auth tag`);
+  }
+
+  const masterKey = await getMasterKey(metadata.keyId);
+  const wrappedKey = Buffer.from(metadata.wrappedKey, 'base64');
+  const unwrapper = crypto.createDecipheriv(encryptionAlgorithm, masterKey.key, wrappedKey.subarray(0, 12));
+  unwrapper.setAuthTag(wrappedKey.subarray(-16));
+  const dataKey = Buffer.concat([unwrapper.update(wrappedKey.subarray(12, -16)), unwrapper.final()]);
+
+  const decipher = crypto.createDecipheriv(encryptionAlgorithm, dataKey, Buffer.from(metadata.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(metadata.authTag, 'base64'));
+  return decipher;
+}
+
+/**
+ * Compare the digest computed while streaming with the VM's, then record it
+ * A mismatch (e.g. a truncated SFTP stream) deletes the object so no corrupt
+ * backup is kept. The digest is written to the object's metadata and to a
+ * sidecar manifest at manifests/<object name>.json. Digest and size are those
+ * of the decrypted backup; the GCM auth tag is only known once the upload ends,
+ * so the object waits under uploads/ until both are written, then is moved to
+ * its name under the engine prefix. A run that dies in between leaves only the
+ * uploads/ copy, never a backup that cannot be decrypted.
+ */
+async function verifyUpload(uploadResult, vmChecksum, details) {
+  const bucket = storage.bucket(bucketName);
+  const file = bucket.file(uploadResult.uploadName);
+
+  if (!vmChecksum.sha256 || uploadResult.sha256 !== vmChecksum.sha256 || uploadResult.size !== vmChecksum.size) {
+    await file.delete().catch((error) => console.warn(`Failed to delete corrupt upload ${uploadResult.filename}:`, error.message));
+    throw new Error(`Checksum mismatch for ${uploadResult.filename}: VM ${vmChecksum.sha256} (${vmChecksum.size} bytes), uploaded ${uploadResult.sha256} (${uploadResult.size} bytes)`);
+  }
+
+  await file.setMetadata({
+    metadata: {
+      sha256: uploadResult.sha256,
+      sizeBytes: String(uploadResult.size),
+      authTag: uploadResult.encryption.authTag,
+    },
+  });
+  await file.move(uploadResult.filename);
+
+  const manifest = {
+    object: uploadResult.filename,
+    bucket: bucketName,
+    algorithm: 'sha256',
+    sha256: uploadResult.sha256,
+    sizeBytes: uploadResult.size,
+    ...details,
+    createdAt: new Date().toISOString(),
+  };
+  await bucket.file(`${manifestPrefix}${uploadResult.filename}.json`).save(JSON.stringify(manifest, null, 2), {
+    contentType: 'application/json',
+    resumable: false,
+  });
+  console.log(`Checksum verified for ${uploadResult.filename}: ${uploadResult.sha256}`);
+}
+
 /**
  * Delete local backup file from VM after successful upload
  */
-function deleteLocalBackup(vmIp, vmUsername, sshKey, filename) {
+function deleteLocalBackup(vm, filename) {
   return new Promise((resolve, reject) => {
     const conn = new Client();
 
@@ -234,11 +1011,6 @@ function deleteLocalBackup(vmIp, vmUsername, sshKey, filename) {
       reject(err);
     });
 
-    conn.connect({
-      host: vmIp,
-      port: 22,
-      username: vmUsername,
-      privateKey: sshKey,
-    });
+    conn.connect(vm);
   });
 }
\ No newline at end of file
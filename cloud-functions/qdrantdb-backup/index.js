@@ -1,12 +1,35 @@
+const crypto = require('crypto');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const { Storage } = require('@google-cloud/storage');
+const { Firestore } = require('@google-cloud/firestore');
+const { PubSub } = require('@google-cloud/pubsub');
 const { Client } = require('ssh2');
 
 const secretClient = new SecretManagerServiceClient();
 const storage = new Storage();
 const projectId = 'gcf-course-478410';
 const bucketName = 'postgresql-server-backups';
-const collectionName = 'test_collection'; // Can be made dynamic via Pub/Sub message if needed
+// Collection backed up or restored when the message does not name one
+const defaultCollection = 'test_collection';
+const firestore = new Firestore({
+    projectId,
+    ...(process.env.FIRESTORE_DATABASE_ID && { databaseId: process.env.FIRESTORE_DATABASE_ID }),
+});
+const runsCollection = process.env.RUNS_COLLECTION || 'backup_runs';
+const hostsCollection = process.env.HOSTS_COLLECTION || 'backup_hosts';
+const locksCollection = process.env.LOCKS_COLLECTION || 'backup_locks';
+const lockTtlMinutes = Number(process.env.LOCK_TTL_MINUTES) || 120;
+// Queued runs are re-published here when the lock is handed to them
+const backupTopic = process.env.BACKUP_TOPIC || 'qdrantdb-backup-trigger';
+const pubsub = new PubSub({ projectId });
+const resultsTopic = process.env.BACKUP_RESULTS_TOPIC || 'backup-results';
+// Sidecar manifests live outside the engine prefixes so backup listings skip them
+const manifestPrefix = 'manifests/';
+// Objects are uploaded here and moved under the engine prefix once their auth tag and digest are written
+const uploadPrefix = 'uploads/';
+// Each backup is encrypted with its own data key, wrapped by this master key (32 bytes, base64)
+const masterKeySecret = process.env.BACKUP_MASTER_KEY_SECRET || 'cf-backup-master-key';
+const encryptionAlgorithm = 'aes-256-gcm';
 
 /**
  * Cloud Function triggered by Pub/Sub for QdrantDB backup
@@ -15,63 +38,669 @@ exports.qdrantdbBackupHandler = async (message, context) => {
     console.log('QdrantDB backup triggered!');
     console.log('Message data:', Buffer.from(message.data, 'base64').toString());
 
+    const payload = parseMessage(message);
+    // Cloud Scheduler publishes without a runId, so the run is created here
+    const runId = payload.runId || crypto.randomUUID();
+    // Backups are partitioned by host; the legacy single VM files under 'default'
+    const hostLabel = payload.host || 'default';
+    const startedAt = new Date();
+    let phase = 'validate';
+
+    await updateRun(runId, {
+        runId,
+        engine: 'qdrantdb',
+        operation: 'backup',
+        status: 'running',
+        startedAt: startedAt.toISOString(),
+        ...(!payload.runId && {
+            triggeredBy: payload.triggeredBy || 'unknown',
+            host: hostLabel,
+            ...(payload.scheduleId && { scheduleId: payload.scheduleId }),
+            createdAt: startedAt.toISOString(),
+        }),
+    });
+
     try {
+        const target = validateBackupTarget(payload.target);
+
+        // Only one backup per engine and host may work on the VM at a time
+        phase = 'lock';
+        await startPhase(runId, phase);
+        const lock = await claimLock(runId, hostLabel, payload);
+        if (lock.status === 'rejected') {
+            throw new Error(`Run ${lock.heldBy} is already backing up or restoring ${hostLabel}`);
+        }
+        if (lock.status !== 'acquired') {
+            console.log(`Run ${runId} ${lock.status} behind run ${lock.heldBy}`);
+            await updateRun(runId, lock.status === 'queued'
+                ? { status: 'waiting', phase: null, waitingFor: lock.heldBy }
+                : { status: 'coalesced', phase: null, coalescedInto: lock.heldBy, finishedAt: new Date().toISOString() });
+            return { success: true, message: `QdrantDB backup ${lock.status} behind run ${lock.heldBy}`, runId };
+        }
+
         // 1. Retrieve secrets
+        phase = 'secrets';
+        await startPhase(runId, phase);
         console.log('Retrieving secrets from Secret Manager...');
 
+        const vm = await getVmCredentials(payload.host);
+
+        console.log(`Connecting to ${vm.username}@${vm.host}:${vm.port}`);
+
+        // Each collection gets its own snapshot and object so it can be recovered on its own
+        const objects = [];
+        for (const collection of target.collections) {
+            // 2. Create snapshot and download it via Qdrant API
+            phase = 'dump';
+            await startPhase(runId, phase);
+            await refreshLock(runId, hostLabel);
+            console.log(`Creating and downloading snapshot of ${collection} via SSH...`);
+            const backupInfo = await createAndDownloadSnapshot(vm, collection);
+            console.log('Snapshot downloaded successfully:', backupInfo);
+
+            // 3. Upload backup to GCS and check it against the digest taken on the VM after compression
+            phase = 'upload';
+            await startPhase(runId, phase);
+            console.log(`Uploading backup to GCS bucket: ${bucketName}`);
+            const uploadResult = await uploadBackupToGCS(vm, backupInfo, { runId, host: hostLabel });
+            await verifyUpload(uploadResult, uploadResult.vmChecksum, { engine: 'qdrantdb', runId, host: hostLabel, target: { collection } });
+            console.log('Backup uploaded successfully:', uploadResult);
+
+            // 4. Delete local downloaded snapshot and compressed files from VM
+            phase = 'cleanup';
+            await startPhase(runId, phase);
+            await deleteLocalBackup(vm, backupInfo, uploadResult);
+            console.log('Local downloaded snapshot and compressed files deleted from VM');
+
+            // 5. Delete snapshot from Qdrant storage (~/qdrant_snapshots/<collection>/)
+            await deleteQdrantSnapshot(vm, collection, backupInfo.snapshotName);
+            console.log('Snapshot deleted from Qdrant storage');
+
+            objects.push({
+                collection,
+                gcsPath: uploadResult.gcsPath,
+                objectName: uploadResult.filename,
+                sizeBytes: uploadResult.compressedSize || uploadResult.size,
+                sha256: uploadResult.sha256,
+            });
+        }
+
+        const finishedAt = new Date();
+        const outcome = {
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            target,
+            gcsPath: objects[0].gcsPath,
+            bucket: bucketName,
+            objectName: objects[0].objectName,
+            sizeBytes: objects.reduce((total, object) => total + object.sizeBytes, 0),
+            objects,
+        };
+        await updateRun(runId, { status: 'succeeded', phase: null, ...outcome });
+        await releaseLock(runId, hostLabel);
+        await publishResult('backup.completed', runId, payload, { startedAt: startedAt.toISOString(), ...outcome });
+
+    return {
+        success: true,
+        message: 'QdrantDB backup completed and uploaded to GCS',
+        runId,
+        gcsPath: outcome.gcsPath,
+        objects
+    };
+
+    } catch (error) {
+        console.error('Backup failed:', error);
+        const finishedAt = new Date();
+        const outcome = {
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            error: { message: error.message, phase },
+        };
+        await updateRun(runId, { status: 'failed', ...outcome });
+        await releaseLock(runId, hostLabel);
+        await publishResult('backup.failed', runId, payload, { startedAt: startedAt.toISOString(), ...outcome });
+        throw error;
+    }
+};
+
+/**
+ * Cloud Function triggered by Pub/Sub for QdrantDB restore
+ * Streams the compressed snapshot from GCS to the VM over SFTP, decompresses it and
+ * recovers the target collection through the Qdrant snapshot upload API.
+ */
+exports.qdrantdbRestoreHandler = async (message, context) => {
+    console.log('QdrantDB restore triggered!');
+    console.log('Message data:', Buffer.from(message.data, 'base64').toString());
+
+    const payload = parseMessage(message);
+    const runId = payload.runId || crypto.randomUUID();
+    const hostLabel = payload.host || 'default';
+    const startedAt = new Date();
+    let phase = 'validate';
+
+    await updateRun(runId, {
+        runId,
+        engine: 'qdrantdb',
+        operation: 'restore',
+        status: 'running',
+        startedAt: startedAt.toISOString(),
+        ...(!payload.runId && {
+            triggeredBy: payload.triggeredBy || 'unknown',
+            host: hostLabel,
+            sourceObject: payload.fileName || null,
+            createdAt: startedAt.toISOString(),
+        }),
+    });
+
+    try {
+        const target = validateRestoreTarget(payload.target);
+        const sourceBucket = payload.bucket || bucketName;
+        const localPath = `/tmp/restore_${startedAt.getTime()}_${restoreFileName(payload.fileName)}`;
+
+        // Restores share the backups' lease, so nothing else works on the host meanwhile
+        phase = 'lock';
+        await startPhase(runId, phase);
+        const lock = await claimLock(runId, hostLabel, { ...payload, onConflict: 'reject' }, 'restore');
+        if (lock.status !== 'acquired') {
+            throw new Error(`Run ${lock.heldBy} is already backing up or restoring ${hostLabel}`);
+        }
+
+        // 1. Retrieve secrets
+        phase = 'secrets';
+        await startPhase(runId, phase);
+        console.log('Retrieving secrets from Secret Manager...');
+        const vm = await getVmCredentials(payload.host);
+        console.log(`Connecting to ${vm.username}@${vm.host}:${vm.port}`);
+
+        // 2. Stream the backup object from GCS to the VM
+        phase = 'download';
+        await startPhase(runId, phase);
+        console.log(`Downloading gs://${sourceBucket}/${payload.fileName} to ${localPath}`);
+        const downloadResult = await downloadBackupToVM(vm, sourceBucket, payload.fileName, localPath);
+        console.log('Backup downloaded to VM:', downloadResult);
+
+        // 3. Run the restore
+        phase = 'restore';
+        await refreshLock(runId, hostLabel);
+        await startPhase(runId, phase);
+        await runRemoteCommand(vm, buildRestoreCommand(localPath, target));
+        console.log('Restore completed');
+
+        // 4. Delete the downloaded backup from VM
+        phase = 'cleanup';
+        await startPhase(runId, phase);
+        await runRemoteCommand(vm, `rm -f "${localPath}" "${localPath}.snapshot"`);
+        console.log('Downloaded backup deleted from VM');
+
+        const finishedAt = new Date();
+        const outcome = {
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            sourceObject: payload.fileName,
+            target,
+            sizeBytes: downloadResult.size,
+        };
+        await updateRun(runId, { status: 'succeeded', phase: null, ...outcome });
+        await releaseLock(runId, hostLabel);
+        await publishResult('restore.completed', runId, payload, { startedAt: startedAt.toISOString(), ...outcome });
+
+        return {
+            success: true,
+            message: `QdrantDB restore of ${payload.fileName} completed`,
+            runId,
+        };
+    } catch (error) {
+        console.error('Restore failed:', error);
+        const finishedAt = new Date();
+        const outcome = {
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            error: { message: error.message, phase },
+        };
+        await updateRun(runId, { status: 'failed', ...outcome });
+        await releaseLock(runId, hostLabel);
+        await publishResult('restore.failed', runId, payload, { startedAt: startedAt.toISOString(), ...outcome });
+        throw error;
+    }
+};
+
+/**
+ * Parse the Pub/Sub message payload, tolerating empty or non-JSON data
+ */
+function parseMessage(message) {
+    try {
+        return JSON.parse(Buffer.from(message.data, 'base64').toString());
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Merge fields into this run's ledger entry in Firestore
+ * Ledger write failures are logged but never fail the backup itself.
+ */
+async function updateRun(runId, fields) {
+    try {
+        await firestore.collection(runsCollection).doc(runId).set(
+            { ...fields, updatedAt: new Date().toISOString() },
+            { merge: true }
+        );
+    } catch (error) {
+        console.warn(`Failed to update run ${runId}:`, error.message);
+    }
+}
+
+/**
+ * Record the start of a backup phase (secrets, dump, upload, cleanup)
+ */
+function startPhase(runId, phase) {
+    return updateRun(runId, {
+        phase,
+        phases: { [phase]: { startedAt: new Date().toISOString() } },
+    });
+}
+
+/**
+ * Claim the qdrantdb/host lease for a backup or restore run
+ * The API takes the lease at trigger time, so its runs find it already theirs;
+ * runs published without it (Cloud Tasks, Cloud Scheduler) claim it here. If
+ * another run holds it, payload.onConflict decides: queue (default), coalesce or reject.
+ * Only backups coalesce, and only into a running backup. An expired lease goes
+ * to the first run queued behind it, so a crashed holder does not strand its queue.
+ * @returns {Promise<object>} { status: 'acquired' | 'queued' | 'coalesced' | 'rejected', heldBy }
+ */
+async function claimLock(runId, hostLabel, payload, operation = 'backup') {
+    const lockRef = firestore.collection(locksCollection).doc(`qdrantdb_${hostLabel}`);
+
+    const { promoted, ...claim } = await firestore.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(lockRef);
+        let lock = snapshot.exists ? snapshot.data() : null;
+        const now = new Date();
+
+        let promoted = null;
+        if (lock && lock.runId !== runId && new Date(lock.expiresAt) <= now && (lock.queue || []).length) {
+            const [head, ...queue] = lock.queue;
+            promoted = head.runId === runId ? null : head;
+            lock = {
+                ...lock,
+                runId: head.runId,
+                operation: 'backup',
+                acquiredAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + lockTtlMinutes * 60 * 1000).toISOString(),
+                queue,
+            };
+        }
+
+        if (!lock || lock.runId === runId || new Date(lock.expiresAt) <= now) {
+            transaction.set(lockRef, {
+                engine: 'qdrantdb',
+                host: hostLabel,
+                runId,
+                operation,
+                acquiredAt: lock && lock.runId === runId ? lock.acquiredAt : now.toISOString(),
+                expiresAt: new Date(now.getTime() + lockTtlMinutes * 60 * 1000).toISOString(),
+                queue: ((lock && lock.queue) || []).filter((entry) => entry.runId !== runId),
+            });
+            return { status: 'acquired' };
+        }
+
+        const policy = payload.onConflict || 'queue';
+        const queue = lock.queue || [];
+        if (policy === 'queue' && !queue.some((entry) => entry.runId === runId)) {
+            lock = { ...lock, queue: [...queue, { runId, topic: backupTopic, message: { ...payload, runId }, queuedAt: now.toISOString() }] };
+        }
+        if (promoted || policy === 'queue') {
+            transaction.set(lockRef, lock);
+        }
+        if (policy === 'queue') {
+            return { status: 'queued', heldBy: lock.runId, promoted };
+        }
+        const coalesce = policy === 'coalesce' && (lock.operation || 'backup') === 'backup';
+        return { status: coalesce ? 'coalesced' : 'rejected', heldBy: lock.runId, promoted };
+    });
+
+    if (promoted) {
+        console.warn(`Expired lock on ${hostLabel} handed to queued run ${promoted.runId}`);
+        await startQueuedRun(promoted, hostLabel);
+    }
+    return claim;
+}
+
+/**
+ * Extend the lease while the run is still working
+ */
+async function refreshLock(runId, hostLabel) {
+    const lockRef = firestore.collection(locksCollection).doc(`qdrantdb_${hostLabel}`);
+    try {
+        await firestore.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(lockRef);
+            if (snapshot.exists && snapshot.data().runId === runId) {
+                transaction.update(lockRef, { expiresAt: new Date(Date.now() + lockTtlMinutes * 60 * 1000).toISOString() });
+            }
+        });
+    } catch (error) {
+        console.warn(`Failed to refresh lock for run ${runId}:`, error.message);
+    }
+}
+
+/**
+ * Release the lease held by a run, handing it to the first queued run if any
+ * The queued run's message is re-published so it starts right away.
+ */
+async function releaseLock(runId, hostLabel) {
+    const lockRef = firestore.collection(locksCollection).doc(`qdrantdb_${hostLabel}`);
+    let next;
+    try {
+        next = await firestore.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(lockRef);
+            if (!snapshot.exists || snapshot.data().runId !== runId) {
+                return null;
+            }
+
+            const [nextEntry, ...queue] = snapshot.data().queue || [];
+            if (!nextEntry) {
+                transaction.delete(lockRef);
+                return null;
+            }
+
+            const now = new Date();
+            transaction.update(lockRef, {
+                runId: nextEntry.runId,
+                operation: 'backup',
+                acquiredAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + lockTtlMinutes * 60 * 1000).toISOString(),
+                queue,
+            });
+            return nextEntry;
+        });
+    } catch (error) {
+        console.warn(`Failed to release lock for run ${runId}:`, error.message);
+    }
+
+    if (next) {
+        await startQueuedRun(next, hostLabel);
+    }
+}
+
+/**
+ * Publish the message of a queued run that was handed the lease
+ * A run that cannot be started would hold the lease until it expired, so it is
+ * marked failed and the lease moves on to the next run in the queue.
+ */
+async function startQueuedRun(next, hostLabel) {
+    try {
+        await pubsub.topic(next.topic).publishMessage({ data: Buffer.from(JSON.stringify(next.message)) });
+        console.log(`Lock handed to queued run ${next.runId}`);
+    } catch (error) {
+        console.error(`Failed to start queued run ${next.runId}:`, error.message);
+        await updateRun(next.runId, {
+            status: 'failed',
+            phase: null,
+            finishedAt: new Date().toISOString(),
+            error: { message: `Could not be started after waiting for the lock: ${error.message}`, phase: 'lock' },
+        });
+        await releaseLock(next.runId, hostLabel);
+    }
+}
+
+/**
+ * Publish a backup.* / restore.* completion event to the results topic
+ * The Express API consumes these to update state and send notifications.
+ * Publish failures are logged; the run ledger still holds the outcome.
+ */
+async function publishResult(type, runId, payload, details) {
+    const event = {
+        type,
+        eventId: crypto.randomUUID(),
+        engine: 'qdrantdb',
+        runId,
+        triggeredBy: payload.triggeredBy || 'unknown',
+        ...(payload.scheduleId && { scheduleId: payload.scheduleId }),
+        ...details,
+        occurredAt: new Date().toISOString(),
+    };
+
+    try {
+        await pubsub.topic(resultsTopic).publishMessage({
+            data: Buffer.from(JSON.stringify(event)),
+            attributes: { type, engine: event.engine, runId },
+        });
+        console.log(`Published ${type} event for run ${runId}`);
+    } catch (error) {
+        console.warn(`Failed to publish ${type} event for run ${runId}:`, error.message);
+    }
+}
+
+/**
+ * Resolve SSH connection settings for the database VM
+ * Named hosts come from the host inventory and carry a reference to the secret
+ * holding their private key; without a host the legacy cf-* secrets are used.
+ * @returns {Promise<object>} ssh2 connect config { host, port, username, privateKey }
+ */
+async function getVmCredentials(hostName) {
+    if (!hostName || hostName === 'default') {
         const [sshKeyResponse] = await secretClient.accessSecretVersion({
             name: `projects/${projectId}/secrets/cf-backup-ssh-key/versions/latest`,
         });
-
         const [vmIpResponse] = await secretClient.accessSecretVersion({
             name: `projects/${projectId}/secrets/cf-vm-ip/versions/latest`,
-          });
-
+        });
         const [vmUsernameResponse] = await secretClient.accessSecretVersion({
             name: `projects/${projectId}/secrets/cf-vm-username/versions/latest`,
-          });
+        });
 
-        const sshKey = sshKeyResponse.payload.data.toString();
-        const vmIp = vmIpResponse.payload.data.toString().trim();
-        const vmUsername = vmUsernameResponse.payload.data.toString().trim();
+        return {
+            host: vmIpResponse.payload.data.toString().trim(),
+            port: 22,
+            username: vmUsernameResponse.payload.data.toString().trim(),
+            privateKey: sshKeyResponse.payload.data.toString(),
+        };
+    }
 
-        console.log(`Connecting to ${vmUsername}@${vmIp}`);
+    assertHostName(hostName);
+    const snapshot = await firestore.collection(hostsCollection).doc(hostName).get();
+    if (!snapshot.exists) {
+        throw new Error(`Unknown host: ${hostName}`);
+    }
+    const host = snapshot.data();
+    if (!(host.engines || []).includes('qdrantdb')) {
+        throw new Error(`Host ${hostName} does not run qdrantdb`);
+    }
 
-        // 2. Create snapshot and download it via Qdrant API
-        console.log('Creating and downloading snapshot via SSH...');
-        const backupInfo = await createAndDownloadSnapshot(vmIp, vmUsername, sshKey);
-        console.log('Snapshot downloaded successfully:', backupInfo);
+    const secretName = host.sshKeySecret.startsWith('projects/')
+        ? host.sshKeySecret
+        : `projects/${projectId}/secrets/${host.sshKeySecret}/versions/latest`;
+    const [sshKeyResponse] = await secretClient.accessSecretVersion({ name: secretName });
 
-        // 3. Upload backup to GCS
-        console.log(`Uploading backup to GCS bucket: ${bucketName}`);
-        const uploadResult = await uploadBackupToGCS(vmIp, vmUsername, sshKey, backupInfo);
-        console.log('Backup uploaded successfully:', uploadResult);
+    return {
+        host: host.address,
+        port: host.port || 22,
+        username: host.username,
+        privateKey: sshKeyResponse.payload.data.toString(),
+    };
+}
 
-        // 4. Delete local downloaded snapshot and compressed files from VM
-        await deleteLocalBackup(vmIp, vmUsername, sshKey, backupInfo, uploadResult);
-        console.log('Local downloaded snapshot and compressed files deleted from VM');
+/**
+ * Validate a host name before it is used as a document id and object path segment
+ */
+function assertHostName(hostName) {
+    if (typeof hostName !== 'string' || !/^[a-z0-9][a-z0-9-]{0,62}$/.test(hostName)) {
+        throw new Error(`Invalid host name: ${JSON.stringify(hostName)}`);
+    }
+}
 
-        // 5. Delete snapshot from Qdrant storage (~/qdrant_snapshots/test_collection/)
-        await deleteQdrantSnapshot(vmIp, vmUsername, sshKey, backupInfo.snapshotName);
-        console.log('Snapshot deleted from Qdrant storage');
+/**
+ * Validate a target identifier before it is used in a shell command
+ */
+function assertIdentifier(value, field) {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9_][A-Za-z0-9_.-]{0,62}$/.test(value)) {
+        throw new Error(`Invalid target ${field}: ${value}`);
+    }
+    return value;
+}
+
+/**
+ * Base name of the backup object, used for the temporary file on the VM
+ */
+function restoreFileName(fileName) {
+    const baseName = String(fileName || '').split('/').pop();
+    if (!/^[A-Za-z0-9_][A-Za-z0-9_.-]*$/.test(baseName)) {
+        throw new Error(`Invalid backup fileName: ${fileName}`);
+    }
+    return baseName;
+}
 
+/**
+ * Validate the backup target from the message
+ * { collections: ['test_collection'] } - one snapshot and one object per collection
+ */
+function validateBackupTarget(target = {}) {
+    const collections = target.collections && target.collections.length > 0 ? target.collections : [defaultCollection];
     return {
-        success: true,
-        message: 'QdrantDB backup completed and uploaded to GCS',
-        gcsPath: uploadResult.gcsPath
+        collections: collections.map((collection) => assertIdentifier(collection, 'collection')),
     };
+}
 
-    } catch (error) {
-        console.error('Backup failed:', error);
-        throw error;
-    }
-};
+/**
+ * Validate the restore target from the message
+ * { collection: 'test_collection' }
+ */
+function validateRestoreTarget(target = {}) {
+        return {
+                collection: assertIdentifier(target.collection || defaultCollection, 'collection'),
+        };
+}
+
+/**
+ * Build the snapshot recovery command for a downloaded snapshot
+ * priority=snapshot makes the snapshot data win over any existing collection data.
+ */
+function buildRestoreCommand(localPath, target) {
+        const snapshotPath = `${localPath}.snapshot`;
+
+        return `
+                gunzip -c "${localPath}" > "${snapshotPath}" && \
+                curl -sf -X POST "http://localhost:6333/collections/${target.collection}/snapshots/upload?priority=snapshot" \
+                        -F "snapshot=@${snapshotPath}" && \
+                echo "Collection ${target.collection} recovered from snapshot"
+        `;
+}
+
+/**
+ * Stream a backup object from GCS to a file on the VM over SFTP
+ * Encrypted objects are decrypted on the way; the GCM tag fails the download
+ * if the object was tampered with. Unencrypted objects are copied as they are.
+ */
+async function downloadBackupToVM(vm, sourceBucket, fileName, localPath) {
+    const decipher = await createDecryption(sourceBucket, fileName);
+
+    return new Promise((resolve, reject) => {
+        const conn = new Client();
+
+        conn.on('ready', () => {
+            console.log('SSH connection established for download');
+
+            conn.sftp((err, sftp) => {
+                if (err) {
+                    conn.end();
+                    return reject(err);
+                }
+
+                const readStream = storage.bucket(sourceBucket).file(fileName).createReadStream();
+                const writeStream = sftp.createWriteStream(localPath);
+
+                let size = 0;
+                readStream.on('data', (chunk) => {
+                    size += chunk.length;
+                });
+
+                readStream.on('error', (error) => {
+                    conn.end();
+                    reject(new Error(`Failed to read backup from GCS: ${error.message}`));
+                });
+
+                writeStream.on('error', (error) => {
+                    conn.end();
+                    reject(new Error(`Failed to write backup to VM: ${error.message}`));
+                });
+
+                writeStream.on('close', () => {
+                    conn.end();
+                    resolve({ localPath, size });
+                });
+
+                if (decipher) {
+                    decipher.on('error', (error) => {
+                        conn.end();
+                        reject(new Error(`Failed to decrypt backup: ${error.message}`));
+                    });
+                    readStream.pipe(decipher).pipe(writeStream);
+                } else {
+                    readStream.pipe(writeStream);
+                }
+            });
+        });
+
+        conn.on('error', (err) => {
+            reject(err);
+        });
+
+        conn.connect(vm);
+    });
+}
+
+/**
+ * Run a shell command on the VM and resolve with its output
+ */
+function runRemoteCommand(vm, command) {
+    return new Promise((resolve, reject) => {
+        const conn = new Client();
+
+        conn.on('ready', () => {
+            conn.exec(command, (err, stream) => {
+                if (err) {
+                    conn.end();
+                    return reject(err);
+                }
+
+                let output = '';
+                let errorOutput = '';
+
+                stream.on('data', (data) => {
+                    output += data.toString();
+                    console.log('STDOUT:', data.toString());
+                });
+
+                stream.stderr.on('data', (data) => {
+                    errorOutput += data.toString();
+                    console.log('STDERR:', data.toString());
+                });
+
+                stream.on('close', (code) => {
+                    conn.end();
+
+                    if (code === 0) {
+                        resolve({ output: output.trim() });
+                    } else {
+                        reject(new Error(`Command failed with code ${code}: ${errorOutput}`));
+                    }
+                });
+            });
+        });
+
+        conn.on('error', (err) => {
+            reject(err);
+        });
+
+        conn.connect(vm);
+    });
+}
 
 /**
  * Create snapshot via Qdrant API and download it using the download endpoint.
  * The download endpoint waits for the snapshot to be ready before returning.
  */
-function createAndDownloadSnapshot(vmIp, vmUsername, sshKey) {
+function createAndDownloadSnapshot(vm, collectionName) {
     return new Promise((resolve, reject) => {
         const conn = new Client();
 
@@ -221,19 +850,16 @@ SCRIPT_EOF
             reject(err);
         });
 
-        conn.connect({
-            host: vmIp,
-            port: 22,
-            username: vmUsername,
-            privateKey: sshKey,
-        });
+        conn.connect(vm);
     });
 }
 
 /**
  * Compress and upload snapshot file from VM to Google Cloud Storage
  */
-async function uploadBackupToGCS(vmIp, vmUsername, sshKey, backupInfo) {
+async function uploadBackupToGCS(vm, backupInfo, details) {
+    const encryption = await createEncryption();
+
     return new Promise((resolve, reject) => {
         const conn = new Client();
 
@@ -242,10 +868,10 @@ async function uploadBackupToGCS(vmIp, vmUsername, sshKey, backupInfo) {
 
             const compressedFilename = `qdrantdb_${backupInfo.collectionName}_${backupInfo.timestamp}.tar.gz`;
             const compressedPath = `/tmp/${compressedFilename}`;
-            const gcsPath = `qdrantdb/${compressedFilename}`;
+            const gcsPath = `qdrantdb/${details.host}/${compressedFilename}`;
 
             // Compress the snapshot file using gzip
-            const compressCommand = `gzip -c "${backupInfo.localPath}" > "${compressedPath}" && echo "COMPRESSED_SIZE=$(stat -c%s "${compressedPath}" 2>/dev/null || stat -f%z "${compressedPath}")"`;
+            const compressCommand = `gzip -c "${backupInfo.localPath}" > "${compressedPath}" && echo "COMPRESSED_SIZE=$(stat -c%s "${compressedPath}" 2>/dev/null || stat -f%z "${compressedPath}")" && echo "SHA256=$(sha256sum "${compressedPath}" | cut -d' ' -f1)"`;
 
             console.log('Compressing snapshot file...');
             conn.exec(compressCommand, (err, stream) => {
@@ -289,24 +915,37 @@ async function uploadBackupToGCS(vmIp, vmUsername, sshKey, backupInfo) {
                             return reject(err);
                         }
 
+                        const vmChecksum = { sha256: (compressOutput.match(/SHA256=([a-f0-9]{64})/) || [])[1], size: compressedSize };
+
                         const readStream = sftp.createReadStream(compressedPath);
                         const bucket = storage.bucket(bucketName);
-                        const file = bucket.file(gcsPath);
+                        const file = bucket.file(`${uploadPrefix}${gcsPath}`);
                         const writeStream = file.createWriteStream({
                             metadata: {
-                                contentType: 'application/gzip',
+                                contentType: 'application/octet-stream',
                                 metadata: {
+                                    ...encryption.metadata,
                                     source: 'qdrantdb-backup-function',
                                     timestamp: new Date().toISOString(),
                                     collectionName: backupInfo.collectionName,
                                     snapshotName: backupInfo.snapshotName,
                                     originalSize: backupInfo.fileSize,
                                     compressedSize: compressedSize,
-                                    backupMethod: 'snapshot-download-compressed'
+                                    backupMethod: 'snapshot-download-compressed',
+                                    runId: details.runId,
+                                    host: details.host
                                 }
                             }
                         });
 
+                        // Hashed before encryption so the upload can be checked against the VM's digest
+                        const hash = crypto.createHash('sha256');
+                        let size = 0;
+                        readStream.on('data', (chunk) => {
+                            size += chunk.length;
+                            hash.update(chunk);
+                        });
+
                         readStream.on('error', (error) => {
                             conn.end();
                             reject(new Error(`Failed to read file from VM: ${error.message}`));
@@ -324,12 +963,22 @@ async function uploadBackupToGCS(vmIp, vmUsername, sshKey, backupInfo) {
                                 gcsPath: `gs://${bucketName}/${gcsPath}`,
                                 bucket: bucketName,
                                 filename: gcsPath,
+                                uploadName: file.name,
                                 compressedPath: compressedPath,
-                                compressedSize: compressedSize
+                                compressedSize: compressedSize,
+                                sha256: hash.digest('hex'),
+                                encryption: { keyId: encryption.metadata.keyId, authTag: encryption.cipher.getAuthTag().toString('base64') },
+                                vmChecksum,
+                                size: size
                             });
                         });
 
-                        readStream.pipe(writeStream);
+                        encryption.cipher.on('error', (error) => {
+                            conn.end();
+                            reject(new Error(`Failed to encrypt backup: ${error.message}`));
+                        });
+
+                        readStream.pipe(encryption.cipher).pipe(writeStream);
                     });
                 });
             });
@@ -339,19 +988,121 @@ async function uploadBackupToGCS(vmIp, vmUsername, sshKey, backupInfo) {
             reject(err);
         });
 
-        conn.connect({
-            host: vmIp,
-            port: 22,
-            username: vmUsername,
-            privateKey: sshKey,
-        });
+        conn.connect(vm);
+    });
+}
+
+/**
+ * Read a version of the master key from Secret Manager
+ * The resolved version name is the key ID stored with each object, so its
+ * data key can still be unwrapped after the secret is rotated.
+ */
+async function getMasterKey(keyId = `projects/${projectId}/secrets/${masterKeySecret}/versions/latest`) {
+    const [response] = await secretClient.accessSecretVersion({ name: keyId });
+    const key = Buffer.from(response.payload.data.toString().trim(), 'base64');
+    if (key.length !== 32) {
+        throw new Error(`Master key ${response.name} must be 32 bytes, base64-encoded`);
+    }
+    return { keyId: response.name, key };
+}
+
+/**
+ * Set up envelope encryption for one backup object
+ * A fresh AES-256-GCM data key encrypts the stream; it is stored in the object's
+ * metadata wrapped by the master key (IV, ciphertext and tag, base64).
+ */
+async function createEncryption() {
+    const masterKey = await getMasterKey();
+    const dataKey = crypto.randomBytes(32);
+    const wrapIv = crypto.randomBytes(12);
+    const wrapper = crypto.createCipheriv(encryptionAlgorithm, masterKey.key, wrapIv);
+    const wrappedKey = Buffer.concat([wrapIv, wrapper.update(dataKey), wrapper.final(), wrapper.getAuthTag()]);
+    const iv = crypto.randomBytes(12);
+
+    return {
+        cipher: crypto.createCipheriv(encryptionAlgorithm, dataKey, iv),
+        metadata: {
+            encryption: encryptionAlgorithm,
+            keyId: masterKey.keyId,
+            wrappedKey: wrappedKey.toString('base64'),
+            iv: iv.toString('base64'),
+        },
+    };
+}
+
+/**
+ * Decipher for an encrypted backup object, or null for objects stored unencrypted
+ */
+async function createDecryption(sourceBucket, fileName) {
+    const [objectMetadata] = await storage.bucket(sourceBucket).file(fileName).getMetadata();
+    const metadata = objectMetadata.metadata || {};
+    if (!metadata.encryption) {
+        return null;
+    }
+    if (metadata.encryption !== encryptionAlgorithm || !metadata.authTag) {
+        throw new Error(`${fileName} cannot be decrypted: unsupported algorithm or missing auth tag`);
+    }
+
+    const masterKey = await getMasterKey(metadata.keyId);
+    const wrappedKey = Buffer.from(metadata.wrappedKey, 'base64');
+    const unwrapper = crypto.createDecipheriv(encryptionAlgorithm, masterKey.key, wrappedKey.subarray(0, 12));
+    unwrapper.setAuthTag(wrappedKey.subarray(-16));
+    const dataKey = Buffer.concat([unwrapper.update(wrappedKey.subarray(12, -16)), unwrapper.final()]);
+
+    const decipher = crypto.createDecipheriv(encryptionAlgorithm, dataKey, Buffer.from(metadata.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(metadata.authTag, 'base64'));
+    return decipher;
+}
+
+/**
+ * Compare the digest computed while streaming with the VM's, then record it
+ * A mismatch (e.g. a truncated SFTP stream) deletes the object so no corrupt
+ * backup is kept. The digest is written to the object's metadata and to a
+ * sidecar manifest at manifests/<object name>.json. Digest and size are those
+ * of the decrypted backup; the GCM auth tag is only known once the upload ends,
+ * so the object waits under uploads/ until both are written, then is moved to
+ * its name under the engine prefix. A run that dies in between leaves only the
+ * uploads/ copy, never a backup that cannot be decrypted.
+ */
+async function verifyUpload(uploadResult, vmChecksum, details) {
+    const bucket = storage.bucket(bucketName);
+    const file = bucket.file(uploadResult.uploadName);
+
+    if (!vmChecksum.sha256 || uploadResult.sha256 !== vmChecksum.sha256 || uploadResult.size !== vmChecksum.size) {
+        await file.delete().catch((error) => console.warn(`Failed to delete corrupt upload ${uploadResult.filename}:`, error.message));
+        throw new Error(`Checksum mismatch for ${uploadResult.filename}: VM ${vmChecksum.sha256} (${vmChecksum.size} bytes), uploaded ${uploadResult.sha256} (${uploadResult.size} bytes)`);
+    }
+
+    await file.setMetadata({
+        metadata: {
+            sha256: uploadResult.sha256,
+            sizeBytes: String(uploadResult.size),
+            authTag: uploadResult.encryption.authTag,
+        },
+    });
+    await file.move(uploadResult.filename);
+
+    const manifest = {
+        object: uploadResult.filename,
+        bucket: bucketName,
+        algorithm: 'sha256',
+        sha256: uploadResult.sha256,
+        sizeBytes: uploadResult.size,
+        encryption: { algorithm: encryptionAlgorithm, keyId: uploadResult.encryption.keyId },
+        ...details,
+        createdAt: new Date().toISOString(),
+    };
+    await bucket.file(`${manifestPrefix}${uploadResult.filename}.json`).save(JSON.stringify(manifest, null, 2), {
+        contentType: 'application/json',
+        resumable: false,
     });
+    console.log(`Checksum verified for ${uploadResult.filename}: ${uploadResult.sha256}`);
 }
 
 /**
  * Delete local snapshot and compressed files from VM after successful upload
  */
-function deleteLocalBackup(vmIp, vmUsername, sshKey, backupInfo, uploadResult) {
+function deleteLocalBackup(vm, backupInfo, uploadResult) {
     return new Promise((resolve, reject) => {
         const conn = new Client();
 
@@ -396,12 +1147,7 @@ function deleteLocalBackup(vmIp, vmUsername, sshKey, backupInfo, uploadResult) {
             reject(err);
         });
 
-        conn.connect({
-            host: vmIp,
-            port: 22,
-            username: vmUsername,
-            privateKey: sshKey,
-        });
+        conn.connect(vm);
     });
 }
 
@@ -409,7 +1155,7 @@ function deleteLocalBackup(vmIp, vmUsername, sshKey, backupInfo, uploadResult) {
  * Delete snapshot from Qdrant storage via DELETE API
  * This removes the snapshot files from ~/qdrant_snapshots/{collection}/
  */
-function deleteQdrantSnapshot(vmIp, vmUsername, sshKey, snapshotName) {
+function deleteQdrantSnapshot(vm, collectionName, snapshotName) {
     return new Promise((resolve, reject) => {
         const conn = new Client();
 
@@ -458,11 +1204,6 @@ function deleteQdrantSnapshot(vmIp, vmUsername, sshKey, snapshotName) {
             resolve({ message: 'Qdrant snapshot deletion skipped', warning: err.message });
         });
 
-        conn.connect({
-            host: vmIp,
-            port: 22,
-            username: vmUsername,
-            privateKey: sshKey,
-        });
+        conn.connect(vm);
     });
 }
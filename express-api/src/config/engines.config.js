@@ -0,0 +1,139 @@
+const { z } = require('zod');
+const { env } = require('./env');
+const { HttpError } = require('../utils/errors');
+
+// Target names end up in shell commands on the VM, so only plain identifiers are accepted
+const identifier = z.string().regex(/^[A-Za-z0-9_][A-Za-z0-9_.-]{0,62}$/, 'must be a plain identifier (letters, digits, _ . -)');
+
+/**
+ * Database engine registry
+ * Adding an engine is a single entry here: the generic /backup/:engine routes,
+ * the bucket listing and the Cloud Tasks scheduler all read from this map.
+ *
+ * backupTarget validates what a backup covers; the parsed target travels in the
+ * Pub/Sub message and the function names the object after it.
+ * restoreTarget validates the restore target; restoreTargetName names what a
+ * restore overwrites and is what the caller must echo back as `confirm`.
+ * importExtensions are the file types an import accepts, i.e. what the restore
+ * function knows how to replay.
+ */
+const engines = {
+  postgres: {
+    name: 'postgres',
+    displayName: 'PostgreSQL',
+    topic: env.POSTGRES_TOPIC,
+    restoreTopic: env.POSTGRES_RESTORE_TOPIC,
+    prefix: 'postgres/',
+    extension: '.sql.gz',
+    backupTarget: z.object({
+      databases: z.array(identifier).min(1).max(20).default(['postgres']),
+    }).strict(),
+    restoreTarget: z.object({
+      database: identifier.default('postgres'),
+      createDatabase: z.boolean().default(false),
+      clean: z.boolean().default(false),
+    }).strict(),
+    restoreTargetName: (target) => target.database,
+    importExtensions: ['.sql.gz', '.sql', '.dump'],
+    capabilities: { backup: true, schedule: true, list: true, restore: true, import: true },
+  },
+  mongodb: {
+    name: 'mongodb',
+    displayName: 'MongoDB',
+    topic: env.MONGODB_TOPIC,
+    restoreTopic: env.MONGODB_RESTORE_TOPIC,
+    prefix: 'mongodb/',
+    extension: '.tar.gz',
+    // No database dumps every database
+    backupTarget: z.object({
+      database: identifier.optional(),
+      collections: z.array(identifier).min(1).max(50).optional(),
+    }).strict().refine((target) => !target.collections || target.database, {
+      message: 'collections requires database',
+    }),
+    restoreTarget: z.object({
+      database: identifier.optional(),
+      collection: identifier.optional(),
+      drop: z.boolean().default(false),
+    }).strict().refine((target) => !target.collection || target.database, {
+      message: 'collection requires database',
+    }),
+    restoreTargetName: (target) => (target.collection ? `${target.database}.${target.collection}` : target.database || 'all'),
+    // mongodump --out directory, tarred and gzipped
+    importExtensions: ['.tar.gz'],
+    capabilities: { backup: true, schedule: true, list: true, restore: true, import: true },
+  },
+  questdb: {
+    name: 'questdb',
+    displayName: 'QuestDB',
+    topic: env.QUESTDB_TOPIC,
+    restoreTopic: env.QUESTDB_RESTORE_TOPIC,
+    prefix: 'questdb/',
+    extension: '.tar.gz',
+    // No tables backs up the whole database
+    backupTarget: z.object({
+      tables: z.array(identifier).min(1).max(50).optional(),
+    }).strict(),
+    // Checkpoint restores replace the whole QuestDB root
+    restoreTarget: z.object({}).strict(),
+    restoreTargetName: () => 'questdb',
+    importExtensions: ['.tar.gz'],
+    capabilities: { backup: true, schedule: true, list: true, restore: true, import: true },
+  },
+  qdrantdb: {
+    name: 'qdrantdb',
+    displayName: 'QdrantDB',
+    topic: env.QDRANTDB_TOPIC,
+    restoreTopic: env.QDRANTDB_RESTORE_TOPIC,
+    prefix: 'qdrantdb/',
+    extension: '.tar.gz',
+    backupTarget: z.object({
+      collections: z.array(identifier).min(1).max(20).default(['test_collection']),
+    }).strict(),
+    restoreTarget: z.object({
+      collection: identifier,
+    }).strict(),
+    restoreTargetName: (target) => target.collection,
+    // A gzipped collection snapshot (snapshots are tar archives)
+    importExtensions: ['.tar.gz'],
+    capabilities: { backup: true, schedule: true, list: true, restore: true, import: true },
+  },
+};
+
+/**
+ * Look up an engine by name
+ * @param {string} name - Engine name as used in routes (e.g. 'postgres')
+ * @returns {object|null} The registry entry, or null for unknown engines
+ */
+const getEngine = (name) => {
+  return Object.prototype.hasOwnProperty.call(engines, name) ? engines[name] : null;
+};
+
+/**
+ * List all registered engines
+ */
+const listEngines = () => {
+  return Object.values(engines);
+};
+
+/**
+ * Validate a backup target against the engine's backupTarget schema
+ * @param {object} engine - Engine registry entry
+ * @param {object} target - Raw target from the request (may be undefined)
+ * @returns {object} The target with defaults applied
+ * @throws {HttpError} 400 carrying the validation issues
+ */
+const parseBackupTarget = (engine, target = {}) => {
+  const parsed = engine.backupTarget.safeParse(target);
+  if (!parsed.success) {
+    throw new HttpError(400, `Invalid ${engine.displayName} backup target`, parsed.error.issues);
+  }
+  return parsed.data;
+};
+
+module.exports = {
+  engines,
+  getEngine,
+  listEngines,
+  parseBackupTarget,
+};
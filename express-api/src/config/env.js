@@ -11,10 +11,43 @@ POSTGRES_TOPIC: z.string().min(1, 'POSTGRES_TOPIC is required'),
 MONGODB_TOPIC: z.string().min(1, 'MONGODB_TOPIC is required'),
 QUESTDB_TOPIC: z.string().min(1, 'QUESTDB_TOPIC is required'),
 QDRANTDB_TOPIC: z.string().min(1, 'QDRANTDB_TOPIC is required'),
+// Restore topics (optional - default to <engine>-restore)
+POSTGRES_RESTORE_TOPIC: z.string().default('postgres-restore'),
+MONGODB_RESTORE_TOPIC: z.string().default('mongodb-restore'),
+QUESTDB_RESTORE_TOPIC: z.string().default('questdb-restore'),
+QDRANTDB_RESTORE_TOPIC: z.string().default('qdrantdb-restore'),
 CLOUD_TASKS_QUEUE: z.string().optional(),
 CLOUD_TASKS_LOCATION: z.string().default('us-central1'),
 GCS_BACKUP_BUCKET: z.string().min(1, 'GCS_BACKUP_BUCKET is required'),
+// Firestore (optional - uses the project's (default) database)
+FIRESTORE_DATABASE_ID: z.string().optional(),
+// Recurring schedules: Cloud Scheduler jobs in production, in-process timers locally
+SCHEDULER_MODE: z.enum(['cloud-scheduler', 'in-process']).default('cloud-scheduler'),
+CLOUD_SCHEDULER_LOCATION: z.string().default('us-central1'),
+SCHEDULE_RUN_HISTORY: z.coerce.number().int().min(1).max(100).default(10),
+// Lease on an engine/host while a backup runs; an expired lease counts as free
+BACKUP_LOCK_TTL_MINUTES: z.coerce.number().int().min(1).max(1440).default(120),
+// How long an Idempotency-Key is remembered on trigger, schedule and restore routes
+IDEMPOTENCY_TTL_HOURS: z.coerce.number().int().min(1).max(720).default(24),
+// When the in-process retention job prunes backups (UTC cron; SCHEDULER_MODE=in-process only)
+RETENTION_CRON: z.string().default('30 3 * * *'),
+// How long deleted backups stay in the trash, and when the in-process job purges expired ones (UTC cron)
+TRASH_RETENTION_DAYS: z.coerce.number().int().min(1).max(365).default(7),
+TRASH_PURGE_CRON: z.string().default('0 4 * * *'),
+// Secret Manager secret with the master key that wraps backup data keys (used for imports)
+BACKUP_MASTER_KEY_SECRET: z.string().default('cf-backup-master-key'),
+// Completion events pushed by the backup-results subscription (?token= on the push URL)
+PUBSUB_PUSH_TOKEN: z.string().min(20, 'PUBSUB_PUSH_TOKEN must be at least 20 characters').optional(),
 FRONTEND_URL: z.string().optional(),
+// SMTP server for email notifications (optional - emails are disabled without SMTP_HOST)
+SMTP_HOST: z.string().optional(),
+SMTP_PORT: z.coerce.number().int().min(1).max(65535).default(587),
+SMTP_TLS: z.enum(['none', 'starttls', 'implicit']).default('starttls'),
+SMTP_USER: z.string().optional(),
+SMTP_PASSWORD: z.string().optional(),
+SMTP_FROM: z.string().default('Database Backups <backups@localhost>'),
+// When daily digest emails go out (UTC cron; SCHEDULER_MODE=in-process only)
+NOTIFY_DIGEST_CRON: z.string().default('0 7 * * *'),
 // Cloudflare Configuration (optional - required only for automatic TXT record creation)
 CLOUDFLARE_API_TOKEN: z.string().optional(),
 CLOUDFLARE_ZONE_ID: z.string().optional(),
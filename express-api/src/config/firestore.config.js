@@ -0,0 +1,36 @@
+const { Firestore, FieldPath } = require('@google-cloud/firestore');
+const { env } = require('./env');
+
+/**
+ * Initialize Firestore client
+ * Honors FIRESTORE_EMULATOR_HOST automatically for local development.
+ * Undefined fields are dropped so optional values can be spread into documents.
+ */
+const firestoreClient = new Firestore({
+  projectId: env.GCP_PROJECT_ID,
+  ignoreUndefinedProperties: true,
+  ...(env.FIRESTORE_DATABASE_ID && {
+    databaseId: env.FIRESTORE_DATABASE_ID
+  }),
+  ...(env.GOOGLE_APPLICATION_CREDENTIALS && {
+    keyFilename: env.GOOGLE_APPLICATION_CREDENTIALS
+  })
+});
+
+/**
+ * Get collection reference
+ */
+const getCollection = (collectionName) => {
+  return firestoreClient.collection(collectionName);
+};
+
+/**
+ * Field path of the document ID, the tie-breaker for queries paged by a timestamp
+ */
+const documentId = FieldPath.documentId();
+
+module.exports = {
+  firestoreClient,
+  getCollection,
+  documentId,
+};
@@ -0,0 +1,32 @@
+const { CloudSchedulerClient } = require('@google-cloud/scheduler');
+const { env } = require('./env');
+
+/**
+ * Initialize Cloud Scheduler client
+ */
+const cloudSchedulerClient = new CloudSchedulerClient({
+  projectId: env.GCP_PROJECT_ID,
+  ...(env.GOOGLE_APPLICATION_CREDENTIALS && {
+    keyFilename: env.GOOGLE_APPLICATION_CREDENTIALS
+  })
+});
+
+/**
+ * Get location path that owns the recurring backup jobs
+ */
+const getLocationPath = () => {
+  return cloudSchedulerClient.locationPath(env.GCP_PROJECT_ID, env.CLOUD_SCHEDULER_LOCATION);
+};
+
+/**
+ * Get job path
+ */
+const getJobPath = (jobId) => {
+  return cloudSchedulerClient.jobPath(env.GCP_PROJECT_ID, env.CLOUD_SCHEDULER_LOCATION, jobId);
+};
+
+module.exports = {
+  cloudSchedulerClient,
+  getLocationPath,
+  getJobPath,
+};
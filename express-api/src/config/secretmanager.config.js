@@ -0,0 +1,17 @@
+const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
+const { env } = require('./env');
+
+/**
+ * Initialize Secret Manager client
+ * Holds the master key that wraps the data keys of encrypted backups.
+ */
+const secretManagerClient = new SecretManagerServiceClient({
+  projectId: env.GCP_PROJECT_ID,
+  ...(env.GOOGLE_APPLICATION_CREDENTIALS && {
+    keyFilename: env.GOOGLE_APPLICATION_CREDENTIALS
+  })
+});
+
+module.exports = {
+  secretManagerClient,
+};
@@ -5,6 +5,26 @@ const { testConnection } = require('./config/pubsub.config');
 const { testConnection: testCloudflareConnection } = require('./config/cloudflare.config');
 const { errorHandler, notFoundHandler } = require('./middleware/error.middleware');
 const backupRoutes = require('./routes/backup.routes');
+const scheduleRoutes = require('./routes/schedule.routes');
+const runRoutes = require('./routes/run.routes');
+const eventRoutes = require('./routes/event.routes');
+const hostRoutes = require('./routes/host.routes');
+const apiKeyRoutes = require('./routes/apikey.routes');
+const auditRoutes = require('./routes/audit.routes');
+const lockRoutes = require('./routes/lock.routes');
+const fileRoutes = require('./routes/file.routes');
+const retentionRoutes = require('./routes/retention.routes');
+const trashRoutes = require('./routes/trash.routes');
+const bulkRoutes = require('./routes/bulk.routes');
+const replicationRoutes = require('./routes/replication.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const { startInProcessScheduler } = require('./services/schedule.service');
+const { startRetentionJob } = require('./services/retention.service');
+const { startTrashPurgeJob } = require('./services/trash.service');
+const { startReplicationListener } = require('./services/replication.service');
+const { startWebhookDispatcher } = require('./services/webhook.service');
+const { startEmailNotifier, startDigestJob } = require('./services/notification.service');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -20,7 +40,9 @@ const allowedOrigins = [
 
 app.use(cors({
   origin: allowedOrigins,
-  credentials: true
+  credentials: true,
+  // Read by the UI when it downloads or resumes a backup
+  exposedHeaders: ['Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag']
 }));
 
 
@@ -39,23 +61,75 @@ app.get('/', (req, res) => {
       version: '1.0.0',
       endpoints: {
         health: 'GET /backup/health',
-        triggerBackup: 'POST /backup/postgres (requires x-api-key header)',
-        triggerMongoDBBackup: 'POST /backup/mongodb (requires x-api-key header)',
-        schedulePostgreSQLBackup: 'POST /backup/postgres/schedule (requires x-api-key header and delayMinutes in body)',
-        scheduleMongoDBBackup: 'POST /backup/mongodb/schedule (requires x-api-key header and delayMinutes in body)',
-        listPostgresBackups: 'GET /backup/postgres/list (requires x-api-key header)',
-        listMongoDBBackups: 'GET /backup/mongodb/list (requires x-api-key header)',
-        downloadPostgresBackup: 'GET /backup/download?fileName=postgres/backup-2024-01-01.sql (requires x-api-key header)',
+        listEngines: 'GET /backup/engines (requires x-api-key header)',
+        triggerBackup: 'POST /backup/:engine (requires x-api-key header; engine is postgres, mongodb, questdb or qdrantdb)',
+        scheduleBackup: 'POST /backup/:engine/schedule (requires x-api-key header and delayMinutes in body)',
+        backupCatalog: 'GET /backup/catalog?engine=postgres&host=db-eu-1&label=keep (requires x-api-key header; all engines with statistics)',
+        listBackups: 'GET /backup/:engine/list?host=db-eu-1&pageSize=50&sort=name_asc (requires x-api-key header, paged by nextPageToken)',
+        restoreBackup: 'POST /backup/:engine/restore (requires x-api-key header, fileName, target and confirm in body)',
+        importBackup: 'POST /backup/:engine/import?fileName=app.sql.gz&host=db-eu-1 (requires x-api-key header; file as the body, or JSON { fileName, host } for a resumable upload URL)',
+        completeImport: 'POST /backup/:engine/import/:importId/complete (requires x-api-key header)',
+        downloadBackup: 'GET /backup/download?fileName=postgres/backup-2024-01-01.sql (requires x-api-key header)',
+        backupContent: 'GET /backup/files/postgres/default/backup-2024-01-01.sql.gz/content?decompress=false (requires x-api-key header; streams the decrypted file, supports Range)',
+        labelBackup: 'PATCH /backup/files/postgres/default/backup-2024-01-01.sql.gz (requires x-api-key header; labels, addLabels, removeLabels and note in body)',
+        placeHold: 'POST /backup/files/postgres/default/backup-2024-01-01.sql.gz/hold (requires x-api-key header and reason in body)',
+        releaseHold: 'DELETE /backup/files/postgres/default/backup-2024-01-01.sql.gz/hold (requires x-api-key header)',
+        listRetentionPolicies: 'GET /backup/retention (requires x-api-key header)',
+        setRetentionPolicy: 'PUT /backup/retention/:engine (requires x-api-key header; keepLast, keepDaily, keepWeekly, keepMonthly, keepYearly, maxAgeDays, minKeep in body)',
+        previewRetention: 'GET /backup/retention/:engine/preview (requires x-api-key header; lists what the policy would delete)',
+        runRetention: 'POST /backup/retention/:engine/run or /backup/retention/run (requires x-api-key header; deletes what the policy no longer keeps)',
+        deleteBackup: 'DELETE /backup/delete?fileName=postgres/backup-2024-01-01.sql (requires x-api-key header; moves the backup to the trash)',
+        bulkOperation: 'POST /backup/bulk (requires x-api-key header, filter and action in body; a dry run unless confirmationToken from the dry run is sent)',
+        listTrash: 'GET /backup/trash?engine=postgres (requires x-api-key header)',
+        restoreFromTrash: 'POST /backup/trash/postgres/default/backup-2024-01-01.sql.gz/restore (requires x-api-key header)',
+        purgeFromTrash: 'DELETE /backup/trash/postgres/default/backup-2024-01-01.sql.gz (requires purge x-api-key; permanent)',
+        purgeExpiredTrash: 'POST /backup/trash/purge (requires purge x-api-key; permanently deletes backups past their grace period)',
+        listReplicationTargets: 'GET /backup/replication (requires x-api-key header)',
+        setReplicationTargets: 'PUT /backup/replication/:engine (requires admin x-api-key, targets in body: gcs buckets or s3-compatible endpoints)',
+        deleteReplicationTargets: 'DELETE /backup/replication/:engine (requires admin x-api-key; replicas are kept)',
+        replicateBackups: 'POST /backup/replicate (requires trigger x-api-key; copies existing backups to the replication targets)',
+        verifyBackup: 'POST /backup/verify?fileName=postgres/default/backup-2024-01-01.sql.gz (requires x-api-key header; recomputes the SHA-256)',
         listTasks: 'GET /backup/tasks (requires x-api-key header)',
         getTaskDetails: 'GET /backup/tasks/:taskId (requires x-api-key header)',
         cancelTask: 'DELETE /backup/tasks/:taskId (requires x-api-key header)',
-        triggerQuestDBBackup: 'POST /backup/questdb (requires x-api-key header)',
-        scheduleQuestDBBackup: 'POST /backup/questdb/schedule (requires x-api-key header and delayMinutes in body)',
-        listQuestDBBackups: 'GET /backup/questdb/list (requires x-api-key header)',
-        triggerQdrantDBBackup: 'POST /backup/qdrantdb (requires x-api-key header)',
-        scheduleQdrantDBBackup: 'POST /backup/qdrantdb/schedule (requires x-api-key header and delayMinutes in body)',
-        listQdrantDBBackups: 'GET /backup/qdrantdb/list (requires x-api-key header)',
-        deleteQdrantDBBackup: 'DELETE /backup/qdrantdb/:fileName (requires x-api-key header)',
+        createRecurringSchedule: 'POST /backup/schedules (requires x-api-key header, engine and cron in body)',
+        listRecurringSchedules: 'GET /backup/schedules (requires x-api-key header)',
+        getRecurringSchedule: 'GET /backup/schedules/:scheduleId (requires x-api-key header)',
+        updateRecurringSchedule: 'PATCH /backup/schedules/:scheduleId (requires x-api-key header)',
+        pauseRecurringSchedule: 'POST /backup/schedules/:scheduleId/pause (requires x-api-key header)',
+        resumeRecurringSchedule: 'POST /backup/schedules/:scheduleId/resume (requires x-api-key header)',
+        deleteRecurringSchedule: 'DELETE /backup/schedules/:scheduleId (requires x-api-key header)',
+        listRuns: 'GET /backup/runs?engine=postgres&status=failed (requires x-api-key header)',
+        getRun: 'GET /backup/runs/:runId (requires x-api-key header)',
+        backupEventsPush: 'POST /backup/events/pubsub?token=... (Pub/Sub push subscription for backup-results)',
+        createHost: 'POST /backup/hosts (requires x-api-key header, name, address, username, sshKeySecret and engines in body)',
+        listHosts: 'GET /backup/hosts?engine=postgres (requires x-api-key header)',
+        getHost: 'GET /backup/hosts/:hostName (requires x-api-key header)',
+        updateHost: 'PATCH /backup/hosts/:hostName (requires x-api-key header)',
+        deleteHost: 'DELETE /backup/hosts/:hostName (requires x-api-key header)',
+        createApiKey: 'POST /backup/keys (requires admin x-api-key, name and scopes in body)',
+        listApiKeys: 'GET /backup/keys (requires admin x-api-key)',
+        getApiKey: 'GET /backup/keys/:keyId (requires admin x-api-key)',
+        rotateApiKey: 'POST /backup/keys/:keyId/rotate (requires admin x-api-key)',
+        revokeApiKey: 'DELETE /backup/keys/:keyId (requires admin x-api-key)',
+        listAuditEntries: 'GET /backup/audit?action=backup.delete&outcome=failure (requires audit x-api-key)',
+        exportAuditEntries: 'GET /backup/audit/export?from=2024-01-01T00:00:00Z (requires audit x-api-key, JSON lines)',
+        listLocks: 'GET /backup/locks (requires x-api-key header)',
+        releaseLock: 'DELETE /backup/locks/:lockId (requires admin x-api-key)',
+        createWebhook: 'POST /backup/webhooks (requires admin x-api-key, name, url and events in body; the signing secret is shown once)',
+        listWebhooks: 'GET /backup/webhooks (requires admin x-api-key)',
+        getWebhook: 'GET /backup/webhooks/:webhookId (requires admin x-api-key)',
+        updateWebhook: 'PATCH /backup/webhooks/:webhookId (requires admin x-api-key)',
+        deleteWebhook: 'DELETE /backup/webhooks/:webhookId (requires admin x-api-key)',
+        listWebhookDeliveries: 'GET /backup/webhooks/:webhookId/deliveries?status=failed (requires admin x-api-key)',
+        redeliverWebhook: 'POST /backup/webhooks/:webhookId/deliveries/:deliveryId/redeliver (requires admin x-api-key)',
+        createNotificationSubscription: 'POST /backup/notifications (requires admin x-api-key, email in body; engines, severities and mode optional)',
+        listNotificationSubscriptions: 'GET /backup/notifications (requires admin x-api-key)',
+        getNotificationSubscription: 'GET /backup/notifications/:subscriptionId (requires admin x-api-key)',
+        updateNotificationSubscription: 'PATCH /backup/notifications/:subscriptionId (requires admin x-api-key)',
+        deleteNotificationSubscription: 'DELETE /backup/notifications/:subscriptionId (requires admin x-api-key)',
+        sendTestEmail: 'POST /backup/notifications/test (requires admin x-api-key and email in body)',
+        sendDigestEmails: 'POST /backup/notifications/digest (requires admin x-api-key; sends the daily digests now)',
         generateDomainToken: 'POST /backup/domain/generate-token (requires x-api-key header and domain in body)',
         insertTxtRecord: 'POST /backup/domain/insert-txt (requires x-api-key header, domain and token in body)',
         verifyDomain: 'POST /backup/domain/verify (requires x-api-key header, domain and token in body)',
@@ -66,7 +140,21 @@ app.get('/', (req, res) => {
   });
 
 
-// Routes
+// Routes (feature routers first so /backup/:engine does not capture their paths)
+app.use('/backup/schedules', scheduleRoutes);
+app.use('/backup/runs', runRoutes);
+app.use('/backup/events', eventRoutes);
+app.use('/backup/hosts', hostRoutes);
+app.use('/backup/keys', apiKeyRoutes);
+app.use('/backup/audit', auditRoutes);
+app.use('/backup/locks', lockRoutes);
+app.use('/backup/files', fileRoutes);
+app.use('/backup/retention', retentionRoutes);
+app.use('/backup/trash', trashRoutes);
+app.use('/backup/bulk', bulkRoutes);
+app.use('/backup/replication', replicationRoutes);
+app.use('/backup/webhooks', webhookRoutes);
+app.use('/backup/notifications', notificationRoutes);
 app.use('/backup', backupRoutes);
 
 // Health check route
@@ -94,6 +182,25 @@ const startServer = async () => {
     // Test Cloudflare connection (optional - won't fail if not configured)
     await testCloudflareConnection();
 
+    // Copy each completed backup to its engine's replication targets
+    startReplicationListener();
+
+    // Send subscribed events to webhooks and resume retries interrupted by a restart
+    await startWebhookDispatcher();
+
+    // Email backup outcomes to immediate subscriptions (only when SMTP_HOST is set)
+    startEmailNotifier();
+
+    // Arm recurring schedules, the retention, trash purge and digest jobs locally when Cloud Scheduler is not used
+    if (env.SCHEDULER_MODE === 'in-process') {
+      await startInProcessScheduler();
+      startRetentionJob();
+      startTrashPurgeJob();
+      startDigestJob();
+    } else {
+      logger.info('Retention, trash purge and digest jobs run only when Cloud Scheduler calls their endpoints (see README: Background Jobs)');
+    }
+
     // Start Express server
     app.listen(PORT, () => {
       logger.success(`Server running on port ${PORT}`);
@@ -103,23 +210,77 @@ const startServer = async () => {
       console.log('\n📋 Available endpoints:');
       console.log(`   GET  http://localhost:${PORT}/`);
       console.log(`   GET  http://localhost:${PORT}/backup/health`);
-      console.log(`   POST http://localhost:${PORT}/backup/postgres`);
-      console.log(`   POST http://localhost:${PORT}/backup/mongodb`);
-      console.log(`   POST http://localhost:${PORT}/backup/postgres/schedule`);
-      console.log(`   POST http://localhost:${PORT}/backup/mongodb/schedule`);
-      console.log(`   GET http://localhost:${PORT}/backup/postgres/list`);
-      console.log(`   GET http://localhost:${PORT}/backup/mongodb/list`);
+      console.log(`   GET  http://localhost:${PORT}/backup/engines`);
+      console.log(`   POST http://localhost:${PORT}/backup/:engine`);
+      console.log(`   POST http://localhost:${PORT}/backup/:engine/schedule`);
+      console.log(`   GET  http://localhost:${PORT}/backup/:engine/list`);
+      console.log(`   GET  http://localhost:${PORT}/backup/catalog`);
+      console.log(`   POST http://localhost:${PORT}/backup/:engine/restore`);
+      console.log(`   POST http://localhost:${PORT}/backup/:engine/import`);
+      console.log(`   POST http://localhost:${PORT}/backup/:engine/import/:importId/complete`);
       console.log(`   GET http://localhost:${PORT}/backup/download?fileName=postgres/backup-2024-01-01.sql`);
+      console.log(`   GET http://localhost:${PORT}/backup/files/:fileName/content`);
+      console.log(`   PATCH http://localhost:${PORT}/backup/files/:fileName`);
+      console.log(`   POST http://localhost:${PORT}/backup/files/:fileName/hold`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/files/:fileName/hold`);
+      console.log(`   GET  http://localhost:${PORT}/backup/retention`);
+      console.log(`   PUT  http://localhost:${PORT}/backup/retention/:engine`);
+      console.log(`   GET  http://localhost:${PORT}/backup/retention/:engine/preview`);
+      console.log(`   POST http://localhost:${PORT}/backup/retention/:engine/run`);
+      console.log(`   POST http://localhost:${PORT}/backup/retention/run`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/delete?fileName=postgres/backup-2024-01-01.sql`);
+      console.log(`   POST http://localhost:${PORT}/backup/bulk`);
+      console.log(`   GET  http://localhost:${PORT}/backup/trash`);
+      console.log(`   POST http://localhost:${PORT}/backup/trash/:fileName/restore`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/trash/:fileName`);
+      console.log(`   POST http://localhost:${PORT}/backup/trash/purge`);
+      console.log(`   GET  http://localhost:${PORT}/backup/replication`);
+      console.log(`   GET  http://localhost:${PORT}/backup/replication/:engine`);
+      console.log(`   PUT  http://localhost:${PORT}/backup/replication/:engine`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/replication/:engine`);
+      console.log(`   POST http://localhost:${PORT}/backup/replicate`);
+      console.log(`   POST http://localhost:${PORT}/backup/verify?fileName=postgres/default/backup-2024-01-01.sql.gz`);
       console.log(`   GET http://localhost:${PORT}/backup/tasks`);
       console.log(`   GET http://localhost:${PORT}/backup/tasks/:taskId`);
       console.log(`   DELETE http://localhost:${PORT}/backup/tasks/:taskId`);
-      console.log(`   POST http://localhost:${PORT}/backup/questdb`);
-      console.log(`   POST http://localhost:${PORT}/backup/questdb/schedule`);
-      console.log(`   GET http://localhost:${PORT}/backup/questdb/list`);
-      console.log(`   POST http://localhost:${PORT}/backup/qdrantdb`);
-      console.log(`   POST http://localhost:${PORT}/backup/qdrantdb/schedule`);
-      console.log(`   GET http://localhost:${PORT}/backup/qdrantdb/list`);
-      console.log(`   DELETE http://localhost:${PORT}/backup/qdrantdb/:fileName`);
+      console.log(`   POST http://localhost:${PORT}/backup/schedules`);
+      console.log(`   GET  http://localhost:${PORT}/backup/schedules`);
+      console.log(`   GET  http://localhost:${PORT}/backup/schedules/:scheduleId`);
+      console.log(`   PATCH http://localhost:${PORT}/backup/schedules/:scheduleId`);
+      console.log(`   POST http://localhost:${PORT}/backup/schedules/:scheduleId/pause`);
+      console.log(`   POST http://localhost:${PORT}/backup/schedules/:scheduleId/resume`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/schedules/:scheduleId`);
+      console.log(`   GET  http://localhost:${PORT}/backup/runs`);
+      console.log(`   GET  http://localhost:${PORT}/backup/runs/:runId`);
+      console.log(`   POST http://localhost:${PORT}/backup/events/pubsub`);
+      console.log(`   POST http://localhost:${PORT}/backup/hosts`);
+      console.log(`   GET  http://localhost:${PORT}/backup/hosts`);
+      console.log(`   GET  http://localhost:${PORT}/backup/hosts/:hostName`);
+      console.log(`   PATCH http://localhost:${PORT}/backup/hosts/:hostName`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/hosts/:hostName`);
+      console.log(`   POST http://localhost:${PORT}/backup/keys`);
+      console.log(`   GET  http://localhost:${PORT}/backup/keys`);
+      console.log(`   GET  http://localhost:${PORT}/backup/keys/:keyId`);
+      console.log(`   POST http://localhost:${PORT}/backup/keys/:keyId/rotate`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/keys/:keyId`);
+      console.log(`   GET  http://localhost:${PORT}/backup/audit`);
+      console.log(`   GET  http://localhost:${PORT}/backup/audit/export`);
+      console.log(`   GET  http://localhost:${PORT}/backup/locks`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/locks/:lockId`);
+      console.log(`   POST http://localhost:${PORT}/backup/webhooks`);
+      console.log(`   GET  http://localhost:${PORT}/backup/webhooks`);
+      console.log(`   GET  http://localhost:${PORT}/backup/webhooks/:webhookId`);
+      console.log(`   PATCH http://localhost:${PORT}/backup/webhooks/:webhookId`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/webhooks/:webhookId`);
+      console.log(`   GET  http://localhost:${PORT}/backup/webhooks/:webhookId/deliveries`);
+      console.log(`   POST http://localhost:${PORT}/backup/webhooks/:webhookId/deliveries/:deliveryId/redeliver`);
+      console.log(`   POST http://localhost:${PORT}/backup/notifications`);
+      console.log(`   GET  http://localhost:${PORT}/backup/notifications`);
+      console.log(`   GET  http://localhost:${PORT}/backup/notifications/:subscriptionId`);
+      console.log(`   PATCH http://localhost:${PORT}/backup/notifications/:subscriptionId`);
+      console.log(`   DELETE http://localhost:${PORT}/backup/notifications/:subscriptionId`);
+      console.log(`   POST http://localhost:${PORT}/backup/notifications/test`);
+      console.log(`   POST http://localhost:${PORT}/backup/notifications/digest`);
       console.log(`   POST http://localhost:${PORT}/backup/domain/generate-token`);
       console.log(`   POST http://localhost:${PORT}/backup/domain/insert-txt`);
       console.log(`   POST http://localhost:${PORT}/backup/domain/verify`);
@@ -0,0 +1,72 @@
+const { recordAuditEntry } = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+// Body fields that are never written to the audit log
+const REDACTED_FIELDS = new Set(['key', 'password', 'privateKey', 'secret']);
+
+function redact(body) {
+  if (!body || typeof body !== 'object') {
+    return body ?? null;
+  }
+  return Object.fromEntries(
+    Object.entries(body).map(([field, value]) => [field, REDACTED_FIELDS.has(field) ? '[redacted]' : value])
+  );
+}
+
+/**
+ * Audit middleware factory for mutating routes, used after authenticateApiKey
+ * The entry is written once the response has been sent, so it records the
+ * outcome; a response cut off before it completed (e.g. a download the client
+ * dropped) is recorded as aborted. Handlers can add fields to the entry by
+ * setting res.locals.auditDetails. A failure to write it is logged and does not
+ * affect the response.
+ * @param {string} action - Audit action, e.g. 'backup.delete'
+ * @param {function} getTarget - ({ params, query, body }, responseBody) => what the action applies to
+ */
+const audit = (action, getTarget = () => null) => {
+  return (req, res, next) => {
+    // Route params and the client address are captured now; req.params is not reliable once
+    // routing has finished, and the socket may be gone when an aborted response closes
+    const pathParams = { ...req.params };
+    const { ip } = req;
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('close', () => {
+      const failed = res.statusCode >= 400;
+      const outcome = failed ? 'failure' : res.writableFinished ? 'success' : 'aborted';
+      let target = null;
+      try {
+        target = getTarget({ params: pathParams, query: req.query, body: req.body }, responseBody) ?? null;
+      } catch {
+        // Targets are best effort; a malformed request must still be audited
+      }
+
+      recordAuditEntry({
+        actor: req.apiKey ? { keyId: req.apiKey.keyId, name: req.apiKey.name } : null,
+        action,
+        target,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        params: {
+          path: pathParams,
+          query: req.query,
+          body: redact(req.body),
+        },
+        outcome,
+        statusCode: res.statusCode,
+        error: failed ? responseBody?.error || responseBody?.message || null : null,
+        ip,
+        ...(res.locals.auditDetails && { details: res.locals.auditDetails }),
+      }).catch((error) => logger.warn(`Failed to write audit entry for ${action}:`, error.message));
+    });
+
+    next();
+  };
+};
+
+module.exports = { audit };
@@ -1,10 +1,14 @@
+const crypto = require('crypto');
 const { env } = require('../config/env');
+const { verifyApiKey, hasScope } = require('../services/apikey.service');
 const logger = require('../utils/logger');
 
 /**
  * API Key authentication middleware
+ * Accepts the root API_KEY or a named key from the api_keys collection and
+ * attaches the resolved key (keyId, name, scopes) as req.apiKey.
  */
-const authenticateApiKey = (req, res, next) => {
+const authenticateApiKey = async (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
 
   if (!apiKey) {
@@ -15,16 +19,68 @@ const authenticateApiKey = (req, res, next) => {
     });
   }
 
-  if (apiKey !== env.API_KEY) {
-    logger.warn('Invalid API key attempted');
+  try {
+    const key = await verifyApiKey(apiKey);
+    if (!key) {
+      logger.warn('Invalid, revoked or expired API key attempted');
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid API key',
+      });
+    }
+
+    req.apiKey = key;
+    logger.debug(`API key ${key.keyId} authenticated successfully`);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Scope check middleware factory, used after authenticateApiKey
+ * @param {string} scope - One of SCOPES in services/apikey.service.js
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!hasScope(req.apiKey, scope)) {
+      logger.warn(`API key ${req.apiKey.keyId} lacks scope ${scope} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: `API key lacks the required scope: ${scope}`,
+        requiredScope: scope,
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Pub/Sub push authentication middleware
+ * Push subscriptions cannot send custom headers, so the shared secret travels
+ * as ?token= on the push endpoint URL.
+ */
+const authenticatePushToken = (req, res, next) => {
+  if (!env.PUBSUB_PUSH_TOKEN) {
+    logger.warn('Pub/Sub push received but PUBSUB_PUSH_TOKEN is not configured');
+    return res.status(503).json({
+      success: false,
+      error: 'Push endpoint is not configured',
+    });
+  }
+
+  const token = Buffer.from(String(req.query.token || ''));
+  const expected = Buffer.from(env.PUBSUB_PUSH_TOKEN);
+
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    logger.warn('Invalid Pub/Sub push token attempted');
     return res.status(403).json({
       success: false,
-      error: 'Invalid API key',
+      error: 'Invalid push token',
     });
   }
 
-  logger.debug('API key authenticated successfully');
   next();
 };
 
-module.exports = { authenticateApiKey };
\ No newline at end of file
+module.exports = { authenticateApiKey, requireScope, authenticatePushToken };
\ No newline at end of file
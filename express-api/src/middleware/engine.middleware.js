@@ -0,0 +1,29 @@
+const { getEngine, listEngines } = require('../config/engines.config');
+const logger = require('../utils/logger');
+
+/**
+ * Resolve the :engine route parameter against the engine registry
+ * Unknown engines, or engines lacking the required capability, get a 404.
+ * The resolved registry entry is attached as req.engine.
+ */
+const resolveEngine = (capability) => {
+  return (req, res, next) => {
+    const engine = getEngine(req.params.engine);
+
+    if (!engine || (capability && !engine.capabilities[capability])) {
+      logger.warn(`Unknown engine or unsupported operation: ${req.params.engine} (${capability})`);
+      return res.status(404).json({
+        success: false,
+        message: `Unknown database engine: ${req.params.engine}`,
+        validEngines: listEngines()
+          .filter((entry) => !capability || entry.capabilities[capability])
+          .map((entry) => entry.name),
+      });
+    }
+
+    req.engine = engine;
+    next();
+  };
+};
+
+module.exports = { resolveEngine };
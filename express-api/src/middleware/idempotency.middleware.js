@@ -0,0 +1,73 @@
+const {
+  fingerprintRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = require('../services/idempotency.service');
+const logger = require('../utils/logger');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Idempotency-Key middleware for trigger, schedule and restore routes, mounted after validation
+ * Without the header the request runs as usual. With it, the first request runs
+ * and its response is stored; retries with the same key and body get that
+ * response back (Idempotent-Replayed: true) without triggering anything again.
+ * Server errors and conflicts (409, e.g. a backup lock) are not stored, so a
+ * retry after them runs the request again. Requests rejected by validation
+ * never reach it, so fixing the body and retrying with the same key works.
+ */
+const idempotent = async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be 1-255 printable ASCII characters without spaces',
+    });
+  }
+
+  const { keyId } = req.apiKey;
+  try {
+    const fingerprint = fingerprintRequest(req.method, req.originalUrl.split('?')[0], req.body);
+    const stored = await claimIdempotencyKey(keyId, idempotencyKey, fingerprint);
+    if (stored) {
+      logger.info(`Replaying stored response for Idempotency-Key ${idempotencyKey}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  let settled = false;
+  const settle = (release, body) => {
+    if (settled) return;
+    settled = true;
+    const outcome = release || res.statusCode >= 500 || res.statusCode === 409
+      ? releaseIdempotencyKey(keyId, idempotencyKey)
+      : completeIdempotencyKey(keyId, idempotencyKey, { statusCode: res.statusCode, body: body ?? null });
+    outcome.catch((error) => logger.warn(`Failed to store response for Idempotency-Key ${idempotencyKey}:`, error.message));
+  };
+
+  // Settled from the handler's answer rather than on 'finish', which never fires
+  // when the client has gone away; the retry then replays what it missed.
+  // Releasing on disconnect instead would let the retry run while this request still does.
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settle(false, body);
+    return json(body);
+  };
+
+  // An answer that did not go through res.json cannot be replayed, so the key is given back
+  res.on('close', () => {
+    if (res.headersSent) settle(true);
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
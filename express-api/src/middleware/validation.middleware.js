@@ -3,18 +3,22 @@ const logger = require('../utils/logger');
 
 /**
  * Zod validation middleware factory
+ * Replaces req.body with the parsed value so schema defaults apply.
  */
 const validate = (schema) => {
   return (req, res, next) => {
     try {
-      schema.parse(req.body);
+      req.body = schema.parse(req.body ?? {});
       next();
     } catch (error) {
-      logger.warn('Request validation failed', error.errors);
+      if (!(error instanceof z.ZodError)) {
+        return next(error);
+      }
+      logger.warn('Request validation failed', error.issues);
       return res.status(400).json({
         success: false,
         error: 'Validation failed',
-        details: error.errors,
+        details: error.issues,
       });
     }
   };
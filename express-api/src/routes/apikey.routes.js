@@ -0,0 +1,95 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const logger = require('../utils/logger');
+const { SCOPES, createApiKey, listApiKeys, getApiKey, rotateApiKey, revokeApiKey } = require('../services/apikey.service');
+
+const createKeySchema = z.object({
+  name: z.string().min(1, 'name is required').max(100),
+  scopes: z.array(z.enum(SCOPES)).min(1, 'scopes must list at least one scope'),
+  expiresInDays: z.number().int().min(1).max(3650).optional(),
+});
+
+const rotateKeySchema = z.object({
+  graceMinutes: z.number().int().min(0).max(10080).default(0),
+});
+
+// Every key management route needs the admin scope
+router.use(authenticateApiKey, requireScope('admin'));
+
+/**
+ * POST /backup/keys
+ * Create a named API key; the key is only shown in this response
+ * Body: { name: "dashboard", scopes: ["read", "trigger", "schedule"], expiresInDays: 90 }
+ */
+router.post('/', audit('apikey.create', (req, body) => body?.data?.keyId), validate(createKeySchema), async (req, res, next) => {
+  try {
+    logger.info(`API key creation request for: ${req.body.name}`);
+    const result = await createApiKey(req.body, req.apiKey);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/keys
+ * List API keys with scopes, expiry and last use (hashes are never returned)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    logger.info('API keys list request received');
+    const result = await listApiKeys();
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/keys/:keyId
+ * Get an API key
+ */
+router.get('/:keyId', async (req, res, next) => {
+  try {
+    logger.info(`API key details request for: ${req.params.keyId}`);
+    const result = await getApiKey(req.params.keyId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/keys/:keyId/rotate
+ * Issue a new secret for a key; the old one stays valid for graceMinutes
+ * Body (optional): { graceMinutes: 60 }
+ */
+router.post('/:keyId/rotate', audit('apikey.rotate', (req) => req.params.keyId), validate(rotateKeySchema), async (req, res, next) => {
+  try {
+    logger.info(`API key rotation request for: ${req.params.keyId}`);
+    const result = await rotateApiKey(req.params.keyId, req.body.graceMinutes);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/keys/:keyId
+ * Revoke an API key
+ */
+router.delete('/:keyId', audit('apikey.revoke', (req) => req.params.keyId), async (req, res, next) => {
+  try {
+    logger.info(`API key revocation request for: ${req.params.keyId}`);
+    const result = await revokeApiKey(req.params.keyId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
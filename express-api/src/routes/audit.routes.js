@@ -0,0 +1,84 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+const { listAuditEntries, exportAuditEntries } = require('../services/audit.service');
+
+const auditFilterSchema = z.object({
+  actor: z.string().optional(),
+  action: z.string().optional(),
+  outcome: z.enum(['success', 'failure', 'aborted']).optional(),
+  from: z.iso.datetime({ error: 'from must be an ISO timestamp' }).optional(),
+  to: z.iso.datetime({ error: 'to must be an ISO timestamp' }).optional(),
+});
+
+const auditListSchema = auditFilterSchema.extend({
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  pageToken: z.string().optional(),
+});
+
+/**
+ * Parse audit query filters; answers 400 and returns null when they are invalid
+ */
+function parseFilters(schema, req, res) {
+  const parsed = schema.safeParse(req.query);
+  if (!parsed.success) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: parsed.error.issues,
+    });
+    return null;
+  }
+  return parsed.data;
+}
+
+/**
+ * GET /backup/audit
+ * List audit entries, newest first
+ * Query params: ?actor=3f9a1c2b7d4e&action=backup.delete&outcome=failure&from=2024-01-01T00:00:00Z&to=...&limit=50&pageToken=...
+ */
+router.get('/', authenticateApiKey, requireScope('audit'), async (req, res, next) => {
+  try {
+    const filters = parseFilters(auditListSchema, req, res);
+    if (!filters) return;
+
+    logger.info('Audit log list request received');
+    const result = await listAuditEntries(filters);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/audit/export
+ * Download matching audit entries as JSON lines
+ * Query params: same filters as GET /backup/audit, without paging
+ */
+router.get('/export', authenticateApiKey, requireScope('audit'), async (req, res, next) => {
+  try {
+    const filters = parseFilters(auditFilterSchema, req, res);
+    if (!filters) return;
+
+    logger.info('Audit log export request received');
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.jsonl"`);
+
+    const count = await exportAuditEntries(filters, (line) => res.write(line));
+    logger.success(`Exported ${count} audit entries`);
+    res.end();
+  } catch (error) {
+    // Once lines have been streamed the status can no longer change
+    if (res.headersSent) {
+      logger.error('Audit log export aborted:', error);
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,228 +1,167 @@
 const express = require('express');
+const { z } = require('zod');
 const router = express.Router();
-const { authenticateApiKey } = require('../middleware/auth.middleware');
-const { triggerPostgresBackup, triggerMongoDBBackup, triggerQuestDBBackup, triggerQdrantDBBackup } = require('../services/backup.service');
-const { listPostgresBackups, listMongoDBBackups, listQuestDBBackups, listQdrantDBBackups, generateDownloadUrl, deleteBackupFile } = require('../services/bucket.service');
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { resolveEngine } = require('../middleware/engine.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { getEngine, listEngines } = require('../config/engines.config');
+const { HOST_NAME_PATTERN } = require('../services/host.service');
+const { LOCK_POLICIES } = require('../services/lock.service');
+const { triggerBackup, triggerRestore } = require('../services/backup.service');
+const { BACKUP_SORTS, listBackups, generateDownloadUrl, verifyBackupFile } = require('../services/bucket.service');
+const { LABEL_PATTERN } = require('../services/label.service');
+const { deleteBackupFile } = require('../services/trash.service');
+const { getCatalog } = require('../services/catalog.service');
+const { importBackupStream, createImportSession, completeImport } = require('../services/import.service');
+const { backfillReplication } = require('../services/replication.service');
 const logger = require('../utils/logger');
 const { scheduleBackupTask, listScheduledTasks, getTaskDetails, cancelScheduledTask } = require('../services/task.service');
 const { generateDomainVerificationToken, insertDomainTxtRecord, updateDomainTxtRecord, verifyDomain, removeDomainTxtRecord, listCloudflareZones, listDnsRecords } = require('../services/domain.service');
 
-/**
- * POST /backup/postgres
- * Trigger PostgreSQL backup
- */
-router.post('/postgres', authenticateApiKey, async (req, res, next) => {
-  try {
-    logger.info('PostgreSQL backup request received');
-    const result = await triggerPostgresBackup();
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
+const restoreSchema = z.object({
+  fileName: z.string().min(1, 'fileName is required'),
+  target: z.record(z.string(), z.unknown()).default({}),
+  host: z.string().optional(),
+  confirm: z.string({ error: 'confirm is required' }),
 });
 
-/**
- * POST /backup/mongodb
- * Trigger MongoDB backup
- */
-router.post('/mongodb', authenticateApiKey, async (req, res, next) => {
-  try {
-    logger.info('MongoDB backup request received');
-    const result = await triggerMongoDBBackup();
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
-});
+const onConflictSchema = z.enum(LOCK_POLICIES, { error: `onConflict must be one of: ${LOCK_POLICIES.join(', ')}` });
 
-/**
- * POST /backup/questdb
- * Trigger QuestDB backup
- */
-router.post('/questdb', authenticateApiKey, async (req, res, next) => {
-  try {
-    logger.info('QuestDB backup request received');
-    const result = await triggerQuestDBBackup();
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
+const importSchema = z.object({
+  fileName: z.string({ error: 'fileName is required' }).min(1, 'fileName is required'),
+  host: z.string().regex(HOST_NAME_PATTERN, 'host must be lowercase letters, digits and dashes').default('default'),
 });
 
-/**
- * POST /backup/postgres/schedule
- * Schedule PostgreSQL backup with delay
- */
-router.post('/postgres/schedule', authenticateApiKey, async (req, res, next) => {
-  try {
-    const { delayMinutes } = req.body;
-
-    // Validate delay
-    if (!delayMinutes || delayMinutes < 1 || delayMinutes > 43200) {
-      return res.status(400).json({
-        success: false,
-        message: 'delayMinutes is required and must be between 1 and 43200 (30 days)',
-      });
-    }
-
-    console.log(`🔄 Scheduling PostgreSQL backup in ${delayMinutes} minutes`);
-
-    // Schedule task
-    const result = await scheduleBackupTask('postgres', delayMinutes);
-
-    // Send success response
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
+const importSessionSchema = importSchema.extend({
+  origin: z.url('origin must be a URL').optional(),
 });
 
+// ?label=keep,release-2.3 matches backups carrying every listed label
+const labelFilterSchema = z.string()
+  .transform((value) => value.split(','))
+  .pipe(z.array(z.string().regex(LABEL_PATTERN, 'label must be lowercase letters, digits, dots, dashes and underscores')));
+
+const listBackupsSchema = z.object({
+  host: z.string().regex(HOST_NAME_PATTERN, 'host must be lowercase letters, digits and dashes').optional(),
+  pageSize: z.coerce.number().int().min(1).max(500).default(50),
+  pageToken: z.string().optional(),
+  sort: z.enum(Object.keys(BACKUP_SORTS)).default('name_asc'),
+  createdAfter: z.iso.datetime({ error: 'createdAfter must be an ISO timestamp' }).optional(),
+  createdBefore: z.iso.datetime({ error: 'createdBefore must be an ISO timestamp' }).optional(),
+  minSize: z.coerce.number().int().min(0).optional(),
+  maxSize: z.coerce.number().int().min(0).optional(),
+  search: z.string().min(1).max(200).optional(),
+  label: labelFilterSchema.optional(),
+});
 
-/**
-* POST /backup/mongodb/schedule
-* Schedule MongoDB backup with delay
-*/
-router.post('/mongodb/schedule', authenticateApiKey, async (req, res, next) => {
-  try {
-    const { delayMinutes } = req.body;
+const catalogSchema = z.object({
+  engine: z.string().refine((name) => getEngine(name)?.capabilities.list, { message: 'engine must be a registered engine' }).optional(),
+  host: z.string().regex(HOST_NAME_PATTERN, 'host must be lowercase letters, digits and dashes').optional(),
+  label: labelFilterSchema.optional(),
+});
 
-    // Validate delay
-    if (!delayMinutes || delayMinutes < 1 || delayMinutes > 43200) {
-      return res.status(400).json({
-        success: false,
-        message: 'delayMinutes is required and must be between 1 and 43200 (30 days)',
-      });
-    }
+const replicateSchema = z.object({
+  engine: z.string().refine((name) => getEngine(name)?.capabilities.list, { message: 'engine must be a registered engine' }).optional(),
+  host: z.string().regex(HOST_NAME_PATTERN, 'host must be lowercase letters, digits and dashes').optional(),
+  fileName: z.string().min(1).optional(),
+  force: z.boolean().default(false),
+  limit: z.number().int().min(1).max(1000).default(100),
+});
 
-    console.log(`🔄 Scheduling MongoDB backup in ${delayMinutes} minutes`);
+const triggerSchema = z.object({
+  target: z.record(z.string(), z.unknown()).optional(),
+  host: z.string().optional(),
+  onConflict: onConflictSchema.default('reject'),
+});
 
-    // Schedule task
-    const result = await scheduleBackupTask('mongodb', delayMinutes);
+const DELAY_MESSAGE = 'delayMinutes is required and must be between 1 and 43200 (30 days)';
 
-    // Send success response
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
+const scheduleTaskSchema = z.object({
+  delayMinutes: z.coerce.number({ error: DELAY_MESSAGE }).min(1, DELAY_MESSAGE).max(43200, DELAY_MESSAGE),
+  target: z.record(z.string(), z.unknown()).optional(),
+  host: z.string().optional(),
+  onConflict: onConflictSchema.default('queue'),
 });
 
 /**
-* POST /backup/questdb/schedule
-* Schedule QuestDB backup with delay
-*/
-router.post('/questdb/schedule', authenticateApiKey, async (req, res, next) => {
-  try {
-    const { delayMinutes } = req.body;
-
-    // Validate delay
-    if (!delayMinutes || delayMinutes < 1 || delayMinutes > 43200) {
-      return res.status(400).json({
-        success: false,
-        message: 'delayMinutes is required and must be between 1 and 43200 (30 days)',
-      });
-    }
-
-    console.log(`🔄 Scheduling QuestDB backup in ${delayMinutes} minutes`);
-
-    // Schedule task
-    const result = await scheduleBackupTask('questdb', delayMinutes);
+ * Check a restore's target against its engine and the typed confirmation
+ * Runs before idempotent, like validate, so a rejected restore does not store
+ * its 400 under the Idempotency-Key.
+ */
+const checkRestoreTarget = (req, res, next) => {
+  const parsed = req.engine.restoreTarget.safeParse(req.body.target);
+  if (!parsed.success) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: parsed.error.issues,
+    });
+  }
 
-    // Send success response
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
+  const expectedConfirmation = req.engine.restoreTargetName(parsed.data);
+  if (req.body.confirm !== expectedConfirmation) {
+    return res.status(400).json({
+      success: false,
+      message: `Restore overwrites "${expectedConfirmation}". Set confirm to "${expectedConfirmation}" to proceed.`,
+      expectedConfirmation,
+    });
   }
-});
+
+  req.body.target = parsed.data;
+  next();
+};
 
 /**
- * POST /backup/qdrantdb
- * Trigger QdrantDB backup
+ * GET /backup/engines
+ * List the registered database engines and their capabilities
  */
-router.post('/qdrantdb', authenticateApiKey, async (req, res, next) => {
-  try {
-    logger.info('QdrantDB backup request received');
-    const result = await triggerQdrantDBBackup();
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
+router.get('/engines', authenticateApiKey, requireScope('read'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    count: listEngines().length,
+    data: listEngines().map(({ name, displayName, prefix, extension, importExtensions, capabilities }) => ({
+      name,
+      displayName,
+      prefix,
+      extension,
+      importExtensions,
+      capabilities,
+    })),
+    message: 'Database engines listed successfully',
+  });
 });
 
 /**
-* POST /backup/qdrantdb/schedule
-* Schedule QdrantDB backup with delay
-*/
-router.post('/qdrantdb/schedule', authenticateApiKey, async (req, res, next) => {
+ * GET /backup/catalog
+ * List every backup across engines and hosts with per-engine statistics
+ * Query params: ?engine=postgres&host=db-eu-1&label=keep (all optional)
+ */
+router.get('/catalog', authenticateApiKey, requireScope('read'), async (req, res, next) => {
   try {
-    const { delayMinutes } = req.body;
-
-    // Validate delay
-    if (!delayMinutes || delayMinutes < 1 || delayMinutes > 43200) {
+    const parsed = catalogSchema.safeParse(req.query);
+    if (!parsed.success) {
       return res.status(400).json({
         success: false,
-        message: 'delayMinutes is required and must be between 1 and 43200 (30 days)',
+        error: 'Validation failed',
+        details: parsed.error.issues,
       });
     }
 
-    console.log(`🔄 Scheduling QdrantDB backup in ${delayMinutes} minutes`);
-
-    // Schedule task
-    const result = await scheduleBackupTask('qdrantdb', delayMinutes);
-
-    // Send success response
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
-});
-
-
-router.get('/postgres/list', authenticateApiKey, async (req, res, next) => {
-  try {
-    logger.info('PostgreSQL backup list request received');
-    const result = await listPostgresBackups();
+    logger.info('Backup catalog request received');
+    const result = await getCatalog(parsed.data);
     res.status(200).json(result);
   } catch (error) {
     next(error);
   }
 });
 
-router.get('/mongodb/list', authenticateApiKey, async (req, res, next) => {
-  try {
-    logger.info('MongoDB backup list request received');
-    const result = await listMongoDBBackups();
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
-});
-
-router.get('/questdb/list', authenticateApiKey, async (req, res, next) => {
-  try {
-    logger.info('QuestDB backup list request received');
-    const result = await listQuestDBBackups();
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
-});
-
-router.get('/qdrantdb/list', authenticateApiKey, async (req, res, next) => {
-  try {
-    logger.info('QdrantDB backup list request received');
-    const result = await listQdrantDBBackups();
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
-});
-
-
 /**
  * GET /backup/tasks
  * List all scheduled backup tasks
  */
-router.get('/tasks', authenticateApiKey, async (req, res, next) => {
+router.get('/tasks', authenticateApiKey, requireScope('read'), async (req, res, next) => {
   try {
     logger.info('Scheduled tasks list request received');
     const result = await listScheduledTasks();
@@ -236,7 +175,7 @@ router.get('/tasks', authenticateApiKey, async (req, res, next) => {
  * GET /backup/tasks/:taskId
  * Get details of a specific scheduled task
  */
-router.get('/tasks/:taskId', authenticateApiKey, async (req, res, next) => {
+router.get('/tasks/:taskId', authenticateApiKey, requireScope('read'), async (req, res, next) => {
   try {
     const { taskId } = req.params;
 
@@ -258,7 +197,7 @@ router.get('/tasks/:taskId', authenticateApiKey, async (req, res, next) => {
  * DELETE /backup/tasks/:taskId
  * Cancel a scheduled backup task
  */
-router.delete('/tasks/:taskId', authenticateApiKey, async (req, res, next) => {
+router.delete('/tasks/:taskId', authenticateApiKey, requireScope('schedule'), audit('task.cancel', (req) => req.params.taskId), async (req, res, next) => {
   try {
     const { taskId } = req.params;
 
@@ -281,7 +220,7 @@ router.delete('/tasks/:taskId', authenticateApiKey, async (req, res, next) => {
  * Generate a signed URL for downloading a backup file
  * Query params: ?fileName=postgres/backup-2024-01-01.sql&expiresInMinutes=60
  */
-router.get('/download', authenticateApiKey, async (req, res, next) => {
+router.get('/download', authenticateApiKey, requireScope('read'), async (req, res, next) => {
   try {
     const { fileName, expiresInMinutes } = req.query;
 
@@ -303,10 +242,10 @@ router.get('/download', authenticateApiKey, async (req, res, next) => {
 
 /**
  * DELETE /backup/delete
- * Delete a backup file from GCS
+ * Move a backup file to the trash, from which it can be restored until it is purged
  * Query params: ?fileName=postgres/backup-2024-01-01.sql
  */
-router.delete('/delete', authenticateApiKey, async (req, res, next) => {
+router.delete('/delete', authenticateApiKey, requireScope('delete'), audit('backup.delete', (req) => req.query.fileName), async (req, res, next) => {
   try {
     const { fileName } = req.query;
 
@@ -318,7 +257,54 @@ router.delete('/delete', authenticateApiKey, async (req, res, next) => {
     }
 
     logger.info(`Delete backup request for: ${fileName}`);
-    const result = await deleteBackupFile(fileName);
+    const result = await deleteBackupFile(fileName, { deletedBy: { keyId: req.apiKey.keyId, name: req.apiKey.name } });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/verify
+ * Recompute a backup's SHA-256 and compare it with the digest stored at upload
+ * Query params: ?fileName=postgres/default/postgresql_app_2024-01-01.sql.gz
+ */
+router.post('/verify', authenticateApiKey, requireScope('read'), audit('backup.verify', (req) => req.query.fileName), async (req, res, next) => {
+  try {
+    const { fileName } = req.query;
+
+    if (!fileName) {
+      return res.status(400).json({
+        success: false,
+        message: 'fileName query parameter is required',
+      });
+    }
+
+    logger.info(`Verify backup request for: ${fileName}`);
+    const result = await verifyBackupFile(fileName);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/replicate
+ * Copy existing backups to their engine's replication targets (backfill)
+ * Body: { engine: "postgres", host: "test-host", fileName: "postgres/default/postgresql_app_2024-01-01.sql.gz", force: false, limit: 100 }
+ * All fields are optional. Backups already replicated to every target are
+ * skipped unless force is set; repeat the call until remaining is 0.
+ */
+router.post('/replicate', authenticateApiKey, requireScope('trigger'), audit('backup.replicate', (req) => req.body.fileName || req.body.engine || 'all'), validate(replicateSchema), async (req, res, next) => {
+  try {
+    const { engine: engineName, ...options } = req.body;
+    logger.info(`Replication backfill requested for ${options.fileName || engineName || 'all engines'}`);
+    const result = await backfillReplication({ engine: engineName ? getEngine(engineName) : null, ...options });
+    res.locals.auditDetails = {
+      replicatedCount: result.data.replicatedCount,
+      failedCount: result.data.failedCount,
+      remaining: result.data.remaining,
+    };
     res.status(200).json(result);
   } catch (error) {
     next(error);
@@ -329,7 +315,7 @@ router.delete('/delete', authenticateApiKey, async (req, res, next) => {
  * GET /backup/domain/list
  * List all domains in Cloudflare account
  */
-router.get('/domain/list', authenticateApiKey, async (req, res, next) => {
+router.get('/domain/list', authenticateApiKey, requireScope('domain-admin'), async (req, res, next) => {
   try {
     logger.info('Cloudflare domains list request received');
     const result = await listCloudflareZones();
@@ -343,7 +329,7 @@ router.get('/domain/list', authenticateApiKey, async (req, res, next) => {
  * GET /backup/domain/:domain/records
  * List all DNS records for a specific domain
  */
-router.get('/domain/:domain/records', authenticateApiKey, async (req, res, next) => {
+router.get('/domain/:domain/records', authenticateApiKey, requireScope('domain-admin'), async (req, res, next) => {
   try {
     const { domain } = req.params;
     const { zoneId } = req.query;
@@ -361,7 +347,7 @@ router.get('/domain/:domain/records', authenticateApiKey, async (req, res, next)
  * Generate verification token for a domain
  * Body: { domain: "example.com" }
  */
-router.post('/domain/generate-token', authenticateApiKey, async (req, res, next) => {
+router.post('/domain/generate-token', authenticateApiKey, requireScope('domain-admin'), audit('domain.token.generate', (req) => req.body.domain), async (req, res, next) => {
   try {
     const { domain } = req.body;
 
@@ -385,7 +371,7 @@ router.post('/domain/generate-token', authenticateApiKey, async (req, res, next)
  * Create TXT record via Cloudflare API
  * Body: { domain: "example.com", content: "txt-value", name: "@", ttl: 120, zoneId: "optional-zone-id" }
  */
-router.post('/domain/insert-txt', authenticateApiKey, async (req, res, next) => {
+router.post('/domain/insert-txt', authenticateApiKey, requireScope('domain-admin'), audit('domain.txt.create', (req) => req.body.domain), async (req, res, next) => {
   try {
     const { domain, content, name = '@', ttl = 120, zoneId } = req.body;
 
@@ -409,7 +395,7 @@ router.post('/domain/insert-txt', authenticateApiKey, async (req, res, next) =>
  * Update existing TXT record via Cloudflare API
  * Body: { domain: "example.com", recordId: "abc123", content: "new-value", ttl: 300, zoneId: "optional" }
  */
-router.put('/domain/txt-record', authenticateApiKey, async (req, res, next) => {
+router.put('/domain/txt-record', authenticateApiKey, requireScope('domain-admin'), audit('domain.txt.update', (req) => req.body.domain), async (req, res, next) => {
   try {
     const { domain, recordId, content, ttl = 120, zoneId } = req.body;
 
@@ -433,7 +419,7 @@ router.put('/domain/txt-record', authenticateApiKey, async (req, res, next) => {
  * Verify domain ownership by checking DNS TXT record
  * Body: { domain: "example.com", token: "db-backup-verify-..." }
  */
-router.post('/domain/verify', authenticateApiKey, async (req, res, next) => {
+router.post('/domain/verify', authenticateApiKey, requireScope('domain-admin'), audit('domain.verify', (req) => req.body.domain), async (req, res, next) => {
   try {
     const { domain, token } = req.body;
 
@@ -457,7 +443,7 @@ router.post('/domain/verify', authenticateApiKey, async (req, res, next) => {
  * Remove TXT record from Cloudflare after successful verification
  * Body: { domain: "example.com", recordId: "cloudflare-record-id", zoneId: "optional-zone-id" }
  */
-router.delete('/domain/txt-record', authenticateApiKey, async (req, res, next) => {
+router.delete('/domain/txt-record', authenticateApiKey, requireScope('domain-admin'), audit('domain.txt.delete', (req) => req.body.domain), async (req, res, next) => {
   try {
     const { domain, recordId, zoneId } = req.body;
 
@@ -488,4 +474,149 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Engine routes are registered last so that static paths such as
+// /backup/domain/list are never captured by the :engine parameter.
+
+/**
+ * POST /backup/:engine
+ * Trigger an immediate backup for a registered engine
+ * Body (optional): { target: { databases: ["app"] }, host: "db-eu-1", onConflict: "reject" } - see engine.backupTarget for each engine
+ * onConflict applies when a backup of the same engine and host is running: reject (409), queue or coalesce
+ */
+router.post('/:engine', authenticateApiKey, requireScope('trigger'), audit('backup.trigger', (req) => req.params.engine), resolveEngine('backup'), validate(triggerSchema), idempotent, async (req, res, next) => {
+  try {
+    logger.info(`${req.engine.displayName} backup request received`);
+    const { target, host, onConflict } = req.body;
+    const result = await triggerBackup(req.engine, { target, host, onConflict });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/:engine/schedule
+ * Schedule a backup for a registered engine with delay
+ * Body: { delayMinutes: 60, target: { databases: ["app"] }, host: "db-eu-1", onConflict: "queue" }
+ */
+router.post('/:engine/schedule', authenticateApiKey, requireScope('schedule'), audit('backup.schedule', (req) => req.params.engine), resolveEngine('schedule'), validate(scheduleTaskSchema), idempotent, async (req, res, next) => {
+  try {
+    const { delayMinutes, target, host, onConflict } = req.body;
+
+    logger.info(`Scheduling ${req.engine.displayName} backup in ${delayMinutes} minutes`);
+
+    // Schedule task
+    const result = await scheduleBackupTask(req.engine, delayMinutes, target, host, onConflict);
+
+    // Send success response
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/:engine/restore
+ * Restore a backup file into a target database
+ * confirm must echo the name of what gets overwritten (e.g. the database name)
+ * Body: { fileName: "postgres/db-eu-1/postgresql_app_2024-01-01.sql.gz", target: { database: "app" }, host: "db-eu-1", confirm: "app" }
+ */
+router.post('/:engine/restore', authenticateApiKey, requireScope('restore'), audit('backup.restore', (req) => req.body.fileName), resolveEngine('restore'), validate(restoreSchema), checkRestoreTarget, idempotent, async (req, res, next) => {
+  try {
+    const { fileName, target, host, confirm } = req.body;
+    logger.info(`${req.engine.displayName} restore request received for ${fileName} into ${confirm}`);
+    const result = await triggerRestore(req.engine, { fileName, target, host });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/:engine/import
+ * Import an externally produced backup (e.g. a manual pg_dump) under the engine's prefix
+ * Streamed: the file is the request body (any non-JSON Content-Type, e.g.
+ *   application/octet-stream) and ?fileName=app.sql.gz&host=db-eu-1 name it.
+ * Resumable: a JSON body { fileName, host, origin } returns a GCS uploadUrl;
+ *   PUT the file there, then POST /backup/:engine/import/:importId/complete.
+ * Either way the file is checked against the engine's formats, hashed and
+ * encrypted like the function backups, and tagged source: import.
+ */
+router.post('/:engine/import', authenticateApiKey, requireScope('import'), audit('backup.import', (req, body) => body?.data?.objectName ?? req.query.fileName ?? req.body?.fileName), resolveEngine('import'), async (req, res, next) => {
+  try {
+    const session = req.is('application/json');
+    // Form bodies are consumed by the urlencoded parser (curl --data-binary sends that type by default)
+    if (req.is('application/x-www-form-urlencoded')) {
+      return res.status(415).json({
+        success: false,
+        error: 'Send the file with Content-Type: application/octet-stream, or a JSON body to start a resumable import',
+      });
+    }
+    const parsed = (session ? importSessionSchema : importSchema).safeParse(session ? req.body : req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: parsed.error.issues,
+      });
+    }
+
+    const options = { ...parsed.data, importedBy: req.apiKey.keyId };
+    if (session) {
+      logger.info(`${req.engine.displayName} import session requested for ${parsed.data.fileName}`);
+      const result = await createImportSession(req.engine, options);
+      return res.status(201).json(result);
+    }
+
+    logger.info(`${req.engine.displayName} streamed import received for ${parsed.data.fileName}`);
+    const result = await importBackupStream(req.engine, options, req);
+    res.status(201).json(result);
+  } catch (error) {
+    // A rejected upload may still be arriving; closing the connection stops the client sending it
+    if (!req.complete) res.set('Connection', 'close');
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/:engine/import/:importId/complete
+ * Validate and store a file uploaded to an import session's uploadUrl
+ */
+router.post('/:engine/import/:importId/complete', authenticateApiKey, requireScope('import'), audit('backup.import.complete', (req, body) => body?.data?.objectName ?? req.params.importId), resolveEngine('import'), async (req, res, next) => {
+  try {
+    logger.info(`${req.engine.displayName} import completion request for ${req.params.importId}`);
+    const result = await completeImport(req.engine, req.params.importId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/:engine/list
+ * List one page of backup files for a registered engine
+ * Query params: ?host=db-eu-1&pageSize=50&pageToken=...&sort=name_asc
+ *   &createdAfter=2024-01-01T00:00:00Z&createdBefore=...&minSize=1024&maxSize=...&search=app
+ *   &label=keep,release-2.3
+ * Sorts other than name_asc read the whole prefix for every page, so they answer 400 past 5000 backups.
+ */
+router.get('/:engine/list', authenticateApiKey, requireScope('read'), resolveEngine('list'), async (req, res, next) => {
+  try {
+    const parsed = listBackupsSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: parsed.error.issues,
+      });
+    }
+
+    logger.info(`${req.engine.displayName} backup list request received`);
+    const result = await listBackups(req.engine, parsed.data);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
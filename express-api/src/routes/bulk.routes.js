@@ -0,0 +1,91 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { getEngine } = require('../config/engines.config');
+const { HOST_NAME_PATTERN } = require('../services/host.service');
+const { STORAGE_CLASSES } = require('../services/bucket.service');
+const { LABEL_PATTERN, MAX_LABELS, MAX_NOTE_LENGTH } = require('../services/label.service');
+const { BULK_ACTIONS, previewBulkOperation, executeBulkOperation } = require('../services/bulk.service');
+const logger = require('../utils/logger');
+
+const labelSchema = z.string().regex(LABEL_PATTERN, 'labels must be lowercase letters, digits, dots, dashes and underscores (max 63)');
+
+const filterSchema = z.object({
+  engine: z.string().refine((name) => getEngine(name)?.capabilities.list, { message: 'engine must be a registered engine' }).optional(),
+  host: z.string().regex(HOST_NAME_PATTERN, 'host must be lowercase letters, digits and dashes').optional(),
+  prefix: z.string().min(1).max(1024).optional(),
+  createdAfter: z.iso.datetime({ error: 'createdAfter must be an ISO timestamp' }).optional(),
+  createdBefore: z.iso.datetime({ error: 'createdBefore must be an ISO timestamp' }).optional(),
+  minSize: z.number().int().min(0).optional(),
+  maxSize: z.number().int().min(0).optional(),
+  label: z.array(labelSchema).min(1).max(MAX_LABELS).optional(),
+}).strict().refine((filter) => Object.keys(filter).length > 0, {
+  // An empty filter would select every backup in the bucket
+  message: 'filter must set at least one of engine, host, prefix, createdAfter, createdBefore, minSize, maxSize or label',
+});
+
+const actionSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('delete') }),
+  z.object({ type: z.literal('hold'), reason: z.string({ error: 'reason is required' }).trim().min(1, 'reason is required').max(500) }),
+  z.object({ type: z.literal('release') }),
+  z.object({
+    type: z.literal('relabel'),
+    labels: z.array(labelSchema).max(MAX_LABELS).optional(),
+    addLabels: z.array(labelSchema).max(MAX_LABELS).optional(),
+    removeLabels: z.array(labelSchema).max(MAX_LABELS).optional(),
+    note: z.string().max(MAX_NOTE_LENGTH).nullable().optional(),
+  }).refine((action) => Object.keys(action).length > 1, { message: 'Provide labels, addLabels, removeLabels or note' }),
+  z.object({ type: z.literal('storage-class'), storageClass: z.enum(STORAGE_CLASSES, { error: `storageClass must be one of: ${STORAGE_CLASSES.join(', ')}` }) }),
+], { error: `action.type must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}` });
+
+const bulkSchema = z.object({
+  filter: filterSchema,
+  action: actionSchema,
+  confirmationToken: z.uuid('confirmationToken must be the token returned by the preview').optional(),
+});
+
+// The scope depends on the action, so it is checked once the body is validated
+const requireActionScope = (req, res, next) => requireScope(BULK_ACTIONS[req.body.action.type].scope)(req, res, next);
+
+/**
+ * POST /backup/bulk
+ * Apply an action to every backup a filter selects
+ * Body: { filter: { engine: "postgres", prefix: "postgres/test-host/", createdBefore: "2024-06-01T00:00:00Z", label: ["ci"] },
+ *         action: { type: "delete" } }
+ * Without confirmationToken the request is a dry run that lists the backups and
+ * returns a token; sending the same body with that confirmationToken executes it.
+ * action.type is delete, hold (reason), release, relabel (labels, addLabels,
+ * removeLabels, note) or storage-class (storageClass); each needs the scope of
+ * its single-backup route (storage-class needs storage).
+ */
+router.post('/', authenticateApiKey, audit('backup.bulk', (req) => req.body.action.type), validate(bulkSchema), requireActionScope, async (req, res, next) => {
+  try {
+    const { filter, action, confirmationToken } = req.body;
+    const actor = { keyId: req.apiKey.keyId, name: req.apiKey.name };
+
+    if (!confirmationToken) {
+      logger.info(`Bulk ${action.type} preview request received`);
+      const result = await previewBulkOperation({ filter, action }, actor);
+      res.locals.auditDetails = { dryRun: true, operationId: result.data.confirmationToken, count: result.data.count };
+      return res.status(200).json(result);
+    }
+
+    logger.info(`Bulk ${action.type} execution requested: ${confirmationToken}`);
+    const result = await executeBulkOperation({ filter, action }, confirmationToken, actor);
+    res.locals.auditDetails = {
+      dryRun: false,
+      operationId: confirmationToken,
+      succeededCount: result.data.succeededCount,
+      failedCount: result.data.failedCount,
+      results: result.data.results,
+    };
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
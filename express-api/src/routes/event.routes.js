@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { authenticatePushToken } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+const { decodePushMessage, handleBackupEvent } = require('../services/event.service');
+
+/**
+ * POST /backup/events/pubsub?token=...
+ * Push endpoint for the backup-results subscription
+ * Receives backup.* / restore.* completion events published by the cloud functions.
+ * Any 2xx acknowledges the message; errors make Pub/Sub redeliver it.
+ * Body: { message: { data: "<base64 event JSON>", attributes: { type, engine, runId }, messageId }, subscription }
+ */
+router.post('/pubsub', authenticatePushToken, async (req, res, next) => {
+  try {
+    const event = decodePushMessage(req.body);
+    logger.info(`Backup event received: ${event.type} (message ${req.body.message.messageId})`);
+    const result = await handleBackupEvent(event);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
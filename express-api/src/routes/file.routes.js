@@ -0,0 +1,183 @@
+const express = require('express');
+const path = require('path');
+const { pipeline } = require('stream');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const logger = require('../utils/logger');
+const { getBackupFile, openBackupFile } = require('../services/bucket.service');
+const { LABEL_PATTERN, MAX_LABELS, MAX_NOTE_LENGTH, updateBackupLabels } = require('../services/label.service');
+const { placeBackupHold, releaseBackupHold } = require('../services/hold.service');
+
+const labelSchema = z.string().regex(LABEL_PATTERN, 'labels must be lowercase letters, digits, dots, dashes and underscores (max 63)');
+
+const updateLabelsSchema = z.object({
+  labels: z.array(labelSchema).max(MAX_LABELS).optional(),
+  addLabels: z.array(labelSchema).max(MAX_LABELS).optional(),
+  removeLabels: z.array(labelSchema).max(MAX_LABELS).optional(),
+  note: z.string().max(MAX_NOTE_LENGTH).nullable().optional(),
+}).refine((body) => Object.keys(body).length > 0, { message: 'Provide labels, addLabels, removeLabels or note' });
+
+const holdSchema = z.object({
+  reason: z.string({ error: 'reason is required' }).trim().min(1, 'reason is required').max(500),
+});
+
+/**
+ * Name and type of the file a download produces
+ * Decompressing drops the .gz suffix; a .tar.gz becomes a .tar.
+ */
+function downloadFormat(fileName, decompress) {
+  const name = path.basename(fileName);
+  if (!decompress) {
+    return { name, contentType: name.endsWith('.gz') ? 'application/gzip' : 'application/octet-stream' };
+  }
+  const plainName = name.slice(0, -'.gz'.length);
+  return { name: plainName, contentType: plainName.endsWith('.tar') ? 'application/x-tar' : 'application/octet-stream' };
+}
+
+/**
+ * GET /backup/files/:fileName/content
+ * Stream a backup through the API, decrypted if it is encrypted
+ * fileName is the object path, e.g. /backup/files/postgres/default/postgresql_app_2024-01-01.sql.gz/content
+ * (slashes may also be sent as %2F). Query params: ?decompress=true gunzips a .gz backup.
+ *
+ * A single Range (bytes=0-1023, bytes=1024-, bytes=-512) gets a 206 with that
+ * part of the decrypted file; If-Range with the ETag from an earlier response
+ * makes a resumed download start over if the object changed. Ranges are ignored
+ * when decompressing. Every download is audited as backup.download with the
+ * range and the bytes sent, including downloads the client aborted.
+ *
+ * A full download of an encrypted backup is authenticated as it streams and is
+ * sent without Content-Length: if the object was altered the connection is cut
+ * before the response completes, so the client never sees a complete file.
+ */
+router.get('/*fileName/content', authenticateApiKey, requireScope('read'), audit('backup.download', (req) => req.params.fileName.join('/')), async (req, res, next) => {
+  try {
+    const fileName = req.params.fileName.join('/');
+    const decompress = req.query.decompress === 'true';
+
+    if (decompress && !fileName.endsWith('.gz')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only .gz backups can be decompressed',
+      });
+    }
+
+    logger.info(`Backup content request for: ${fileName}`);
+    const backupFile = await getBackupFile(fileName);
+    const format = downloadFormat(fileName, decompress);
+
+    // A stale If-Range means the client holds part of an older object, so it gets the whole file again
+    let range = null;
+    const ifRange = req.get('If-Range');
+    if (req.get('Range') && !decompress && (!ifRange || ifRange === backupFile.etag)) {
+      const ranges = req.range(backupFile.sizeBytes, { combine: true });
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${backupFile.sizeBytes}`);
+        return res.status(416).json({
+          success: false,
+          error: `Range not satisfiable for a file of ${backupFile.sizeBytes} bytes`,
+        });
+      }
+      // Malformed headers and multiple ranges are answered with the whole file
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    const details = {
+      range: range ? `bytes=${range.start}-${range.end}` : null,
+      decompress,
+      encrypted: backupFile.encrypted,
+      bytesSent: 0,
+    };
+    res.locals.auditDetails = details;
+
+    const stream = await openBackupFile(backupFile, { range, decompress });
+    stream.on('data', (chunk) => {
+      details.bytesSent += chunk.length;
+    });
+
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${format.name}"`,
+      'Accept-Ranges': decompress ? 'none' : 'bytes',
+      'ETag': backupFile.etag,
+      'Last-Modified': new Date(backupFile.updated).toUTCString(),
+    });
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${backupFile.sizeBytes}`,
+        'Content-Length': String(range.end - range.start + 1),
+      });
+    } else {
+      res.status(200);
+      if (!backupFile.encrypted && !decompress) {
+        res.set('Content-Length', String(backupFile.sizeBytes));
+      }
+    }
+
+    pipeline(stream, res, (error) => {
+      if (error) {
+        logger.error(`Download of ${fileName} aborted after ${details.bytesSent} bytes:`, error.message);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /backup/files/:fileName
+ * Set a backup's labels and note (stored in the object's custom metadata)
+ * Body: { labels: ["pre-migration", "keep"], note: "Taken before the 2.3 migration" }
+ *   or { addLabels: ["keep"], removeLabels: ["pre-migration"] }; note: null removes the note.
+ */
+router.patch('/*fileName', authenticateApiKey, requireScope('label'), audit('backup.label', (req) => req.params.fileName.join('/')), validate(updateLabelsSchema), async (req, res, next) => {
+  try {
+    const fileName = req.params.fileName.join('/');
+    logger.info(`Backup label update request for: ${fileName}`);
+    const result = await updateBackupLabels(fileName, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/files/:fileName/hold
+ * Place a legal hold: the backup cannot be deleted until the hold is released
+ * Body: { reason: "Litigation hold, case 2024-117" }
+ */
+router.post('/*fileName/hold', authenticateApiKey, requireScope('hold'), audit('backup.hold', (req) => req.params.fileName.join('/')), validate(holdSchema), async (req, res, next) => {
+  try {
+    const fileName = req.params.fileName.join('/');
+    logger.info(`Legal hold request for: ${fileName}`);
+    const result = await placeBackupHold(fileName, {
+      reason: req.body.reason,
+      placedBy: { keyId: req.apiKey.keyId, name: req.apiKey.name },
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/files/:fileName/hold
+ * Release a backup's legal hold
+ */
+router.delete('/*fileName/hold', authenticateApiKey, requireScope('hold'), audit('backup.release', (req) => req.params.fileName.join('/')), async (req, res, next) => {
+  try {
+    const fileName = req.params.fileName.join('/');
+    logger.info(`Legal hold release request for: ${fileName}`);
+    const result = await releaseBackupHold(fileName);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { getEngine, listEngines } = require('../config/engines.config');
+const logger = require('../utils/logger');
+const { HOST_NAME_PATTERN, createHost, listHosts, getHost, updateHost, deleteHost } = require('../services/host.service');
+
+const hostNameSchema = z.string().regex(HOST_NAME_PATTERN, 'name must be lowercase letters, digits and dashes');
+
+const hostFields = {
+  address: z.string().min(1, 'address is required'),
+  port: z.number().int().min(1).max(65535).default(22),
+  username: z.string().min(1, 'username is required'),
+  // Secret ID in this project, or a full projects/.../secrets/.../versions/... name
+  sshKeySecret: z.string().min(1, 'sshKeySecret is required'),
+  engines: z.array(z.string().refine((name) => getEngine(name), {
+    message: `engines must be any of: ${listEngines().map((engine) => engine.name).join(', ')}`,
+  })).min(1, 'engines must list at least one engine'),
+  description: z.string().max(500).optional(),
+};
+
+const createHostSchema = z.object({ name: hostNameSchema, ...hostFields });
+
+const updateHostSchema = z.object({
+  address: hostFields.address.optional(),
+  port: z.number().int().min(1).max(65535).optional(),
+  username: hostFields.username.optional(),
+  sshKeySecret: hostFields.sshKeySecret.optional(),
+  engines: hostFields.engines.optional(),
+  description: hostFields.description,
+}).refine((body) => Object.keys(body).length > 0, { message: 'Provide at least one field to update' });
+
+/**
+ * POST /backup/hosts
+ * Register a database host
+ * Body: { name: "db-eu-1", address: "10.0.0.12", port: 22, username: "backup", sshKeySecret: "db-eu-1-ssh-key", engines: ["postgres", "mongodb"] }
+ */
+router.post('/', authenticateApiKey, requireScope('admin'), audit('host.create', (req) => req.body.name), validate(createHostSchema), async (req, res, next) => {
+  try {
+    logger.info(`Host registration request for: ${req.body.name}`);
+    const result = await createHost(req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/hosts
+ * List registered hosts
+ * Query params: ?engine=postgres
+ */
+router.get('/', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    logger.info('Hosts list request received');
+    const result = await listHosts({ engine: req.query.engine });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/hosts/:hostName
+ * Get a registered host
+ */
+router.get('/:hostName', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    logger.info(`Host details request for: ${req.params.hostName}`);
+    const result = await getHost(req.params.hostName);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /backup/hosts/:hostName
+ * Update connection settings, engines or description of a host
+ * Body: { address: "10.0.0.13", engines: ["postgres"] }
+ */
+router.patch('/:hostName', authenticateApiKey, requireScope('admin'), audit('host.update', (req) => req.params.hostName), validate(updateHostSchema), async (req, res, next) => {
+  try {
+    logger.info(`Host update request for: ${req.params.hostName}`);
+    const result = await updateHost(req.params.hostName, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/hosts/:hostName
+ * Remove a host from the inventory (its backups are kept)
+ */
+router.delete('/:hostName', authenticateApiKey, requireScope('admin'), audit('host.delete', (req) => req.params.hostName), async (req, res, next) => {
+  try {
+    logger.info(`Host deletion request for: ${req.params.hostName}`);
+    const result = await deleteHost(req.params.hostName);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const logger = require('../utils/logger');
+const { listLocks, forceReleaseLock } = require('../services/lock.service');
+
+/**
+ * GET /backup/locks
+ * List engine/host backup locks with the run holding each and its queue
+ */
+router.get('/', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    logger.info('Backup locks list request received');
+    const result = await listLocks();
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/locks/:lockId
+ * Force-release a lock (e.g. postgres_db-eu-1) left behind by a killed function
+ * The first queued run, if any, is started.
+ */
+router.delete('/:lockId', authenticateApiKey, requireScope('admin'), audit('lock.release', (req) => req.params.lockId), async (req, res, next) => {
+  try {
+    logger.info(`Backup lock release request for: ${req.params.lockId}`);
+    const result = await forceReleaseLock(req.params.lockId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { listEngines } = require('../config/engines.config');
+const logger = require('../utils/logger');
+const {
+  SEVERITIES,
+  NOTIFICATION_MODES,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendTestEmail,
+  sendDigests,
+} = require('../services/notification.service');
+
+const engineNames = listEngines().map((engine) => engine.name);
+
+const subscriptionFields = {
+  email: z.email({ error: 'email must be a valid email address' }),
+  engines: z.array(z.enum([...engineNames, '*'], { error: `engines must be * or any of: ${engineNames.join(', ')}` })).min(1, 'engines must list at least one engine'),
+  severities: z.array(z.enum(SEVERITIES, { error: `severities must be any of: ${SEVERITIES.join(', ')}` })).min(1, 'severities must list at least one severity'),
+  mode: z.enum(NOTIFICATION_MODES, { error: `mode must be one of: ${NOTIFICATION_MODES.join(', ')}` }),
+  enabled: z.boolean(),
+};
+
+const createSubscriptionSchema = z.object({
+  ...subscriptionFields,
+  engines: subscriptionFields.engines.default(['*']),
+  severities: subscriptionFields.severities.default(['error']),
+  mode: subscriptionFields.mode.default('immediate'),
+  enabled: subscriptionFields.enabled.default(true),
+});
+
+const updateSubscriptionSchema = z.object(
+  Object.fromEntries(Object.entries(subscriptionFields).map(([field, schema]) => [field, schema.optional()]))
+).strict().refine((changes) => Object.keys(changes).length > 0, {
+  message: 'Provide at least one of email, engines, severities, mode or enabled',
+});
+
+const testEmailSchema = z.object({
+  email: subscriptionFields.email,
+});
+
+// Subscriptions hold the team's addresses and the test route sends mail, so every route needs the admin scope
+router.use(authenticateApiKey, requireScope('admin'));
+
+/**
+ * POST /backup/notifications
+ * Subscribe an email address to backup outcomes
+ * Body: { email: "dba@example.com", engines: ["postgres"], severities: ["error"], mode: "immediate" }
+ */
+router.post('/', audit('notification.create', (req, body) => body?.data?.subscriptionId), validate(createSubscriptionSchema), async (req, res, next) => {
+  try {
+    logger.info(`Notification subscription request for: ${req.body.email}`);
+    const result = await createSubscription(req.body, req.apiKey);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/notifications
+ * List notification subscriptions with the outcome of their last email
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    logger.info('Notification subscriptions list request received');
+    const result = await listSubscriptions();
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/notifications/test
+ * Send a test email with the configured SMTP settings
+ * Body: { email: "dba@example.com" }
+ */
+router.post('/test', audit('notification.test', (req) => req.body?.email), validate(testEmailSchema), async (req, res, next) => {
+  try {
+    logger.info(`Test email request for: ${req.body.email}`);
+    const result = await sendTestEmail(req.body.email);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/notifications/digest
+ * Send the digest emails now (what the digest job does)
+ * Point a Cloud Scheduler HTTP job here when the API does not run the job itself.
+ */
+router.post('/digest', audit('notification.digest', () => 'all'), async (req, res, next) => {
+  try {
+    logger.info('Digest emails requested');
+    const result = await sendDigests();
+    res.locals.auditDetails = { sentCount: result.data.sentCount, failedCount: result.data.failedCount };
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/notifications/:subscriptionId
+ * Get a notification subscription
+ */
+router.get('/:subscriptionId', async (req, res, next) => {
+  try {
+    logger.info(`Notification subscription details request for: ${req.params.subscriptionId}`);
+    const result = await getSubscription(req.params.subscriptionId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /backup/notifications/:subscriptionId
+ * Change a subscription
+ * Body: { mode: "digest", severities: ["error", "info"] }
+ */
+router.patch('/:subscriptionId', audit('notification.update', (req) => req.params.subscriptionId), validate(updateSubscriptionSchema), async (req, res, next) => {
+  try {
+    logger.info(`Notification subscription update request for: ${req.params.subscriptionId}`);
+    const result = await updateSubscription(req.params.subscriptionId, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/notifications/:subscriptionId
+ * Delete a notification subscription
+ */
+router.delete('/:subscriptionId', audit('notification.delete', (req) => req.params.subscriptionId), async (req, res, next) => {
+  try {
+    logger.info(`Notification subscription deletion request for: ${req.params.subscriptionId}`);
+    const result = await deleteSubscription(req.params.subscriptionId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { resolveEngine } = require('../middleware/engine.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { env } = require('../config/env');
+const logger = require('../utils/logger');
+const {
+  setReplicationConfig,
+  listReplicationConfigs,
+  getReplicationConfig,
+  deleteReplicationConfig,
+} = require('../services/replication.service');
+
+const targetName = z.string().regex(/^[a-z0-9][a-z0-9-]{0,62}$/, 'name must be lowercase letters, digits and dashes (max 63)');
+// Prepended to the backup's name in the target, e.g. "replica/" or "" to mirror the layout
+const keyPrefix = z.string().max(256).regex(/^([^/].*\/)?$/, 'prefix must be empty or end with / (and not start with one)').default('');
+
+const targetSchema = z.discriminatedUnion('type', [
+  z.object({
+    name: targetName,
+    type: z.literal('gcs'),
+    bucket: z.string().min(3).max(222).refine((bucket) => bucket !== env.GCS_BACKUP_BUCKET, { message: 'bucket must differ from the primary backup bucket' }),
+    prefix: keyPrefix,
+  }),
+  z.object({
+    name: targetName,
+    type: z.literal('s3'),
+    endpoint: z.url({ protocol: /^https?$/, error: 'endpoint must be an http(s) URL, e.g. https://s3.eu-west-1.amazonaws.com' }),
+    region: z.string().min(1).default('us-east-1'),
+    bucket: z.string().min(3).max(63),
+    prefix: keyPrefix,
+    pathStyle: z.boolean().default(true),
+    // Secret Manager secret holding { "accessKeyId": "...", "secretAccessKey": "..." }
+    credentialsSecret: z.string().regex(/^[A-Za-z0-9_-]{1,255}$/, 'credentialsSecret must be a Secret Manager secret name'),
+  }),
+], { error: 'type must be gcs or s3' });
+
+const replicationSchema = z.object({
+  targets: z.array(targetSchema).min(1).max(5),
+  enabled: z.boolean().default(true),
+}).refine(({ targets }) => new Set(targets.map((target) => target.name)).size === targets.length, {
+  message: 'Target names must be unique',
+});
+
+/**
+ * GET /backup/replication
+ * List the replication targets of every engine
+ */
+router.get('/', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    logger.info('Replication targets list request received');
+    const result = await listReplicationConfigs();
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/replication/:engine
+ * Get an engine's replication targets
+ */
+router.get('/:engine', authenticateApiKey, requireScope('read'), resolveEngine('list'), async (req, res, next) => {
+  try {
+    logger.info(`Replication targets request for ${req.engine.displayName}`);
+    const result = await getReplicationConfig(req.engine);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /backup/replication/:engine
+ * Create or replace an engine's replication targets
+ * Body: { targets: [{ name: "dr-gcs", type: "gcs", bucket: "backups-europe-west4" },
+ *                   { name: "offsite", type: "s3", endpoint: "https://s3.eu-central-1.amazonaws.com", region: "eu-central-1",
+ *                     bucket: "db-backups", prefix: "gcp/", credentialsSecret: "offsite-s3-credentials" }], enabled: true }
+ * Backups uploaded from then on are copied to every target; POST /backup/replicate copies existing ones.
+ */
+router.put('/:engine', authenticateApiKey, requireScope('admin'), audit('replication.update', (req) => req.params.engine), resolveEngine('list'), validate(replicationSchema), async (req, res, next) => {
+  try {
+    logger.info(`Replication targets update for ${req.engine.displayName}`);
+    const result = await setReplicationConfig(req.engine, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/replication/:engine
+ * Stop replicating an engine's backups (replicas already copied are kept)
+ */
+router.delete('/:engine', authenticateApiKey, requireScope('admin'), audit('replication.delete', (req) => req.params.engine), resolveEngine('list'), async (req, res, next) => {
+  try {
+    logger.info(`Replication targets deletion for ${req.engine.displayName}`);
+    const result = await deleteReplicationConfig(req.engine);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { resolveEngine } = require('../middleware/engine.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const logger = require('../utils/logger');
+const {
+  setRetentionPolicy,
+  listRetentionPolicies,
+  getRetentionPolicy,
+  deleteRetentionPolicy,
+  previewRetention,
+  applyRetention,
+  applyAllRetention,
+} = require('../services/retention.service');
+
+const keepCount = z.number().int().min(0).max(1000).default(0);
+
+const policySchema = z.object({
+  keepLast: keepCount,
+  keepDaily: keepCount,
+  keepWeekly: keepCount,
+  keepMonthly: keepCount,
+  keepYearly: keepCount,
+  maxAgeDays: z.number().int().min(1).max(36500).nullable().default(null),
+  // A backup job that keeps failing must not let a max age empty the bucket
+  minKeep: z.number().int().min(0).max(1000).default(1),
+  timeZone: z.string().default('UTC'),
+  enabled: z.boolean().default(true),
+}).refine((policy) => policy.keepLast || policy.keepDaily || policy.keepWeekly || policy.keepMonthly || policy.keepYearly || policy.maxAgeDays, {
+  message: 'Set at least one of keepLast, keepDaily, keepWeekly, keepMonthly, keepYearly or maxAgeDays',
+});
+
+const actorOf = (req) => ({ keyId: req.apiKey.keyId, name: req.apiKey.name });
+
+/**
+ * GET /backup/retention
+ * List the retention policies of every engine
+ */
+router.get('/', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    logger.info('Retention policies list request received');
+    const result = await listRetentionPolicies();
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/retention/run
+ * Apply every enabled policy now (what the pruning job does)
+ * Point a Cloud Scheduler HTTP job here when the API does not run the job itself.
+ */
+router.post('/run', authenticateApiKey, requireScope('delete'), audit('retention.run', () => 'all'), async (req, res, next) => {
+  try {
+    logger.info('Retention run requested for all engines');
+    const result = await applyAllRetention({ actor: actorOf(req) });
+    res.locals.auditDetails = {
+      engines: result.data.map(({ engine, deletedCount, failedCount, error }) => ({ engine, deletedCount, failedCount, ...(error && { error }) })),
+    };
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/retention/:engine
+ * Get an engine's retention policy and the outcome of its last run
+ */
+router.get('/:engine', authenticateApiKey, requireScope('read'), resolveEngine('list'), async (req, res, next) => {
+  try {
+    logger.info(`Retention policy request for ${req.engine.displayName}`);
+    const result = await getRetentionPolicy(req.engine);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /backup/retention/:engine
+ * Create or replace an engine's retention policy
+ * Body: { keepLast: 7, keepDaily: 14, keepWeekly: 8, keepMonthly: 12, keepYearly: 3, maxAgeDays: 1100, minKeep: 3, timeZone: "Europe/Berlin", enabled: true }
+ */
+router.put('/:engine', authenticateApiKey, requireScope('delete'), audit('retention.update', (req) => req.params.engine), resolveEngine('list'), validate(policySchema), async (req, res, next) => {
+  try {
+    logger.info(`Retention policy update for ${req.engine.displayName}`);
+    const result = await setRetentionPolicy(req.engine, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/retention/:engine
+ * Remove an engine's retention policy
+ */
+router.delete('/:engine', authenticateApiKey, requireScope('delete'), audit('retention.delete', (req) => req.params.engine), resolveEngine('list'), async (req, res, next) => {
+  try {
+    logger.info(`Retention policy deletion for ${req.engine.displayName}`);
+    const result = await deleteRetentionPolicy(req.engine);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/retention/:engine/preview
+ * Dry run: list exactly which backups the policy would delete now, and why the others are kept
+ */
+router.get('/:engine/preview', authenticateApiKey, requireScope('read'), resolveEngine('list'), async (req, res, next) => {
+  try {
+    logger.info(`Retention preview for ${req.engine.displayName}`);
+    const result = await previewRetention(req.engine);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/retention/:engine/run
+ * Apply an engine's policy now, deleting what the preview lists
+ * Each deleted backup is audited as retention.prune.
+ */
+router.post('/:engine/run', authenticateApiKey, requireScope('delete'), audit('retention.run', (req) => req.params.engine), resolveEngine('list'), async (req, res, next) => {
+  try {
+    logger.info(`Retention run requested for ${req.engine.displayName}`);
+    const result = await applyRetention(req.engine, { actor: actorOf(req) });
+    res.locals.auditDetails = { deletedCount: result.data.deletedCount, failedCount: result.data.failedCount };
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
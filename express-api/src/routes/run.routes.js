@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+const { listRuns, getRun } = require('../services/run.service');
+
+const RUN_STATUSES = ['queued', 'scheduled', 'waiting', 'running', 'succeeded', 'failed', 'coalesced', 'cancelled'];
+
+/**
+ * GET /backup/runs
+ * List backup runs, newest first
+ * Query params: ?engine=postgres&status=failed&limit=50&pageToken=... (nextPageToken of the previous page)
+ */
+router.get('/', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    const { engine, status, operation, pageToken } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+    if (Number.isNaN(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be between 1 and 200',
+      });
+    }
+
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${RUN_STATUSES.join(', ')}`,
+      });
+    }
+
+    logger.info('Backup runs list request received');
+    const result = await listRuns({ engine, status, operation, limit, pageToken });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/runs/:runId
+ * Get a backup run with its phases, outcome, GCS path, size and duration
+ */
+router.get('/:runId', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    logger.info(`Backup run details request for: ${req.params.runId}`);
+    const result = await getRun(req.params.runId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
+const { getEngine, listEngines } = require('../config/engines.config');
+const logger = require('../utils/logger');
+const { LOCK_POLICIES } = require('../services/lock.service');
+const { createSchedule, listSchedules, getSchedule, updateSchedule, setScheduleEnabled, deleteSchedule } = require('../services/schedule.service');
+
+const createScheduleSchema = z.object({
+  engine: z.string().refine((name) => getEngine(name)?.capabilities.schedule, {
+    message: `engine must be one of: ${listEngines().filter((engine) => engine.capabilities.schedule).map((engine) => engine.name).join(', ')}`,
+  }),
+  cron: z.string().min(9, 'cron is required, e.g. "0 2 * * *"'),
+  timeZone: z.string().default('UTC'),
+  description: z.string().max(500).optional(),
+  enabled: z.boolean().default(true),
+  target: z.record(z.string(), z.unknown()).optional(),
+  host: z.string().optional(),
+  // A recurring run that finds the previous one still going waits for it by default
+  onConflict: z.enum(LOCK_POLICIES).default('queue'),
+});
+
+const updateScheduleSchema = z.object({
+  cron: z.string().min(9).optional(),
+  timeZone: z.string().optional(),
+  description: z.string().max(500).optional(),
+  target: z.record(z.string(), z.unknown()).optional(),
+  host: z.string().optional(),
+  onConflict: z.enum(LOCK_POLICIES).optional(),
+}).refine((body) => Object.keys(body).length > 0, { message: 'Provide at least one of cron, timeZone, description, target, host, onConflict' });
+
+/**
+ * POST /backup/schedules
+ * Create a recurring backup schedule
+ * Body: { engine: "postgres", cron: "0 2 * * *", timeZone: "Europe/Berlin", description: "Nightly", enabled: true, target: { databases: ["app"] }, host: "db-eu-1", onConflict: "queue" }
+ */
+router.post('/', authenticateApiKey, requireScope('schedule'), audit('schedule.create', (req, body) => body?.data?.id), validate(createScheduleSchema), idempotent, async (req, res, next) => {
+  try {
+    const { engine, ...input } = req.body;
+    logger.info(`Recurring schedule creation request for ${engine}: ${input.cron} (${input.timeZone})`);
+    const result = await createSchedule(getEngine(engine), input);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/schedules
+ * List recurring schedules with next-run time and recent runs
+ * Query params: ?engine=postgres
+ */
+router.get('/', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    logger.info('Recurring schedules list request received');
+    const result = await listSchedules({ engine: req.query.engine });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/schedules/:scheduleId
+ * Get a recurring schedule
+ */
+router.get('/:scheduleId', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    logger.info(`Recurring schedule details request for: ${req.params.scheduleId}`);
+    const result = await getSchedule(req.params.scheduleId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /backup/schedules/:scheduleId
+ * Update cron expression, time zone, description, backup target or host
+ * Body: { cron: "30 3 * * 1-5", timeZone: "UTC", target: { databases: ["app", "billing"] } }
+ */
+router.patch('/:scheduleId', authenticateApiKey, requireScope('schedule'), audit('schedule.update', (req) => req.params.scheduleId), validate(updateScheduleSchema), async (req, res, next) => {
+  try {
+    logger.info(`Recurring schedule update request for: ${req.params.scheduleId}`);
+    const result = await updateSchedule(req.params.scheduleId, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/schedules/:scheduleId/pause
+ * Pause a recurring schedule
+ */
+router.post('/:scheduleId/pause', authenticateApiKey, requireScope('schedule'), audit('schedule.pause', (req) => req.params.scheduleId), async (req, res, next) => {
+  try {
+    logger.info(`Recurring schedule pause request for: ${req.params.scheduleId}`);
+    const result = await setScheduleEnabled(req.params.scheduleId, false);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/schedules/:scheduleId/resume
+ * Resume a paused recurring schedule
+ */
+router.post('/:scheduleId/resume', authenticateApiKey, requireScope('schedule'), audit('schedule.resume', (req) => req.params.scheduleId), async (req, res, next) => {
+  try {
+    logger.info(`Recurring schedule resume request for: ${req.params.scheduleId}`);
+    const result = await setScheduleEnabled(req.params.scheduleId, true);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/schedules/:scheduleId
+ * Delete a recurring schedule
+ */
+router.delete('/:scheduleId', authenticateApiKey, requireScope('schedule'), audit('schedule.delete', (req) => req.params.scheduleId), async (req, res, next) => {
+  try {
+    logger.info(`Recurring schedule deletion request for: ${req.params.scheduleId}`);
+    const result = await deleteSchedule(req.params.scheduleId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { getEngine } = require('../config/engines.config');
+const logger = require('../utils/logger');
+const { listTrash, restoreFromTrash, purgeTrashedBackup, purgeExpiredTrash } = require('../services/trash.service');
+
+/**
+ * GET /backup/trash
+ * List deleted backups that can still be restored
+ * Query params: ?engine=postgres limits the listing to one engine
+ */
+router.get('/', authenticateApiKey, requireScope('read'), async (req, res, next) => {
+  try {
+    const { engine: engineName } = req.query;
+    const engine = engineName ? getEngine(engineName) : null;
+    if (engineName && !engine) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown engine: ${engineName}`,
+      });
+    }
+
+    logger.info('Trash list request received');
+    const result = await listTrash({ engine });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/trash/purge
+ * Permanently delete every trashed backup past its purgeAfter (what the purge job does)
+ * Point a Cloud Scheduler HTTP job here when the API does not run the job itself.
+ */
+router.post('/purge', authenticateApiKey, requireScope('purge'), audit('trash.purge', () => 'all'), async (req, res, next) => {
+  try {
+    logger.info('Trash purge requested');
+    const result = await purgeExpiredTrash({ actor: { keyId: req.apiKey.keyId, name: req.apiKey.name } });
+    res.locals.auditDetails = { purgedCount: result.data.purgedCount, failedCount: result.data.failedCount };
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/trash/:fileName/restore
+ * Move a deleted backup back to its original name
+ * fileName is the name the backup had, e.g. /backup/trash/postgres/default/postgresql_app_2024-01-01.sql.gz/restore
+ */
+router.post('/*fileName/restore', authenticateApiKey, requireScope('delete'), audit('backup.undelete', (req) => req.params.fileName.join('/')), async (req, res, next) => {
+  try {
+    const fileName = req.params.fileName.join('/');
+    logger.info(`Trash restore request for: ${fileName}`);
+    const result = await restoreFromTrash(fileName);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/trash/:fileName
+ * Permanently delete a backup from the trash (the only hard delete the API offers)
+ */
+router.delete('/*fileName', authenticateApiKey, requireScope('purge'), audit('backup.purge', (req) => req.params.fileName.join('/')), async (req, res, next) => {
+  try {
+    const fileName = req.params.fileName.join('/');
+    logger.info(`Trash purge request for: ${fileName}`);
+    const result = await purgeTrashedBackup(fileName);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
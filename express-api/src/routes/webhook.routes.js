@@ -0,0 +1,168 @@
+const express = require('express');
+const { z } = require('zod');
+const router = express.Router();
+const { authenticateApiKey, requireScope } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { WEBHOOK_FORMATS } = require('../utils/webhook-formatters');
+const logger = require('../utils/logger');
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliver,
+} = require('../services/webhook.service');
+
+const webhookFields = {
+  name: z.string().trim().min(1, 'name is required').max(100),
+  url: z.url({ protocol: /^https?$/, error: 'url must be an http(s) URL' }),
+  events: z.array(z.enum([...WEBHOOK_EVENTS, '*'], { error: `events must be * or any of: ${WEBHOOK_EVENTS.join(', ')}` })).min(1, 'events must list at least one event'),
+  format: z.enum(Object.keys(WEBHOOK_FORMATS), { error: `format must be one of: ${Object.keys(WEBHOOK_FORMATS).join(', ')}` }),
+  secret: z.string().min(16, 'secret must be at least 16 characters').max(256),
+  enabled: z.boolean(),
+};
+
+const createWebhookSchema = z.object({
+  ...webhookFields,
+  format: webhookFields.format.default('json'),
+  secret: webhookFields.secret.optional(),
+  enabled: webhookFields.enabled.default(true),
+});
+
+const updateWebhookSchema = z.object({
+  ...Object.fromEntries(Object.entries(webhookFields).map(([field, schema]) => [field, schema.optional()])),
+  rotateSecret: z.boolean().optional(),
+}).strict().refine((changes) => Object.keys(changes).length > 0, {
+  message: 'Provide at least one of name, url, events, format, secret, enabled or rotateSecret',
+}).refine((changes) => !(changes.secret && changes.rotateSecret), {
+  message: 'Send either secret or rotateSecret, not both',
+});
+
+// Webhook URLs often carry credentials (e.g. Slack's), so every route needs the admin scope
+router.use(authenticateApiKey, requireScope('admin'));
+
+/**
+ * POST /backup/webhooks
+ * Subscribe a URL to events; the signing secret is only shown in this response
+ * Body: { name: "ops-slack", url: "https://hooks.slack.com/services/...", events: ["backup.failed"], format: "slack" }
+ */
+router.post('/', audit('webhook.create', (req, body) => body?.data?.webhookId), validate(createWebhookSchema), async (req, res, next) => {
+  try {
+    logger.info(`Webhook creation request for: ${req.body.name}`);
+    const result = await createWebhook(req.body, req.apiKey);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/webhooks
+ * List webhooks with the outcome of their last delivery (secrets are never returned)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    logger.info('Webhooks list request received');
+    const result = await listWebhooks();
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/webhooks/:webhookId
+ * Get a webhook
+ */
+router.get('/:webhookId', async (req, res, next) => {
+  try {
+    logger.info(`Webhook details request for: ${req.params.webhookId}`);
+    const result = await getWebhook(req.params.webhookId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /backup/webhooks/:webhookId
+ * Change a webhook; rotateSecret: true returns a newly generated secret
+ * Body: { events: ["backup.completed", "backup.failed"], enabled: false }
+ */
+router.patch('/:webhookId', audit('webhook.update', (req) => req.params.webhookId), validate(updateWebhookSchema), async (req, res, next) => {
+  try {
+    logger.info(`Webhook update request for: ${req.params.webhookId}`);
+    const result = await updateWebhook(req.params.webhookId, req.body);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /backup/webhooks/:webhookId
+ * Delete a webhook; its delivery log is kept
+ */
+router.delete('/:webhookId', audit('webhook.delete', (req) => req.params.webhookId), async (req, res, next) => {
+  try {
+    logger.info(`Webhook deletion request for: ${req.params.webhookId}`);
+    const result = await deleteWebhook(req.params.webhookId);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /backup/webhooks/:webhookId/deliveries
+ * List a webhook's deliveries with their attempts, newest first
+ * Query params: ?status=failed&limit=50&pageToken=... (nextPageToken of the previous page)
+ */
+router.get('/:webhookId/deliveries', async (req, res, next) => {
+  try {
+    const { status, pageToken } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+    if (Number.isNaN(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be between 1 and 200',
+      });
+    }
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+      });
+    }
+
+    logger.info(`Webhook deliveries request for: ${req.params.webhookId}`);
+    const result = await listDeliveries(req.params.webhookId, { status, limit, pageToken });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /backup/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Send a delivery's event again; answers with the new delivery after its first attempt
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', audit('webhook.redeliver', (req) => req.params.deliveryId), async (req, res, next) => {
+  try {
+    logger.info(`Webhook redelivery request for: ${req.params.deliveryId}`);
+    const result = await redeliver(req.params.webhookId, req.params.deliveryId);
+    res.locals.auditDetails = { deliveryId: result.data.deliveryId, status: result.data.status };
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
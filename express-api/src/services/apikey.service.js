@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const { getCollection } = require('../config/firestore.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const API_KEYS_COLLECTION = 'api_keys';
+
+/**
+ * Scopes a key can carry; routes declare the one they need with requireScope()
+ * admin implies every other scope and is required to manage keys and hosts.
+ */
+const SCOPES = ['read', 'trigger', 'schedule', 'restore', 'import', 'label', 'hold', 'delete', 'purge', 'storage', 'domain-admin', 'audit', 'admin'];
+
+// Keys look like dbk_<keyId>_<secret>; only a hash of the secret is stored
+const KEY_PATTERN = /^dbk_([a-f0-9]{12})_([A-Za-z0-9_-]{32,})$/;
+
+// lastUsedAt is written at most once per interval to keep hot keys cheap
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// The bootstrap key from env.API_KEY, used to create the first named keys
+const ROOT_KEY = Object.freeze({ keyId: 'root', name: 'root (API_KEY)', scopes: ['admin'] });
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function generateSecret(keyId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { key: `dbk_${keyId}_${secret}`, hash: hashSecret(secret) };
+}
+
+/**
+ * Strip hashes before a key record leaves the service
+ */
+function toPublicKey({ hash, previousHash, ...record }) {
+  return record;
+}
+
+async function loadKey(keyId) {
+  const snapshot = await getCollection(API_KEYS_COLLECTION).doc(keyId).get();
+  if (!snapshot.exists) {
+    throw new HttpError(404, `API key not found: ${keyId}`);
+  }
+  return snapshot.data();
+}
+
+/**
+ * Whether a key's scopes grant the required scope
+ */
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+/**
+ * Resolve the x-api-key header to a key record
+ * Returns null for unknown, revoked or expired keys.
+ */
+async function verifyApiKey(rawKey) {
+  if (safeEqual(rawKey, env.API_KEY)) {
+    return ROOT_KEY;
+  }
+
+  const match = KEY_PATTERN.exec(rawKey);
+  if (!match) {
+    return null;
+  }
+
+  const [, keyId, secret] = match;
+  const snapshot = await getCollection(API_KEYS_COLLECTION).doc(keyId).get();
+  if (!snapshot.exists) {
+    return null;
+  }
+
+  const record = snapshot.data();
+  const now = new Date();
+  const hash = hashSecret(secret);
+  const matchesCurrent = safeEqual(hash, record.hash);
+  // After a rotation the old secret keeps working until the grace period ends
+  const matchesPrevious = record.previousHash
+    && new Date(record.previousHashExpiresAt) > now
+    && safeEqual(hash, record.previousHash);
+
+  if (!matchesCurrent && !matchesPrevious) {
+    return null;
+  }
+  if (record.revokedAt || (record.expiresAt && new Date(record.expiresAt) <= now)) {
+    return null;
+  }
+
+  if (!record.lastUsedAt || now - new Date(record.lastUsedAt) > LAST_USED_INTERVAL_MS) {
+    snapshot.ref.update({ lastUsedAt: now.toISOString() })
+      .catch((error) => logger.warn(`Failed to record last use of API key ${keyId}:`, error.message));
+  }
+
+  return toPublicKey(record);
+}
+
+/**
+ * Create a named API key
+ * The plaintext key is only returned here; it cannot be retrieved later.
+ * @param {object} input - { name, scopes, expiresInDays }
+ * @param {object} createdBy - Key record of the caller
+ */
+async function createApiKey({ name, scopes, expiresInDays }, createdBy) {
+  try {
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const { key, hash } = generateSecret(keyId);
+    const now = new Date();
+
+    const record = {
+      keyId,
+      name,
+      scopes,
+      hash,
+      expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+      lastUsedAt: null,
+      revokedAt: null,
+      createdBy: createdBy.keyId,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+    await getCollection(API_KEYS_COLLECTION).doc(keyId).set(record);
+
+    logger.success(`API key created: ${keyId} (${name}) with scopes ${scopes.join(', ')}`);
+
+    return {
+      success: true,
+      key,
+      data: toPublicKey(record),
+      message: 'API key created. Store the key now; it will not be shown again.',
+    };
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    throw new Error(`Failed to create API key: ${error.message}`);
+  }
+}
+
+/**
+ * List API keys without their hashes, newest first
+ */
+async function listApiKeys() {
+  try {
+    const snapshot = await getCollection(API_KEYS_COLLECTION).orderBy('createdAt', 'desc').get();
+    const keys = snapshot.docs.map((doc) => toPublicKey(doc.data()));
+
+    return {
+      success: true,
+      count: keys.length,
+      data: keys,
+      message: 'API keys listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    throw new Error(`Failed to list API keys: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single API key without its hash
+ */
+async function getApiKey(keyId) {
+  try {
+    return {
+      success: true,
+      data: toPublicKey(await loadKey(keyId)),
+      message: 'API key retrieved successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error getting API key:', error);
+    throw new Error(`Failed to get API key: ${error.message}`);
+  }
+}
+
+/**
+ * Issue a new secret for a key, keeping its ID, name and scopes
+ * @param {string} keyId - Key to rotate
+ * @param {number} graceMinutes - How long the old secret keeps working (0 = immediately invalid)
+ */
+async function rotateApiKey(keyId, graceMinutes = 0) {
+  try {
+    const record = await loadKey(keyId);
+    if (record.revokedAt) {
+      throw new HttpError(409, `API key ${keyId} is revoked and cannot be rotated`);
+    }
+
+    const { key, hash } = generateSecret(keyId);
+    const now = new Date();
+    const updated = {
+      ...record,
+      hash,
+      previousHash: graceMinutes > 0 ? record.hash : null,
+      previousHashExpiresAt: graceMinutes > 0 ? new Date(now.getTime() + graceMinutes * 60 * 1000).toISOString() : null,
+      rotatedAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+    await getCollection(API_KEYS_COLLECTION).doc(keyId).set(updated);
+
+    logger.success(`API key rotated: ${keyId}${graceMinutes > 0 ? ` (old secret valid for ${graceMinutes} minutes)` : ''}`);
+
+    return {
+      success: true,
+      key,
+      data: toPublicKey(updated),
+      message: 'API key rotated. Store the new key now; it will not be shown again.',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error rotating API key:', error);
+    throw new Error(`Failed to rotate API key: ${error.message}`);
+  }
+}
+
+/**
+ * Revoke a key; the record is kept so past use stays attributable
+ */
+async function revokeApiKey(keyId) {
+  try {
+    const record = await loadKey(keyId);
+    const now = new Date().toISOString();
+    const updates = {
+      revokedAt: record.revokedAt || now,
+      previousHash: null,
+      previousHashExpiresAt: null,
+      updatedAt: now,
+    };
+    await getCollection(API_KEYS_COLLECTION).doc(keyId).update(updates);
+
+    logger.success(`API key revoked: ${keyId}`);
+
+    return {
+      success: true,
+      data: toPublicKey({ ...record, ...updates }),
+      message: 'API key revoked successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error revoking API key:', error);
+    throw new Error(`Failed to revoke API key: ${error.message}`);
+  }
+}
+
+module.exports = {
+  SCOPES,
+  hasScope,
+  verifyApiKey,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  rotateApiKey,
+  revokeApiKey,
+};
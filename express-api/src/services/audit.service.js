@@ -0,0 +1,99 @@
+const { getCollection, documentId } = require('../config/firestore.config');
+const { HttpError } = require('../utils/errors');
+const { encodePageToken, decodePageToken } = require('../utils/page-token');
+const logger = require('../utils/logger');
+
+// Append-only: entries are added here and never updated or deleted by the API
+const AUDIT_COLLECTION = 'audit_log';
+
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Append an entry to the audit log
+ * @param {object} entry - { actor, action, target, method, path, params, outcome, statusCode, error, ip, details }
+ */
+async function recordAuditEntry(entry) {
+  const docRef = getCollection(AUDIT_COLLECTION).doc();
+  await docRef.set({
+    id: docRef.id,
+    ...entry,
+    occurredAt: new Date().toISOString(),
+  });
+}
+
+function buildAuditQuery({ actor, action, outcome, from, to }) {
+  let query = getCollection(AUDIT_COLLECTION);
+  if (actor) query = query.where('actor.keyId', '==', actor);
+  if (action) query = query.where('action', '==', action);
+  if (outcome) query = query.where('outcome', '==', outcome);
+  if (from) query = query.where('occurredAt', '>=', from);
+  if (to) query = query.where('occurredAt', '<=', to);
+  // The document ID orders entries recorded in the same millisecond (e.g. by a retention run)
+  return query.orderBy('occurredAt', 'desc').orderBy(documentId, 'desc');
+}
+
+/**
+ * List audit entries, newest first
+ * @param {object} filters - { actor, action, outcome, from, to, limit, pageToken }
+ * pageToken is the nextPageToken of the previous page.
+ */
+async function listAuditEntries({ limit = 50, pageToken, ...filters } = {}) {
+  try {
+    let query = buildAuditQuery(filters);
+    if (pageToken) query = query.startAfter(...decodePageToken(pageToken));
+
+    const snapshot = await query.limit(limit).get();
+    const entries = snapshot.docs.map((doc) => doc.data());
+    const last = snapshot.docs[snapshot.size - 1];
+
+    return {
+      success: true,
+      count: entries.length,
+      data: entries,
+      nextPageToken: entries.length === limit ? encodePageToken(last.data().occurredAt, last.id) : null,
+      message: 'Audit entries listed successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error listing audit entries:', error);
+    throw new Error(`Failed to list audit entries: ${error.message}`);
+  }
+}
+
+/**
+ * Write every matching audit entry as one JSON object per line
+ * Entries are read page by page so large exports do not sit in memory.
+ * @param {object} filters - { actor, action, outcome, from, to }
+ * @param {function} write - Called with each line
+ * @returns {Promise<number>} Number of entries written
+ */
+async function exportAuditEntries(filters, write) {
+  try {
+    const query = buildAuditQuery(filters);
+    let count = 0;
+    let cursor;
+
+    for (;;) {
+      const page = cursor ? query.startAfter(...cursor) : query;
+      const snapshot = await page.limit(EXPORT_PAGE_SIZE).get();
+      snapshot.docs.forEach((doc) => write(`${JSON.stringify(doc.data())}\n`));
+      count += snapshot.size;
+
+      if (snapshot.size < EXPORT_PAGE_SIZE) {
+        return count;
+      }
+      const last = snapshot.docs[snapshot.size - 1];
+      cursor = [last.data().occurredAt, last.id];
+    }
+  } catch (error) {
+    logger.error('Error exporting audit entries:', error);
+    throw new Error(`Failed to export audit entries: ${error.message}`);
+  }
+}
+
+module.exports = {
+  AUDIT_COLLECTION,
+  recordAuditEntry,
+  listAuditEntries,
+  exportAuditEntries,
+};
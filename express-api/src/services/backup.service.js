@@ -1,128 +1,213 @@
+const crypto = require('crypto');
 const { pubsubClient } = require('../config/pubsub.config');
+const { storageClient } = require('../config/storage.config');
 const { env } = require('../config/env');
+const { parseBackupTarget } = require('../config/engines.config');
+const { HttpError } = require('../utils/errors');
+const { createRun, updateRun } = require('./run.service');
+const { DEFAULT_HOST, resolveHost } = require('./host.service');
+const { acquireLock, releaseLock, dequeueRun } = require('./lock.service');
+const { emitBackupEvent } = require('../utils/event-bus');
 const logger = require('../utils/logger');
 
 /**
- * Trigger PostgreSQL backup
+ * Publish a run's message to a function topic
+ * The runId is carried in the message; a publish failure marks the run failed.
  */
-async function triggerPostgresBackup() {
+async function publishRunMessage(topicName, run, message) {
   try {
-    const postgresTopic = pubsubClient.topic(env.POSTGRES_TOPIC);
-    const message = {
-      action: 'backup',
-      database: 'postgres',
-      triggeredBy: 'manual',
-      timestamp: new Date().toISOString(),
-    };
+    const topic = pubsubClient.topic(topicName);
 
     // Convert message to buffer
     const messageBuffer = Buffer.from(JSON.stringify(message));
 
     // Publish message to Pub/Sub topic
-    const messageId = await postgresTopic.publishMessage({ data: messageBuffer });
+    const messageId = await topic.publishMessage({ data: messageBuffer });
+    await updateRun(run.runId, { messageId });
 
     logger.success(`Message published to Pub/Sub. Message ID: ${messageId}`);
-
-    return {
-      success: true,
-      messageId: messageId,
-      message: 'PostgreSQL backup triggered successfully',
-      data: message,
-    };
+    return messageId;
   } catch (error) {
-    logger.error('Error publishing message to Pub/Sub:', error);
-    throw new Error(`Failed to trigger backup: ${error.message}`);
+    await updateRun(run.runId, {
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: { message: error.message, phase: 'publish' },
+    }).catch((ledgerError) => logger.warn(`Failed to mark run ${run.runId} as failed:`, ledgerError.message));
+    throw error;
   }
 }
 
 /**
- * Trigger MongoDB backup
+ * Trigger a backup for any registered engine
+ * A run ledger entry is created first and its runId is carried in the message.
+ * @param {object} engine - Engine registry entry (see config/engines.config.js)
+ * @param {object} options - Optional trigger context
+ * @param {string} options.triggeredBy - Origin of the trigger (default: 'manual')
+ * @param {string} options.scheduleId - Recurring schedule that fired this backup
+ * @param {object} options.target - What to back up (see engine.backupTarget); defaults apply when omitted
+ * @param {string} options.host - Registered host to back up; the legacy VM when omitted
+ * @param {string} options.onConflict - What to do if a backup of the same engine and host is running:
+ *   'reject' (409, default), 'queue' or 'coalesce' (see LOCK_POLICIES)
  */
-async function triggerMongoDBBackup() {
+async function triggerBackup(engine, { triggeredBy = 'manual', scheduleId, target, host, onConflict = 'reject' } = {}) {
   try {
-    const mongodbTopic = pubsubClient.topic(env.MONGODB_TOPIC);
+    const backupTarget = parseBackupTarget(engine, target);
+    const hostName = await resolveHost(engine, host);
+    const hostLabel = hostName || DEFAULT_HOST;
+    const runId = crypto.randomUUID();
+
     const message = {
       action: 'backup',
-      database: 'mongodb',
-      triggeredBy: 'manual',
+      database: engine.name,
+      target: backupTarget,
+      ...(hostName && { host: hostName }),
+      runId,
+      triggeredBy: triggeredBy,
+      ...(scheduleId && { scheduleId }),
+      onConflict,
       timestamp: new Date().toISOString(),
     };
 
-    const messageBuffer = Buffer.from(JSON.stringify(message));
-    const messageId = await mongodbTopic.publishMessage({ data: messageBuffer });
-    
-    logger.success(`Message published to Pub/Sub. Message ID: ${messageId}`);
+    // The lease is taken before the run exists so a rejected trigger leaves no trace
+    const lock = await acquireLock({
+      engine: engine.name,
+      host: hostLabel,
+      runId,
+      topic: engine.topic,
+      message,
+      policy: onConflict,
+    });
+
+    if (lock.status === 'coalesced') {
+      logger.info(`${engine.displayName} backup coalesced into running run ${lock.heldBy}`);
+      return {
+        success: true,
+        runId: lock.heldBy,
+        coalesced: true,
+        message: `${engine.displayName} backup of ${hostLabel} is already running; attached to run ${lock.heldBy}`,
+      };
+    }
+
+    const run = await createRun({
+      runId,
+      engine: engine.name,
+      operation: 'backup',
+      ...(lock.status === 'queued' && { status: 'waiting', waitingFor: lock.heldBy }),
+      triggeredBy,
+      scheduleId,
+      host: hostLabel,
+      target: backupTarget,
+    }).catch(async (error) => {
+      // No function would ever run for this runId, so its lease or queue entry is given back now
+      const giveBack = lock.status === 'queued' ? dequeueRun : releaseLock;
+      await giveBack(engine.name, hostLabel, runId)
+        .catch((lockError) => logger.warn(`Failed to release backup lock of run ${runId}:`, lockError.message));
+      throw error;
+    });
+
+    if (lock.status === 'queued') {
+      logger.info(`${engine.displayName} backup run ${runId} queued behind run ${lock.heldBy}`);
+      return {
+        success: true,
+        runId,
+        queued: true,
+        waitingFor: lock.heldBy,
+        message: `${engine.displayName} backup queued behind run ${lock.heldBy}`,
+        data: message,
+      };
+    }
+
+    const messageId = await publishRunMessage(engine.topic, run, message).catch(async (error) => {
+      await releaseLock(engine.name, hostLabel, runId)
+        .catch((lockError) => logger.warn(`Failed to release backup lock of run ${runId}:`, lockError.message));
+      throw error;
+    });
+    emitBackupEvent('backup.started', { engine: engine.name, runId: run.runId, host: hostLabel, target: backupTarget, triggeredBy, ...(scheduleId && { scheduleId }) });
 
     return {
       success: true,
       messageId: messageId,
-      message: 'MongoDB backup triggered successfully',
+      runId: run.runId,
+      message: `${engine.displayName} backup triggered successfully`,
       data: message,
     };
   } catch (error) {
+    if (error instanceof HttpError) throw error;
     logger.error('Error publishing message to Pub/Sub:', error);
     throw new Error(`Failed to trigger backup: ${error.message}`);
   }
 }
 
 /**
- * Trigger QuestDB backup
+ * Trigger a restore of a backup object into a target
+ * The restore function streams the object from GCS to the VM and replays it.
+ * @param {object} engine - Engine registry entry (see config/engines.config.js)
+ * @param {object} options
+ * @param {string} options.fileName - Backup object in the bucket (e.g. 'postgres/backup.sql.gz')
+ * @param {object} options.target - Validated engine.restoreTarget
+ * @param {string} options.host - Registered host to restore onto; the legacy VM when omitted
+ * @param {string} options.triggeredBy - Origin of the trigger (default: 'manual')
  */
-async function triggerQuestDBBackup() {
+async function triggerRestore(engine, { fileName, target, host, triggeredBy = 'manual' }) {
   try {
-    const questdbTopic = pubsubClient.topic(env.QUESTDB_TOPIC);
-    const message = {
-      action: 'backup',
-      database: 'questdb',
-      triggeredBy: 'manual',
-      timestamp: new Date().toISOString(),
+    if (!fileName.startsWith(engine.prefix)) {
+      throw new HttpError(400, `fileName must be a ${engine.displayName} backup under ${engine.prefix}`);
+    }
+
+    const [exists] = await storageClient.bucket(env.GCS_BACKUP_BUCKET).file(fileName).exists();
+    if (!exists) {
+      throw new HttpError(404, `File not found: ${fileName}`);
+    }
+
+    const hostName = await resolveHost(engine, host);
+    const hostLabel = hostName || DEFAULT_HOST;
+    const runId = crypto.randomUUID();
+
+    // Restores take the same lease as backups, so a host is never restored while
+    // it is being backed up or restored by another run (409 instead)
+    await acquireLock({ engine: engine.name, host: hostLabel, runId, operation: 'restore' });
+    const giveBack = async (error) => {
+      await releaseLock(engine.name, hostLabel, runId)
+        .catch((lockError) => logger.warn(`Failed to release backup lock of run ${runId}:`, lockError.message));
+      throw error;
     };
 
-    const messageBuffer = Buffer.from(JSON.stringify(message));
-    const messageId = await questdbTopic.publishMessage({ data: messageBuffer });
-    
-    logger.success(`Message published to Pub/Sub. Message ID: ${messageId}`);
-
-    return {
-      success: true,
-      messageId: messageId,
-      message: 'QuestDB backup triggered successfully',
-      data: message,
-    };
-  } catch (error) {
-    logger.error('Error publishing message to Pub/Sub:', error);
-    throw new Error(`Failed to trigger backup: ${error.message}`);
-  }
-}
+    const run = await createRun({
+      runId,
+      engine: engine.name,
+      operation: 'restore',
+      triggeredBy,
+      sourceObject: fileName,
+      host: hostLabel,
+      target,
+    }).catch(giveBack);
 
-/**
- * Trigger QdrantDB backup
- */
-async function triggerQdrantDBBackup() {
-  try {
-    const qdrantdbTopic = pubsubClient.topic(env.QDRANTDB_TOPIC);
     const message = {
-      action: 'backup',
-      database: 'qdrantdb',
-      triggeredBy: 'manual',
+      action: 'restore',
+      database: engine.name,
+      runId: run.runId,
+      bucket: env.GCS_BACKUP_BUCKET,
+      fileName,
+      target,
+      ...(hostName && { host: hostName }),
+      triggeredBy,
       timestamp: new Date().toISOString(),
     };
 
-    const messageBuffer = Buffer.from(JSON.stringify(message));
-    const messageId = await qdrantdbTopic.publishMessage({ data: messageBuffer });
-
-    logger.success(`Message published to Pub/Sub. Message ID: ${messageId}`);
+    const messageId = await publishRunMessage(engine.restoreTopic, run, message).catch(giveBack);
 
     return {
       success: true,
       messageId: messageId,
-      message: 'QdrantDB backup triggered successfully',
+      runId: run.runId,
+      message: `${engine.displayName} restore of ${fileName} triggered successfully`,
       data: message,
     };
   } catch (error) {
-    logger.error('Error publishing message to Pub/Sub:', error);
-    throw new Error(`Failed to trigger backup: ${error.message}`);
+    if (error instanceof HttpError) throw error;
+    logger.error('Error triggering restore:', error);
+    throw new Error(`Failed to trigger restore: ${error.message}`);
   }
 }
 
-module.exports = { triggerPostgresBackup, triggerMongoDBBackup, triggerQuestDBBackup, triggerQdrantDBBackup };
\ No newline at end of file
+module.exports = { triggerBackup, triggerRestore };
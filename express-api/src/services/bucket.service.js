@@ -1,94 +1,245 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const zlib = require('zlib');
 const { storageClient } = require('../config/storage.config');
 const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const { AES_BLOCK_SIZE, isEncrypted, createDecipher, createRangeDecipher } = require('./encryption.service');
 const logger = require('../utils/logger');
 
 /**
- * List all PostgreSQL backups from GCS
+ * Sort orders accepted by listBackups
+ * GCS lists objects by name, so name_asc (the default) pages through the bucket
+ * lazily; the other orders read every object's metadata under the prefix and
+ * sort in memory, again for each page, so they refuse prefixes holding more
+ * than MAX_SORTED_BACKUPS objects.
  */
-async function listPostgresBackups() {
-  try {
-    const bucketName = env.GCS_BACKUP_BUCKET;
-    const prefix = 'postgres/';
+const BACKUP_SORTS = {
+  created_desc: { field: 'created', direction: -1 },
+  created_asc: { field: 'created', direction: 1 },
+  size_desc: { field: 'size', direction: -1 },
+  size_asc: { field: 'size', direction: 1 },
+  name_asc: { field: 'name', direction: 1 },
+  name_desc: { field: 'name', direction: -1 },
+};
 
-    const [files] = await storageClient.bucket(bucketName).getFiles({ prefix });
+// Only the fields the listing needs are requested from GCS
+const LIST_FIELDS = 'items(name,size,timeCreated,updated,storageClass,temporaryHold,eventBasedHold,metadata),nextPageToken';
+const GCS_PAGE_SIZE = 1000;
+const MAX_SORTED_BACKUPS = 5000;
 
-    const backups = files.map(file => ({
-      name: file.name,
-      size: file.metadata.size,
-      created: file.metadata.timeCreated,
-      updated: file.metadata.updated,
-      url: `gs://${bucketName}/${file.name}`,
-    }));
+// The backup functions write a manifests/<object name>.json sidecar with each object's SHA-256
+const MANIFEST_PREFIX = 'manifests/';
 
-    return {
-      success: true,
-      count: backups.length,
-      data: backups.sort((a, b) => new Date(b.created) - new Date(a.created)), // Sort by created date in descending order
-      message: 'PostgreSQL backups listed successfully',
-    };
-  } catch (error) {
-    logger.error('Error listing PostgreSQL backups:', error);
-    throw new Error(`Failed to list PostgreSQL backups: ${error.message}`);
+const manifestName = (fileName) => `${MANIFEST_PREFIX}${fileName}.json`;
+
+// Restoring from the trash rewrites the object, so the original creation time is kept in custom metadata
+const createdAt = (objectMetadata) => objectMetadata.metadata?.originalTimeCreated || objectMetadata.timeCreated;
+
+// Storage classes a backup can be moved to; colder classes cost less to keep and more to read
+const STORAGE_CLASSES = ['STANDARD', 'NEARLINE', 'COLDLINE', 'ARCHIVE'];
+
+// Labels are kept comma-separated in custom metadata (see label.service.js)
+const parseLabels = (metadata) => (metadata?.labels ? metadata.labels.split(',') : []);
+
+// GCS refuses to delete or overwrite an object under a temporary or event-based hold
+const isHeld = (objectMetadata) => Boolean(objectMetadata.temporaryHold || objectMetadata.eventBasedHold);
+
+/**
+ * Describe an object's hold, or null if it has none
+ * Who placed it and why are kept in custom metadata; holds placed outside the
+ * API (e.g. with gcloud) have no placedBy or reason.
+ */
+function toHold(objectMetadata) {
+  if (!isHeld(objectMetadata)) {
+    return null;
   }
+  const custom = objectMetadata.metadata || {};
+  return {
+    placedBy: custom.holdBy ? { keyId: custom.holdBy, name: custom.holdByName || null } : null,
+    placedAt: custom.holdAt || null,
+    reason: custom.holdReason || null,
+  };
 }
 
 /**
- * List all MongoDB backups from GCS
+ * Replication status of a backup, one entry per target it was copied to (or failed to be)
+ * Kept as JSON in the replication custom metadata field: { <target>: { status, at, error } }.
  */
-async function listMongoDBBackups() {
+function parseReplication(metadata) {
   try {
-    const bucketName = env.GCS_BACKUP_BUCKET;
-    const prefix = 'mongodb/';
+    const replication = JSON.parse(metadata?.replication || '{}');
+    return Object.entries(replication).map(([target, { status, at, error }]) => ({ target, status, at, error: error || null }));
+  } catch {
+    return [];
+  }
+}
 
-    const [files] = await storageClient.bucket(bucketName).getFiles({ prefix });
+/**
+ * Extract the host segment from an object name like postgres/<host>/<file>
+ */
+function hostFromObjectName(engine, objectName) {
+  const segments = objectName.slice(engine.prefix.length).split('/');
+  return segments.length > 1 ? segments[0] : null;
+}
 
-    const backups = files.map(file => ({
-      name: file.name,
-      size: file.metadata.size,
-      created: file.metadata.timeCreated,
-      updated: file.metadata.updated,
-      url: `gs://${bucketName}/${file.name}`,
-    }));
+function toBackup(engine, bucketName, file) {
+  return {
+    name: file.name,
+    size: Number(file.metadata.size),
+    created: createdAt(file.metadata),
+    updated: file.metadata.updated,
+    url: `gs://${bucketName}/${file.name}`,
+    // Objects written before hosts were introduced sit directly under the prefix
+    host: hostFromObjectName(engine, file.name),
+    // Custom metadata written by the backup function (target, runId)
+    metadata: file.metadata.metadata || {},
+    encrypted: isEncrypted(file.metadata.metadata),
+    labels: parseLabels(file.metadata.metadata),
+    note: file.metadata.metadata?.note || null,
+    hold: toHold(file.metadata),
+    storageClass: file.metadata.storageClass || null,
+    replication: parseReplication(file.metadata.metadata),
+  };
+}
 
-    return {
-      success: true,
-      count: backups.length,
-      data: backups.sort((a, b) => new Date(b.created) - new Date(a.created)),
-      message: 'MongoDB backups listed successfully',
-    };
-  } catch (error) {
-    logger.error('Error listing MongoDB backups:', error);
-    throw new Error(`Failed to list MongoDB backups: ${error.message}`);
+/**
+ * Build the predicate for the date, size, name and label filters
+ * A backup must carry every label asked for. Dates are compared as instants,
+ * since ISO strings with and without milliseconds do not sort as text.
+ */
+function matchesFilters({ createdAfter, createdBefore, minSize, maxSize, search, label = [] }) {
+  const term = search && search.toLowerCase();
+  const after = createdAfter && Date.parse(createdAfter);
+  const before = createdBefore && Date.parse(createdBefore);
+  return (backup) => (!createdAfter || Date.parse(backup.created) >= after)
+    && (!createdBefore || Date.parse(backup.created) < before)
+    && (minSize === undefined || backup.size >= minSize)
+    && (maxSize === undefined || backup.size <= maxSize)
+    && (!term || backup.name.toLowerCase().includes(term))
+    && label.every((wanted) => backup.labels.includes(wanted));
+}
+
+/**
+ * Compare two backups in a sort order; the name breaks ties so pages are stable
+ */
+function compareBackups({ field, direction }, a, b) {
+  const key = (backup) => (field === 'created' ? new Date(backup.created).getTime() : backup[field]);
+  if (key(a) !== key(b)) {
+    return key(a) < key(b) ? -direction : direction;
+  }
+  return a.name < b.name ? -direction : a.name > b.name ? direction : 0;
+}
+
+// Page tokens carry the sort and the last item returned, so they stay valid while backups are added
+function encodePageToken(sort, backup) {
+  return Buffer.from(JSON.stringify({ sort, size: backup.size, created: backup.created, name: backup.name })).toString('base64url');
+}
+
+function decodePageToken(sort, pageToken) {
+  try {
+    const token = JSON.parse(Buffer.from(pageToken, 'base64url').toString());
+    if (token.sort === sort && typeof token.name === 'string') {
+      return token;
+    }
+  } catch {
+    // Falls through to the 400 below
+  }
+  throw new HttpError(400, 'pageToken is invalid or belongs to a different sort order');
+}
+
+/**
+ * Walk the bucket in name order, fetching GCS pages until pageSize matches are found
+ * @returns {Promise<object[]>} Up to pageSize + 1 matches (the extra one signals another page)
+ */
+async function collectInNameOrder(engine, bucketName, prefix, matches, pageSize, after) {
+  const page = [];
+  let query = {
+    prefix,
+    autoPaginate: false,
+    maxResults: GCS_PAGE_SIZE,
+    fields: LIST_FIELDS,
+    ...(after && { startOffset: after.name }),
+  };
+
+  while (query && page.length <= pageSize) {
+    const [files, nextQuery] = await storageClient.bucket(bucketName).getFiles(query);
+    for (const file of files) {
+      const backup = toBackup(engine, bucketName, file);
+      if ((!after || backup.name !== after.name) && matches(backup)) {
+        page.push(backup);
+        if (page.length > pageSize) break;
+      }
+    }
+    query = nextQuery;
+  }
+  return page;
+}
+
+/**
+ * Read every object under the prefix, then filter, sort and cut the page
+ * Stops with a 400 once the prefix holds more than MAX_SORTED_BACKUPS objects.
+ */
+async function collectSorted(engine, bucketName, prefix, matches, pageSize, after, order) {
+  const [files] = await storageClient.bucket(bucketName).getFiles({ prefix, fields: LIST_FIELDS, maxResults: MAX_SORTED_BACKUPS + 1 });
+  if (files.length > MAX_SORTED_BACKUPS) {
+    throw new HttpError(400, `Only name_asc can list more than ${MAX_SORTED_BACKUPS} backups; narrow the listing with host or use sort=name_asc`);
   }
+  return files
+    .map((file) => toBackup(engine, bucketName, file))
+    .filter((backup) => matches(backup) && (!after || compareBackups(order, backup, after) > 0))
+    .sort((a, b) => compareBackups(order, a, b))
+    .slice(0, pageSize + 1);
 }
 
-async function listQuestDBBackups() {
+/**
+ * List one page of backups for an engine from GCS
+ * @param {object} engine - Engine registry entry (see config/engines.config.js)
+ * @param {object} options - { host, pageSize, pageToken, sort, createdAfter, createdBefore, minSize, maxSize, search, label }
+ *   host limits the listing to one host's backups; created* are ISO timestamps,
+ *   sizes are bytes, search matches the object name case-insensitively and
+ *   label is a list of labels the backups must all carry.
+ */
+async function listBackups(engine, { host, pageSize = 50, pageToken, sort = 'name_asc', ...filters } = {}) {
   try {
     const bucketName = env.GCS_BACKUP_BUCKET;
-    const prefix = 'questdb/';
+    // Backups are stored as <engine prefix><host>/<file>
+    const prefix = host ? `${engine.prefix}${host}/` : engine.prefix;
+    const after = pageToken ? decodePageToken(sort, pageToken) : null;
+    const matches = matchesFilters(filters);
 
-    const [files] = await storageClient.bucket(bucketName).getFiles({ prefix });
+    const page = sort === 'name_asc'
+      ? await collectInNameOrder(engine, bucketName, prefix, matches, pageSize, after)
+      : await collectSorted(engine, bucketName, prefix, matches, pageSize, after, BACKUP_SORTS[sort]);
 
-    const backups = files.map(file => ({
-      name: file.name,
-      size: file.metadata.size,
-      created: file.metadata.timeCreated,
-      updated: file.metadata.updated,
-      url: `gs://${bucketName}/${file.name}`,
-    }));
+    const backups = page.slice(0, pageSize);
 
     return {
       success: true,
       count: backups.length,
-      data: backups.sort((a, b) => new Date(b.created) - new Date(a.created)),
-      message: 'QuestDB backups listed successfully',
+      data: backups,
+      nextPageToken: page.length > pageSize ? encodePageToken(sort, backups[backups.length - 1]) : null,
+      message: `${engine.displayName} backups listed successfully`,
     };
   } catch (error) {
-    logger.error('Error listing QuestDB backups:', error);
-    throw new Error(`Failed to list QuestDB backups: ${error.message}`);
+    if (error instanceof HttpError) throw error;
+    logger.error(`Error listing ${engine.displayName} backups:`, error);
+    throw new Error(`Failed to list ${engine.displayName} backups: ${error.message}`);
   }
 }
 
+/**
+ * Every backup of an engine, unpaged, for jobs that have to weigh them all
+ * @param {object} engine - Engine registry entry
+ * @param {object} options - { host } limits it to one host's backups
+ */
+async function listAllBackups(engine, { host } = {}) {
+  const bucketName = env.GCS_BACKUP_BUCKET;
+  const prefix = host ? `${engine.prefix}${host}/` : engine.prefix;
+  const [files] = await storageClient.bucket(bucketName).getFiles({ prefix, fields: LIST_FIELDS });
+  return files.map((file) => toBackup(engine, bucketName, file));
+}
+
 /**
  * Generate a signed URL for downloading a backup file
  * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/backup-2024-01-01.sql')
@@ -104,6 +255,7 @@ async function generateDownloadUrl(fileName, expiresInMinutes = 60) {
     if (!exists) {
       throw new Error(`File not found: ${fileName}`);
     }
+    const [metadata] = await file.getMetadata();
 
     // Generate signed URL
     const [signedUrl] = await file.getSignedUrl({
@@ -120,6 +272,8 @@ async function generateDownloadUrl(fileName, expiresInMinutes = 60) {
       signedUrl: signedUrl,
       expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000).toISOString(),
       expiresInMinutes: expiresInMinutes,
+      // The signed URL serves the ciphertext of encrypted backups; use GET /backup/files/:fileName/content for the usable file
+      encrypted: isEncrypted(metadata.metadata),
       message: 'Signed URL generated successfully',
     };
   } catch (error) {
@@ -128,69 +282,281 @@ async function generateDownloadUrl(fileName, expiresInMinutes = 60) {
   }
 }
 
-async function listQdrantDBBackups() {
+/**
+ * Move an object to a new name (copy, then delete the source)
+ * The copy fails instead of overwriting an existing object; metadata is merged
+ * into the copy's custom metadata (null removes a field).
+ * @throws {HttpError} 409 when the destination exists
+ */
+async function moveObject(fromName, toName, metadata = null) {
+  const bucket = storageClient.bucket(env.GCS_BACKUP_BUCKET);
+  const destination = bucket.file(toName);
   try {
-    const bucketName = env.GCS_BACKUP_BUCKET;
-    const prefix = 'qdrantdb/';
+    await bucket.file(fromName).copy(destination, { preconditionOpts: { ifGenerationMatch: 0 } });
+  } catch (error) {
+    if (error.code === 412) {
+      throw new HttpError(409, `${toName} already exists`);
+    }
+    throw error;
+  }
+  if (metadata) {
+    await destination.setMetadata({ metadata });
+  }
+  await bucket.file(fromName).delete();
+}
+
+/**
+ * Move a backup and its checksum manifest (older backups have none) to new names
+ */
+async function moveBackupObject(fromName, toName, metadata = null) {
+  await moveObject(fromName, toName, metadata);
+  const [hasManifest] = await storageClient.bucket(env.GCS_BACKUP_BUCKET).file(manifestName(fromName)).exists();
+  if (hasManifest) {
+    await moveObject(manifestName(fromName), manifestName(toName));
+  }
+}
+
+/**
+ * Move a backup to another storage class
+ * GCS rewrites the object to do so, which resets its creation time; the
+ * original one is kept in custom metadata, as for restores from the trash.
+ * Held backups cannot be rewritten and are refused with a 423.
+ * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/default/backup-2024-01-01.sql.gz')
+ * @param {string} storageClass - One of STORAGE_CLASSES
+ */
+async function setBackupStorageClass(fileName, storageClass) {
+  try {
+    if (fileName.startsWith(MANIFEST_PREFIX)) {
+      throw new HttpError(400, 'fileName must be a backup object, not a manifest');
+    }
+
+    const file = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(fileName);
+    const [exists] = await file.exists();
+    if (!exists) {
+      throw new HttpError(404, `File not found: ${fileName}`);
+    }
 
-    const [files] = await storageClient.bucket(bucketName).getFiles({ prefix });
+    const [metadata] = await file.getMetadata();
+    const hold = toHold(metadata);
+    if (hold) {
+      throw new HttpError(423, `${fileName} is under a legal hold and cannot be rewritten`, { hold });
+    }
+    if (metadata.storageClass === storageClass) {
+      return {
+        success: true,
+        data: { fileName, storageClass, changed: false },
+        message: `Backup file is already in ${storageClass}`,
+      };
+    }
 
-    const backups = files.map(file => ({
-      name: file.name,
-      size: file.metadata.size,
-      created: file.metadata.timeCreated,
-      updated: file.metadata.updated,
-      url: `gs://${bucketName}/${file.name}`,
-    }));
+    await file.setStorageClass(storageClass);
+    await file.setMetadata({ metadata: { originalTimeCreated: createdAt(metadata) } });
+
+    logger.success(`Moved ${fileName} from ${metadata.storageClass} to ${storageClass}`);
 
     return {
       success: true,
-      count: backups.length,
-      data: backups.sort((a, b) => new Date(b.created) - new Date(a.created)),
-      message: 'QdrantDB backups listed successfully',
+      data: { fileName, storageClass, previousStorageClass: metadata.storageClass || null, changed: true },
+      message: `Backup file moved to ${storageClass}`,
     };
   } catch (error) {
-    logger.error('Error listing QdrantDB backups:', error);
-    throw new Error(`Failed to list QdrantDB backups: ${error.message}`);
+    if (error instanceof HttpError) throw error;
+    logger.error('Error changing storage class:', error);
+    throw new Error(`Failed to change storage class: ${error.message}`);
   }
 }
 
 /**
- * Delete a backup file from GCS
- * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/backup-2024-01-01.sql')
+ * Read stream over a backup's contents, decrypted if the backup is encrypted
+ * A decryption failure (altered object or wrong key) surfaces as an error on
+ * the returned stream once the whole object has been read.
+ */
+async function readBackupContents(fileName, file, metadata) {
+  const source = file.createReadStream();
+  if (!isEncrypted(metadata)) {
+    return source;
+  }
+
+  const decipher = await createDecipher(fileName, metadata);
+  return pipeline(source, decipher, () => {});
+}
+
+/**
+ * Look up a backup for download through the API
+ * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/default/backup-2024-01-01.sql.gz')
+ * @returns {Promise<object>} { fileName, file, metadata, encrypted, sizeBytes, etag, updated }
  */
-async function deleteBackupFile(fileName) {
+async function getBackupFile(fileName) {
   try {
-    const bucketName = env.GCS_BACKUP_BUCKET;
-    const file = storageClient.bucket(bucketName).file(fileName);
+    if (fileName.startsWith(MANIFEST_PREFIX)) {
+      throw new HttpError(400, 'fileName must be a backup object, not a manifest');
+    }
 
-    // Check if file exists
+    const file = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(fileName);
+    const [exists] = await file.exists();
+    if (!exists) {
+      throw new HttpError(404, `File not found: ${fileName}`);
+    }
+
+    const [metadata] = await file.getMetadata();
+    return {
+      fileName,
+      file,
+      metadata: metadata.metadata || {},
+      encrypted: isEncrypted(metadata.metadata),
+      // GCM adds no padding, so the decrypted file is as large as the object
+      sizeBytes: Number(metadata.size),
+      // The generation changes whenever the object is rewritten, so resumed downloads can be validated
+      etag: `"${metadata.generation}"`,
+      updated: metadata.updated,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error looking up backup file:', error);
+    throw new Error(`Failed to look up backup file: ${error.message}`);
+  }
+}
+
+/**
+ * Stream a backup's contents, decrypted if the backup is encrypted
+ * A range of the decrypted file is served by decrypting from the AES block it
+ * starts in; unlike a full read it is not authenticated. With decompress, a
+ * .gz backup is gunzipped after decryption and range does not apply.
+ * @param {object} backupFile - From getBackupFile
+ * @param {object} options - { range: { start, end } (inclusive), decompress }
+ */
+async function openBackupFile(backupFile, { range = null, decompress = false } = {}) {
+  const { fileName, file, metadata, encrypted } = backupFile;
+  let stream;
+
+  if (!range) {
+    stream = await readBackupContents(fileName, file, metadata);
+  } else if (!encrypted) {
+    stream = file.createReadStream({ start: range.start, end: range.end });
+  } else {
+    const decipher = await createRangeDecipher(fileName, metadata, range.start);
+    const blockStart = range.start - (range.start % AES_BLOCK_SIZE);
+    stream = pipeline(file.createReadStream({ start: blockStart, end: range.end }), decipher, () => {});
+  }
+
+  logger.info(`Streaming backup file: ${fileName}${range ? ` (bytes ${range.start}-${range.end})` : ''}${decompress ? ' decompressed' : ''}`);
+  return decompress ? pipeline(stream, zlib.createGunzip(), () => {}) : stream;
+}
+
+/**
+ * Read a backup's checksum manifest, or null if it has none
+ */
+async function readManifest(fileName) {
+  const manifest = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(manifestName(fileName));
+  const [exists] = await manifest.exists();
+  if (!exists) {
+    return null;
+  }
+  const [contents] = await manifest.download();
+  return JSON.parse(contents.toString());
+}
+
+/**
+ * Recompute a backup's SHA-256 and compare it with the stored digests
+ * The object is streamed from GCS, so this takes as long as a download.
+ * Encrypted backups are hashed after decryption, as the digests stored at
+ * upload are those of the file on the VM; an object that fails GCM
+ * authentication is reported as not verified.
+ * verified is null when the backup predates checksums and nothing was stored.
+ * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/default/backup-2024-01-01.sql.gz')
+ */
+async function verifyBackupFile(fileName) {
+  try {
+    if (fileName.startsWith(MANIFEST_PREFIX)) {
+      throw new HttpError(400, 'fileName must be a backup object, not a manifest');
+    }
+
+    const file = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(fileName);
     const [exists] = await file.exists();
     if (!exists) {
-      throw new Error(`File not found: ${fileName}`);x
+      throw new HttpError(404, `File not found: ${fileName}`);
+    }
+
+    const [metadata] = await file.getMetadata();
+    const manifest = await readManifest(fileName);
+
+    const encrypted = isEncrypted(metadata.metadata);
+    const hash = crypto.createHash('sha256');
+    let sizeBytes = 0;
+    let authenticated = encrypted || null;
+    try {
+      for await (const chunk of await readBackupContents(fileName, file, metadata.metadata)) {
+        hash.update(chunk);
+        sizeBytes += chunk.length;
+      }
+    } catch (error) {
+      // Only the GCM tag check fails this late; read errors from GCS are rethrown
+      if (!encrypted || !/unable to authenticate/.test(error.message)) {
+        throw error;
+      }
+      logger.error(`Decryption of ${fileName} failed authentication: ${error.message}`);
+      authenticated = false;
     }
+    const sha256 = hash.digest('hex');
 
-    // Delete the file
-    await file.delete();
+    const expected = {
+      metadata: metadata.metadata?.sha256 || null,
+      manifest: manifest?.sha256 || null,
+      sizeBytes: manifest?.sizeBytes ?? (metadata.metadata?.sizeBytes ? Number(metadata.metadata.sizeBytes) : null),
+    };
+    const stored = [expected.metadata, expected.manifest].filter(Boolean);
+    const matches = stored.length === 0
+      ? null
+      : stored.every((digest) => digest === sha256) && (expected.sizeBytes === null || expected.sizeBytes === sizeBytes);
+    const verified = authenticated === false ? false : matches;
 
-    logger.success(`Deleted backup file: ${fileName}`);
+    if (verified === false) {
+      logger.error(`Checksum mismatch for ${fileName}: computed ${sha256}, stored ${stored.join(' / ')}`);
+    } else {
+      logger.success(`Checksum computed for ${fileName}: ${sha256}`);
+    }
 
     return {
       success: true,
-      fileName: fileName,
-      message: 'Backup file deleted successfully',
+      data: {
+        fileName,
+        sha256,
+        sizeBytes,
+        expected,
+        encrypted,
+        authenticated,
+        verified,
+        checkedAt: new Date().toISOString(),
+      },
+      message: verified === null
+        ? 'Checksum computed; the backup has no stored checksum to compare with'
+        : verified ? 'Checksum matches the stored digest' : 'Checksum does not match the stored digest',
     };
   } catch (error) {
-    logger.error('Error deleting backup file:', error);
-    throw new Error(`Failed to delete backup file: ${error.message}`);
+    if (error instanceof HttpError) throw error;
+    logger.error('Error verifying backup file:', error);
+    throw new Error(`Failed to verify backup file: ${error.message}`);
   }
 }
 
 module.exports = {
-  listPostgresBackups,
-  listMongoDBBackups,
-  listQuestDBBackups,
-  listQdrantDBBackups,
+  BACKUP_SORTS,
+  MANIFEST_PREFIX,
+  STORAGE_CLASSES,
+  manifestName,
+  createdAt,
+  parseLabels,
+  parseReplication,
+  isHeld,
+  toHold,
+  hostFromObjectName,
+  matchesFilters,
+  listBackups,
+  listAllBackups,
   generateDownloadUrl,
-  deleteBackupFile,
+  getBackupFile,
+  openBackupFile,
+  moveBackupObject,
+  setBackupStorageClass,
+  verifyBackupFile,
 };
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { firestoreClient, getCollection } = require('../config/firestore.config');
+const { getEngine, listEngines } = require('../config/engines.config');
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { matchesFilters, listAllBackups, setBackupStorageClass } = require('./bucket.service');
+const { deleteBackupFile } = require('./trash.service');
+const { placeBackupHold, releaseBackupHold } = require('./hold.service');
+const { updateBackupLabels } = require('./label.service');
+
+const BULK_COLLECTION = 'bulk_operations';
+
+// How long a preview's confirmation token can be used
+const CONFIRMATION_TTL_MS = 15 * 60 * 1000;
+
+// Larger selections have to be split with a narrower filter
+const MAX_BULK_OBJECTS = 1000;
+
+/**
+ * What each bulk action needs and does
+ * scope is the API key scope the action requires (as for the single-backup
+ * route); skip names why a matching backup would not be touched, so the preview
+ * leaves it out; run applies the action to one backup.
+ */
+const BULK_ACTIONS = {
+  delete: {
+    scope: 'delete',
+    skip: (backup) => (backup.hold ? 'hold' : null),
+    run: (name, action, actor) => deleteBackupFile(name, { deletedBy: actor }),
+  },
+  hold: {
+    scope: 'hold',
+    skip: (backup) => (backup.hold ? 'already-held' : null),
+    run: (name, action, actor) => placeBackupHold(name, { reason: action.reason, placedBy: actor }),
+  },
+  release: {
+    scope: 'hold',
+    skip: (backup) => (backup.hold ? null : 'not-held'),
+    run: (name) => releaseBackupHold(name),
+  },
+  relabel: {
+    scope: 'label',
+    skip: () => null,
+    run: (name, { labels, addLabels, removeLabels, note }) => updateBackupLabels(name, { labels, addLabels, removeLabels, note }),
+  },
+  'storage-class': {
+    scope: 'storage',
+    skip: (backup, action) => (backup.hold ? 'hold' : backup.storageClass === action.storageClass ? 'unchanged' : null),
+    run: (name, action) => setBackupStorageClass(name, action.storageClass),
+  },
+};
+
+// A confirmation token only executes the exact filter and action it was issued for
+const requestHash = (filter, action) => crypto.createHash('sha256').update(JSON.stringify({ filter, action })).digest('hex');
+
+/**
+ * Every backup the filter selects, across the engines it covers
+ * @param {object} filter - { engine, host, prefix, createdAfter, createdBefore, minSize, maxSize, label }
+ */
+async function selectBackups({ engine, host, prefix, ...filters }) {
+  const engines = engine ? [getEngine(engine)] : listEngines().filter((entry) => entry.capabilities.list);
+  const matches = matchesFilters(filters);
+  const backups = [];
+  for (const entry of engines) {
+    const engineBackups = await listAllBackups(entry, { host });
+    backups.push(...engineBackups
+      .filter((backup) => (!prefix || backup.name.startsWith(prefix)) && matches(backup))
+      .map((backup) => ({ ...backup, engine: entry.name })));
+  }
+  return backups.sort((a, b) => (a.name < b.name ? -1 : 1));
+}
+
+/**
+ * Dry run of a bulk operation: what it would change, and a token to run it
+ * The token is stored with the exact list of backups previewed; executing it
+ * acts on that list only, so backups created since are not touched.
+ * @param {object} request - { filter, action } as validated by the route
+ * @param {object} actor - API key ({ keyId, name }) the token is issued to
+ */
+async function previewBulkOperation({ filter, action }, actor) {
+  try {
+    const backups = await selectBackups(filter);
+    if (backups.length > MAX_BULK_OBJECTS) {
+      throw new HttpError(400, `The filter matches ${backups.length} backups; a bulk operation can change at most ${MAX_BULK_OBJECTS}, so narrow the filter`);
+    }
+
+    const { skip } = BULK_ACTIONS[action.type];
+    const selected = [];
+    const skipped = [];
+    for (const backup of backups) {
+      const reason = skip(backup, action);
+      if (reason) {
+        skipped.push({ name: backup.name, reason });
+      } else {
+        selected.push(backup);
+      }
+    }
+
+    const totalBytes = selected.reduce((total, backup) => total + backup.size, 0);
+    let confirmation = null;
+    if (selected.length > 0) {
+      const now = new Date();
+      confirmation = {
+        operationId: crypto.randomUUID(),
+        expiresAt: new Date(now.getTime() + CONFIRMATION_TTL_MS).toISOString(),
+      };
+      await getCollection(BULK_COLLECTION).doc(confirmation.operationId).set({
+        ...confirmation,
+        // Stored as JSON so optional fields left out of the request do not reach Firestore as undefined
+        filter: JSON.parse(JSON.stringify(filter)),
+        action: JSON.parse(JSON.stringify(action)),
+        requestHash: requestHash(filter, action),
+        objects: selected.map((backup) => backup.name),
+        count: selected.length,
+        totalBytes,
+        status: 'previewed',
+        createdBy: actor,
+        createdAt: now.toISOString(),
+      });
+    }
+
+    logger.info(`Bulk ${action.type} preview: ${selected.length} backups selected, ${skipped.length} skipped`);
+
+    return {
+      success: true,
+      data: {
+        dryRun: true,
+        confirmationToken: confirmation?.operationId || null,
+        expiresAt: confirmation?.expiresAt || null,
+        action,
+        filter,
+        count: selected.length,
+        totalBytes,
+        objects: selected.map(({ name, engine, host, size, created, labels, hold, storageClass }) => ({ name, engine, host, size, created, labels, hold, storageClass })),
+        skipped,
+      },
+      message: selected.length
+        ? `Dry run: ${action.type} would apply to ${selected.length} backups; send the same request with confirmationToken to execute it`
+        : 'No backups match the filter',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error previewing bulk operation:', error);
+    throw new Error(`Failed to preview bulk operation: ${error.message}`);
+  }
+}
+
+/**
+ * Execute a previewed bulk operation
+ * Backups are changed one at a time; one that fails is reported and does not
+ * stop the others. A token can be executed once, by the key it was issued to,
+ * with the same filter and action, before it expires.
+ * @param {object} request - { filter, action } as validated by the route
+ * @param {string} confirmationToken - From the preview
+ * @param {object} actor - API key ({ keyId, name }) executing it
+ */
+async function executeBulkOperation({ filter, action }, confirmationToken, actor) {
+  const operationRef = getCollection(BULK_COLLECTION).doc(confirmationToken);
+
+  try {
+    const operation = await firestoreClient.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(operationRef);
+      if (!snapshot.exists) {
+        throw new HttpError(400, 'confirmationToken is not a token issued by a preview');
+      }
+      const current = snapshot.data();
+      if (current.createdBy.keyId !== actor.keyId) {
+        throw new HttpError(403, 'confirmationToken was issued to another API key');
+      }
+      if (current.requestHash !== requestHash(filter, action)) {
+        throw new HttpError(409, 'The filter or action differs from the preview the confirmationToken was issued for');
+      }
+      if (current.status !== 'previewed') {
+        throw new HttpError(409, `Bulk operation ${confirmationToken} is ${current.status}`);
+      }
+      if (new Date(current.expiresAt) <= new Date()) {
+        throw new HttpError(410, `confirmationToken expired at ${current.expiresAt}; preview the operation again`);
+      }
+      transaction.update(operationRef, { status: 'running', startedAt: new Date().toISOString() });
+      return current;
+    });
+
+    const { run } = BULK_ACTIONS[action.type];
+    const results = [];
+    for (const name of operation.objects) {
+      try {
+        await run(name, action, actor);
+        results.push({ name, outcome: 'success' });
+      } catch (error) {
+        results.push({ name, outcome: 'failure', error: error.message });
+      }
+    }
+
+    const failed = results.filter((result) => result.outcome === 'failure');
+    const summary = {
+      status: 'completed',
+      finishedAt: new Date().toISOString(),
+      succeededCount: results.length - failed.length,
+      failedCount: failed.length,
+      failed,
+    };
+    await operationRef.update(summary);
+
+    const log = failed.length ? logger.warn : logger.success;
+    log(`Bulk ${action.type} ${confirmationToken}: ${summary.succeededCount} succeeded, ${failed.length} failed`);
+
+    return {
+      success: true,
+      data: {
+        dryRun: false,
+        operationId: confirmationToken,
+        action,
+        filter,
+        count: results.length,
+        succeededCount: summary.succeededCount,
+        failedCount: failed.length,
+        results,
+      },
+      message: `${action.type} applied to ${summary.succeededCount} of ${results.length} backups${failed.length ? `; ${failed.length} failed` : ''}`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error executing bulk operation:', error);
+    throw new Error(`Failed to execute bulk operation: ${error.message}`);
+  }
+}
+
+module.exports = {
+  BULK_COLLECTION,
+  BULK_ACTIONS,
+  MAX_BULK_OBJECTS,
+  previewBulkOperation,
+  executeBulkOperation,
+};
@@ -0,0 +1,117 @@
+const { storageClient } = require('../config/storage.config');
+const { env } = require('../config/env');
+const { listEngines } = require('../config/engines.config');
+const { hostFromObjectName, createdAt, parseLabels, parseReplication, toHold } = require('./bucket.service');
+const logger = require('../utils/logger');
+
+const CATALOG_FIELDS = 'items(name,size,timeCreated,updated,md5Hash,crc32c,temporaryHold,eventBasedHold,metadata),nextPageToken';
+
+// Custom metadata keys describing what a backup covers; list values are stored comma-separated
+const TARGET_FIELDS = ['database', 'collections', 'tables', 'collectionName'];
+const LIST_TARGET_FIELDS = new Set(['collections', 'tables']);
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Normalize a GCS object into a catalog entry
+ */
+function toCatalogEntry(engine, bucketName, file) {
+  const metadata = file.metadata.metadata || {};
+  const target = Object.fromEntries(TARGET_FIELDS
+    .filter((field) => metadata[field] !== undefined)
+    .map((field) => [field, LIST_TARGET_FIELDS.has(field) ? metadata[field].split(',') : metadata[field]]));
+
+  return {
+    engine: engine.name,
+    host: hostFromObjectName(engine, file.name),
+    name: file.name,
+    url: `gs://${bucketName}/${file.name}`,
+    size: Number(file.metadata.size),
+    created: createdAt(file.metadata),
+    updated: file.metadata.updated,
+    target,
+    checksum: {
+      sha256: metadata.sha256 || null,
+      crc32c: file.metadata.crc32c || null,
+      md5: file.metadata.md5Hash || null,
+    },
+    encryption: metadata.encryption ? { algorithm: metadata.encryption, keyId: metadata.keyId || null } : null,
+    labels: parseLabels(metadata),
+    note: metadata.note || null,
+    hold: toHold(file.metadata),
+    replication: parseReplication(metadata),
+    runId: metadata.runId || null,
+    source: metadata.source || null,
+    backupMethod: metadata.backupMethod || null,
+    collectionName: metadata.collectionName || null,
+    snapshotName: metadata.snapshotName || null,
+    originalSize: toNumber(metadata.originalSize),
+    compressedSize: toNumber(metadata.compressedSize),
+  };
+}
+
+/**
+ * Aggregate an engine's catalog entries
+ * The compression ratio (originalSize / compressedSize) is averaged over the
+ * entries that record both sizes; it is null when none do.
+ */
+function summarize(engineName, entries) {
+  const byCreated = [...entries].sort((a, b) => new Date(a.created) - new Date(b.created));
+  const ratios = entries
+    .filter((entry) => entry.originalSize && entry.compressedSize)
+    .map((entry) => entry.originalSize / entry.compressedSize);
+  const pick = (entry) => (entry ? { name: entry.name, created: entry.created, size: entry.size } : null);
+
+  return {
+    engine: engineName,
+    count: entries.length,
+    totalBytes: entries.reduce((total, entry) => total + entry.size, 0),
+    newest: pick(byCreated[byCreated.length - 1]),
+    oldest: pick(byCreated[0]),
+    averageCompressionRatio: ratios.length
+      ? Math.round((ratios.reduce((total, ratio) => total + ratio, 0) / ratios.length) * 100) / 100
+      : null,
+  };
+}
+
+/**
+ * List every backup across engines and hosts with per-engine statistics
+ * @param {object} filters - { engine, host, label } narrow the catalog to one engine and/or host,
+ *   and to backups carrying every label in the label list
+ */
+async function getCatalog({ engine, host, label = [] } = {}) {
+  try {
+    const bucketName = env.GCS_BACKUP_BUCKET;
+    const engines = listEngines().filter((entry) => entry.capabilities.list && (!engine || entry.name === engine));
+
+    const perEngine = await Promise.all(engines.map(async (entry) => {
+      const prefix = host ? `${entry.prefix}${host}/` : entry.prefix;
+      const [files] = await storageClient.bucket(bucketName).getFiles({ prefix, fields: CATALOG_FIELDS });
+      return files
+        .map((file) => toCatalogEntry(entry, bucketName, file))
+        .filter((backup) => label.every((wanted) => backup.labels.includes(wanted)));
+    }));
+
+    const backups = perEngine.flat().sort((a, b) => new Date(b.created) - new Date(a.created));
+    const stats = engines.map((entry, index) => summarize(entry.name, perEngine[index]));
+
+    logger.info(`Catalog built with ${backups.length} backups across ${engines.length} engines`);
+
+    return {
+      success: true,
+      count: backups.length,
+      data: backups,
+      stats: {
+        engines: stats,
+        totalCount: backups.length,
+        totalBytes: stats.reduce((total, entry) => total + entry.totalBytes, 0),
+      },
+      message: 'Backup catalog built successfully',
+    };
+  } catch (error) {
+    logger.error('Error building backup catalog:', error);
+    throw new Error(`Failed to build backup catalog: ${error.message}`);
+  }
+}
+
+module.exports = { getCatalog };
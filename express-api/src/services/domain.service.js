@@ -2,6 +2,7 @@ const crypto = require('crypto');
 const dns = require('dns').promises;
 const { cloudflareClient } = require('../config/cloudflare.config');
 const { env } = require('../config/env');
+const { emitBackupEvent } = require('../utils/event-bus');
 const logger = require('../utils/logger');
 
 /**
@@ -96,6 +97,7 @@ async function insertDomainTxtRecord(domain, content, recordName = '@', ttl = 12
     });
 
     logger.success(`TXT record created for ${domain}: ${record.id}`);
+    emitBackupEvent('domain.txt.changed', { change: 'created', domain, recordId: record.id, recordName: record.name, zoneId: targetZoneId });
 
     return {
       success: true,
@@ -174,6 +176,7 @@ async function updateDomainTxtRecord(domain, recordId, content, ttl = 120, zoneI
     });
 
     logger.success(`TXT record updated for ${domain}: ${record.id}`);
+    emitBackupEvent('domain.txt.changed', { change: 'updated', domain, recordId: record.id, recordName: record.name, zoneId: targetZoneId });
 
     return {
       success: true,
@@ -304,6 +307,7 @@ async function removeDomainTxtRecord(domain, recordId, zoneId = null) {
     });
 
     logger.success(`TXT record ${recordId} deleted for ${domain}`);
+    emitBackupEvent('domain.txt.changed', { change: 'deleted', domain, recordId, recordName: null, zoneId: targetZoneId });
 
     return {
       success: true,
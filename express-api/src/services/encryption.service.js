@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { secretManagerClient } = require('../config/secretmanager.config');
+const { env } = require('../config/env');
+
+// The backup functions encrypt every object they upload with this algorithm
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const AES_BLOCK_SIZE = 16;
+
+// Secret versions are immutable, so a master key version is read once per process
+const masterKeys = new Map();
+
+/**
+ * Read a master key version from Secret Manager
+ * @param {string} name - Secret version name; 'latest' resolves to the current version
+ * @returns {Promise<object>} { keyId, key } where keyId is the resolved version name
+ */
+async function readMasterKey(name) {
+  const [response] = await secretManagerClient.accessSecretVersion({ name });
+  const key = Buffer.from(response.payload.data.toString().trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Master key ${response.name} must be 32 bytes, base64-encoded`);
+  }
+  masterKeys.set(response.name, key);
+  return { keyId: response.name, key };
+}
+
+/**
+ * Read the master key version an object's data key was wrapped with
+ * @param {string} keyId - Full secret version name, e.g. projects/123/secrets/cf-backup-master-key/versions/2
+ */
+async function getMasterKey(keyId) {
+  if (!masterKeys.has(keyId)) {
+    await readMasterKey(keyId);
+  }
+  return masterKeys.get(keyId);
+}
+
+/**
+ * Set up envelope encryption for a backup the API writes itself (imports)
+ * Same scheme as the backup functions: a fresh data key wrapped by the latest
+ * master key version. The auth tag is read from the cipher once the stream ends.
+ * @returns {Promise<object>} { cipher, metadata } - metadata goes on the object
+ */
+async function createEncryption() {
+  const masterKey = await readMasterKey(`projects/${env.GCP_PROJECT_ID}/secrets/${env.BACKUP_MASTER_KEY_SECRET}/versions/latest`);
+  const dataKey = crypto.randomBytes(32);
+  const wrapIv = crypto.randomBytes(12);
+  const wrapper = crypto.createCipheriv(ENCRYPTION_ALGORITHM, masterKey.key, wrapIv);
+  const wrappedKey = Buffer.concat([wrapIv, wrapper.update(dataKey), wrapper.final(), wrapper.getAuthTag()]);
+  const iv = crypto.randomBytes(12);
+
+  return {
+    cipher: crypto.createCipheriv(ENCRYPTION_ALGORITHM, dataKey, iv),
+    metadata: {
+      encryption: ENCRYPTION_ALGORITHM,
+      keyId: masterKey.keyId,
+      wrappedKey: wrappedKey.toString('base64'),
+      iv: iv.toString('base64'),
+    },
+  };
+}
+
+/**
+ * Whether a backup object was encrypted by the backup functions
+ * @param {object} metadata - The object's custom metadata
+ */
+const isEncrypted = (metadata) => Boolean(metadata && metadata.encryption);
+
+/**
+ * Unwrap an encrypted backup's data key with the master key version named by its keyId
+ * @param {string} fileName - Object name, for error messages
+ * @param {object} metadata - The object's custom metadata
+ */
+async function unwrapDataKey(fileName, metadata) {
+  if (metadata.encryption !== ENCRYPTION_ALGORITHM || !metadata.keyId || !metadata.wrappedKey || !metadata.iv) {
+    throw new Error(`${fileName} is encrypted with an unsupported scheme (${metadata.encryption})`);
+  }
+  if (!metadata.authTag) {
+    throw new Error(`${fileName} has no auth tag; its upload did not complete`);
+  }
+
+  const masterKey = await getMasterKey(metadata.keyId);
+  const wrappedKey = Buffer.from(metadata.wrappedKey, 'base64');
+  const unwrapper = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, masterKey, wrappedKey.subarray(0, 12));
+  unwrapper.setAuthTag(wrappedKey.subarray(-16));
+  return Buffer.concat([unwrapper.update(wrappedKey.subarray(12, -16)), unwrapper.final()]);
+}
+
+/**
+ * Decipher for an encrypted backup object
+ * The decipher errors at the end of the stream if the object was altered.
+ * @param {string} fileName - Object name, for error messages
+ * @param {object} metadata - The object's custom metadata
+ */
+async function createDecipher(fileName, metadata) {
+  const dataKey = await unwrapDataKey(fileName, metadata);
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, dataKey, Buffer.from(metadata.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(metadata.authTag, 'base64'));
+  return decipher;
+}
+
+/**
+ * Decipher for a byte range of an encrypted backup object
+ * GCM encrypts with AES-CTR, the first block using counter 2 after the 96-bit IV,
+ * so decryption can start at any block. The caller streams the object from the
+ * block boundary at or before offset; the bytes before offset are dropped.
+ * The GCM tag covers the whole object, so a range is not authenticated.
+ * @param {string} fileName - Object name, for error messages
+ * @param {object} metadata - The object's custom metadata
+ * @param {number} offset - First byte of the range
+ */
+async function createRangeDecipher(fileName, metadata, offset) {
+  const dataKey = await unwrapDataKey(fileName, metadata);
+  const block = Math.floor(offset / AES_BLOCK_SIZE);
+  const counter = Buffer.alloc(AES_BLOCK_SIZE);
+  Buffer.from(metadata.iv, 'base64').copy(counter);
+  counter.writeUInt32BE(2 + block, 12);
+  const decipher = crypto.createDecipheriv('aes-256-ctr', dataKey, counter);
+
+  let skip = offset - block * AES_BLOCK_SIZE;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      let plain = decipher.update(chunk);
+      if (skip > 0) {
+        const dropped = Math.min(skip, plain.length);
+        plain = plain.subarray(dropped);
+        skip -= dropped;
+      }
+      callback(null, plain);
+    },
+  });
+}
+
+module.exports = {
+  ENCRYPTION_ALGORITHM,
+  AES_BLOCK_SIZE,
+  isEncrypted,
+  createEncryption,
+  createDecipher,
+  createRangeDecipher,
+};
@@ -0,0 +1,115 @@
+const { firestoreClient, getCollection } = require('../config/firestore.config');
+const { getEngine } = require('../config/engines.config');
+const { HttpError } = require('../utils/errors');
+const { backupEvents } = require('../utils/event-bus');
+const { RUNS_COLLECTION, updateRun } = require('./run.service');
+const { recordScheduleOutcome } = require('./schedule.service');
+const logger = require('../utils/logger');
+
+const EVENT_TYPES = ['backup.completed', 'backup.failed', 'restore.completed', 'restore.failed'];
+
+/**
+ * Decode the data of a Pub/Sub push envelope
+ * Envelope: { message: { data: base64, attributes, messageId, publishTime }, subscription }
+ */
+function decodePushMessage(body) {
+  const data = body?.message?.data;
+  if (!data) {
+    throw new HttpError(400, 'Invalid Pub/Sub push envelope: message.data is required');
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64').toString());
+  } catch (error) {
+    throw new HttpError(400, `Invalid event payload: ${error.message}`);
+  }
+}
+
+/**
+ * Claim an event on its run before it is emitted on the bus
+ * Deliveries of the same event (a redelivery after a failed write, or two
+ * concurrent pushes) race in a transaction; only the first one gets true.
+ */
+async function claimEvent(event) {
+  const runRef = getCollection(RUNS_COLLECTION).doc(event.runId);
+  return firestoreClient.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(runRef);
+    if (snapshot.exists && snapshot.data().claimedEventId === event.eventId) {
+      return false;
+    }
+    transaction.set(runRef, { claimedEventId: event.eventId, updatedAt: new Date().toISOString() }, { merge: true });
+    return true;
+  });
+}
+
+/**
+ * Apply a completion event published by a backup or restore cloud function
+ * Updates the run ledger and the recurring schedule's history, then re-emits
+ * the event on the in-process bus for notifications. Pub/Sub delivers at
+ * least once, so an event already applied to its run is acknowledged and skipped.
+ * The run is only marked as having applied the event once every step has run,
+ * so a redelivery after a failed step repeats them instead of being dropped;
+ * the bus emit is claimed first, so webhooks, emails and replication still
+ * see the event once.
+ * @param {object} event - { type, eventId, engine, runId, scheduleId, target, gcsPath, sizeBytes, objects, durationMs, error, ... }
+ */
+async function handleBackupEvent(event) {
+  try {
+    if (!EVENT_TYPES.includes(event.type)) {
+      logger.warn(`Ignoring unsupported backup event type: ${event.type}`);
+      return { success: true, ignored: true, message: `Event type ${event.type} ignored` };
+    }
+
+    if (!event.runId || !getEngine(event.engine)) {
+      throw new HttpError(400, 'Event must carry a runId and a known engine');
+    }
+
+    const snapshot = await getCollection(RUNS_COLLECTION).doc(event.runId).get();
+    if (snapshot.exists && snapshot.data().lastEventId === event.eventId) {
+      logger.debug(`Duplicate event ${event.eventId} for run ${event.runId} skipped`);
+      return { success: true, duplicate: true, message: 'Event already processed' };
+    }
+
+    // The function normally records the outcome itself; this covers ledger writes it failed to make
+    const completed = event.type.endsWith('.completed');
+    await updateRun(event.runId, {
+      status: completed ? 'succeeded' : 'failed',
+      phase: null,
+      finishedAt: event.finishedAt,
+      durationMs: event.durationMs,
+      ...(event.type === 'backup.completed' && {
+        gcsPath: event.gcsPath,
+        bucket: event.bucket,
+        objectName: event.objectName,
+        sizeBytes: event.sizeBytes,
+        objects: event.objects,
+      }),
+      ...(event.error && { error: event.error }),
+    });
+
+    if (event.scheduleId) {
+      await recordScheduleOutcome(event.scheduleId, event);
+    }
+
+    logger.info(`${event.type} received for ${event.engine} run ${event.runId}`);
+    if (await claimEvent(event)) {
+      backupEvents.emit(event.type, event);
+    } else {
+      logger.debug(`Event ${event.eventId} for run ${event.runId} was already emitted`);
+    }
+
+    await updateRun(event.runId, { lastEventId: event.eventId, eventReceivedAt: new Date().toISOString() });
+
+    return { success: true, message: `${event.type} processed for run ${event.runId}` };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error handling backup event:', error);
+    throw new Error(`Failed to handle backup event: ${error.message}`);
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  decodePushMessage,
+  handleBackupEvent,
+};
@@ -0,0 +1,100 @@
+const { storageClient } = require('../config/storage.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { MANIFEST_PREFIX, isHeld, toHold } = require('./bucket.service');
+
+/**
+ * Place a legal hold on a backup
+ * The object gets a GCS temporary hold, so it cannot be deleted or replaced by
+ * anyone, through the API or not, until the hold is released.
+ * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/default/backup-2024-01-01.sql.gz')
+ * @param {object} options - { reason, placedBy: { keyId, name } }
+ */
+async function placeBackupHold(fileName, { reason, placedBy }) {
+  try {
+    if (fileName.startsWith(MANIFEST_PREFIX)) {
+      throw new HttpError(400, 'fileName must be a backup object, not a manifest');
+    }
+
+    const file = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(fileName);
+    const [exists] = await file.exists();
+    if (!exists) {
+      throw new HttpError(404, `File not found: ${fileName}`);
+    }
+
+    const [metadata] = await file.getMetadata();
+    if (isHeld(metadata)) {
+      throw new HttpError(409, `${fileName} is already under a legal hold`, { hold: toHold(metadata) });
+    }
+
+    const [updated] = await file.setMetadata({
+      temporaryHold: true,
+      metadata: {
+        holdBy: placedBy.keyId,
+        holdByName: placedBy.name,
+        holdReason: reason,
+        holdAt: new Date().toISOString(),
+      },
+    });
+
+    logger.success(`Legal hold placed on ${fileName} by ${placedBy.keyId}: ${reason}`);
+
+    return {
+      success: true,
+      data: { fileName, hold: toHold(updated) },
+      message: 'Legal hold placed successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error placing legal hold:', error);
+    throw new Error(`Failed to place legal hold: ${error.message}`);
+  }
+}
+
+/**
+ * Release a backup's legal hold (temporary and event-based holds alike)
+ * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/default/backup-2024-01-01.sql.gz')
+ */
+async function releaseBackupHold(fileName) {
+  try {
+    if (fileName.startsWith(MANIFEST_PREFIX)) {
+      throw new HttpError(400, 'fileName must be a backup object, not a manifest');
+    }
+
+    const file = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(fileName);
+    const [exists] = await file.exists();
+    if (!exists) {
+      throw new HttpError(404, `File not found: ${fileName}`);
+    }
+
+    const [metadata] = await file.getMetadata();
+    const released = toHold(metadata);
+    if (!released) {
+      throw new HttpError(409, `${fileName} is not under a legal hold`);
+    }
+
+    await file.setMetadata({
+      temporaryHold: false,
+      eventBasedHold: false,
+      metadata: { holdBy: null, holdByName: null, holdReason: null, holdAt: null },
+    });
+
+    logger.success(`Legal hold released on ${fileName}`);
+
+    return {
+      success: true,
+      data: { fileName, hold: null, released },
+      message: 'Legal hold released successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error releasing legal hold:', error);
+    throw new Error(`Failed to release legal hold: ${error.message}`);
+  }
+}
+
+module.exports = {
+  placeBackupHold,
+  releaseBackupHold,
+};
@@ -0,0 +1,191 @@
+const { getCollection } = require('../config/firestore.config');
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Shared with the cloud functions, which read connection settings from it
+const HOSTS_COLLECTION = 'backup_hosts';
+
+// Backups of the legacy single VM (cf-vm-ip secret) are filed under this name
+const DEFAULT_HOST = 'default';
+
+// Host names become GCS path segments (postgres/<host>/...), so keep them path-safe
+const HOST_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+async function loadHost(hostName) {
+  const snapshot = await getCollection(HOSTS_COLLECTION).doc(hostName).get();
+  if (!snapshot.exists) {
+    throw new HttpError(404, `Host not found: ${hostName}`);
+  }
+  return snapshot.data();
+}
+
+/**
+ * Register a database host
+ * The SSH private key itself stays in Secret Manager; only the secret name is stored.
+ * @param {object} input - { name, address, port, username, sshKeySecret, engines, description }
+ */
+async function createHost({ name, ...fields }) {
+  try {
+    if (name === DEFAULT_HOST) {
+      throw new HttpError(400, `"${DEFAULT_HOST}" is reserved for the VM configured through the cf-vm-ip secret`);
+    }
+
+    const docRef = getCollection(HOSTS_COLLECTION).doc(name);
+    if ((await docRef.get()).exists) {
+      throw new HttpError(409, `Host already exists: ${name}`);
+    }
+
+    const now = new Date().toISOString();
+    const host = {
+      name,
+      ...fields,
+      description: fields.description || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await docRef.set(host);
+
+    logger.success(`Host registered: ${name} (${host.address}:${host.port})`);
+
+    return {
+      success: true,
+      data: host,
+      message: `Host ${name} registered successfully`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error registering host:', error);
+    throw new Error(`Failed to register host: ${error.message}`);
+  }
+}
+
+/**
+ * List registered hosts, optionally only those running an engine
+ */
+async function listHosts({ engine } = {}) {
+  try {
+    let query = getCollection(HOSTS_COLLECTION);
+    if (engine) {
+      query = query.where('engines', 'array-contains', engine);
+    }
+
+    const snapshot = await query.get();
+    const hosts = snapshot.docs
+      .map((doc) => doc.data())
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      success: true,
+      count: hosts.length,
+      data: hosts,
+      message: 'Hosts listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing hosts:', error);
+    throw new Error(`Failed to list hosts: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single registered host
+ */
+async function getHost(hostName) {
+  try {
+    return {
+      success: true,
+      data: await loadHost(hostName),
+      message: 'Host retrieved successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error getting host:', error);
+    throw new Error(`Failed to get host: ${error.message}`);
+  }
+}
+
+/**
+ * Update connection settings, engines or description of a host
+ */
+async function updateHost(hostName, changes) {
+  try {
+    const host = await loadHost(hostName);
+    const updated = {
+      ...host,
+      ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await getCollection(HOSTS_COLLECTION).doc(hostName).set(updated);
+
+    logger.success(`Host updated: ${hostName}`);
+
+    return {
+      success: true,
+      data: updated,
+      message: 'Host updated successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error updating host:', error);
+    throw new Error(`Failed to update host: ${error.message}`);
+  }
+}
+
+/**
+ * Remove a host from the inventory
+ * Existing backups under its prefix are kept.
+ */
+async function deleteHost(hostName) {
+  try {
+    await loadHost(hostName);
+    await getCollection(HOSTS_COLLECTION).doc(hostName).delete();
+
+    logger.success(`Host deleted: ${hostName}`);
+
+    return {
+      success: true,
+      hostName,
+      message: 'Host deleted successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error deleting host:', error);
+    throw new Error(`Failed to delete host: ${error.message}`);
+  }
+}
+
+/**
+ * Check that a host selected in a trigger request exists and runs the engine
+ * Returns undefined when no host is given so the function falls back to the legacy VM.
+ * @param {object} engine - Engine registry entry (see config/engines.config.js)
+ * @param {string} hostName - Host name from the request, if any
+ */
+async function resolveHost(engine, hostName) {
+  if (!hostName || hostName === DEFAULT_HOST) {
+    return undefined;
+  }
+  if (typeof hostName !== 'string' || !HOST_NAME_PATTERN.test(hostName)) {
+    throw new HttpError(400, `Invalid host name: ${hostName}`);
+  }
+
+  const snapshot = await getCollection(HOSTS_COLLECTION).doc(hostName).get();
+  if (!snapshot.exists) {
+    throw new HttpError(400, `Unknown host: ${hostName}`);
+  }
+  if (!snapshot.data().engines.includes(engine.name)) {
+    throw new HttpError(400, `Host ${hostName} does not run ${engine.displayName}`);
+  }
+  return hostName;
+}
+
+module.exports = {
+  HOSTS_COLLECTION,
+  DEFAULT_HOST,
+  HOST_NAME_PATTERN,
+  createHost,
+  listHosts,
+  getHost,
+  updateHost,
+  deleteHost,
+  resolveHost,
+};
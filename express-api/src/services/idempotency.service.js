@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { firestoreClient, getCollection } = require('../config/firestore.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+
+// A claim that never completed (e.g. the process died mid-request) is given up after this
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * JSON with object keys sorted, so a retried body hashes the same
+ * whatever order the client serialized it in
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of what a key was first used for: method, path and body
+ */
+function fingerprintRequest(method, path, body) {
+  return crypto.createHash('sha256').update(`${method} ${path} ${canonicalJson(body)}`).digest('hex');
+}
+
+// Keys are scoped to the API key that sent them, so two clients cannot collide
+const recordRef = (keyId, idempotencyKey) => getCollection(IDEMPOTENCY_COLLECTION)
+  .doc(crypto.createHash('sha256').update(`${keyId}:${idempotencyKey}`).digest('hex'));
+
+/**
+ * Claim an idempotency key for a request
+ * @returns {Promise<object|null>} The stored response to replay, or null when the request should run
+ * @throws {HttpError} 422 when the key was used for a different request, 409 while the first one is in flight
+ */
+async function claimIdempotencyKey(keyId, idempotencyKey, fingerprint) {
+  const docRef = recordRef(keyId, idempotencyKey);
+
+  return firestoreClient.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    const now = new Date();
+    const record = snapshot.exists ? snapshot.data() : null;
+    const abandoned = record && record.state === 'processing' && now - new Date(record.createdAt) > PROCESSING_TIMEOUT_MS;
+
+    if (record && !abandoned && new Date(record.expiresAt) > now) {
+      if (record.fingerprint !== fingerprint) {
+        throw new HttpError(422, 'Idempotency-Key was already used with a different request');
+      }
+      if (record.state === 'processing') {
+        throw new HttpError(409, 'A request with this Idempotency-Key is still being processed');
+      }
+      return record.response;
+    }
+
+    transaction.set(docRef, {
+      keyId,
+      fingerprint,
+      state: 'processing',
+      response: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + env.IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    });
+    return null;
+  });
+}
+
+/**
+ * Store the response of a claimed request so retries replay it
+ */
+async function completeIdempotencyKey(keyId, idempotencyKey, response) {
+  await recordRef(keyId, idempotencyKey).update({ state: 'completed', response });
+}
+
+/**
+ * Drop a claimed key so the request can be retried (used after server errors and conflicts)
+ */
+async function releaseIdempotencyKey(keyId, idempotencyKey) {
+  await recordRef(keyId, idempotencyKey).delete();
+}
+
+module.exports = {
+  IDEMPOTENCY_COLLECTION,
+  fingerprintRequest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+};
@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { PassThrough, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { storageClient } = require('../config/storage.config');
+const { firestoreClient, getCollection } = require('../config/firestore.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { createEncryption } = require('./encryption.service');
+const { manifestName } = require('./bucket.service');
+const { queueReplication } = require('./replication.service');
+
+const IMPORTS_COLLECTION = 'backup_imports';
+
+// Resumable uploads are staged here; the prefix is outside every engine's, so listings skip them
+const STAGING_PREFIX = 'imports/';
+
+// Encrypted objects wait here, like the backup functions' uploads, until their auth tag is written
+const UPLOAD_PREFIX = 'uploads/';
+
+// GCS resumable upload sessions expire after a week
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Same rule as the restore functions apply to the object's base name
+const IMPORT_FILE_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,199}$/;
+
+// How much of the (decompressed) content is inspected to recognise the format
+const HEAD_BYTES = 4096;
+
+/**
+ * What each importable extension must contain
+ * gzip formats are decompressed in full while uploading, so a truncated or
+ * corrupt archive is rejected as well as a mislabelled file.
+ */
+const IMPORT_FORMATS = {
+  '.sql.gz': { gzip: true, description: 'a gzip-compressed plain SQL dump', matches: (head) => !head.includes(0) },
+  '.sql': { gzip: false, description: 'a plain SQL dump', matches: (head) => !head.includes(0) },
+  '.dump': { gzip: false, description: 'a pg_dump custom-format archive', matches: (head) => head.subarray(0, 5).toString() === 'PGDMP' },
+  '.tar.gz': { gzip: true, description: 'a gzip-compressed tar archive', matches: (head) => head.subarray(257, 262).toString() === 'ustar' },
+};
+
+/**
+ * Check an import's file name against the engine and return its format
+ * @throws {HttpError} 400 for names the restore functions would refuse or extensions the engine cannot restore
+ */
+function importFormat(engine, fileName) {
+  if (!IMPORT_FILE_NAME_PATTERN.test(fileName)) {
+    throw new HttpError(400, 'fileName must be a plain file name (letters, digits, _ . -), without directories');
+  }
+  const extension = engine.importExtensions.find((candidate) => fileName.endsWith(candidate));
+  if (!extension) {
+    throw new HttpError(400, `${engine.displayName} imports must end in ${engine.importExtensions.join(', ')}`);
+  }
+  return { extension, ...IMPORT_FORMATS[extension] };
+}
+
+/**
+ * Pass-through that hashes an import and checks its format as it streams
+ * The stream fails with a 400 HttpError as soon as the content is known not to
+ * match, so a wrong file is not uploaded in full.
+ */
+function createImportCheck(fileName, format) {
+  const hash = crypto.createHash('sha256');
+  const gunzip = format.gzip ? zlib.createGunzip() : null;
+  const result = { sha256: null, sizeBytes: 0 };
+  let head = Buffer.alloc(0);
+  let checked = false;
+  let failure = null;
+
+  const checkHead = () => {
+    checked = true;
+    if (head.length === 0 || !format.matches(head)) {
+      failure = new HttpError(400, `${fileName} is not ${format.description}`);
+    }
+  };
+  const inspect = (chunk) => {
+    if (checked) return;
+    head = Buffer.concat([head, chunk.subarray(0, HEAD_BYTES - head.length)]);
+    if (head.length === HEAD_BYTES) checkHead();
+  };
+
+  if (gunzip) {
+    gunzip.on('data', inspect);
+    gunzip.on('error', (error) => {
+      failure = failure || new HttpError(400, `${fileName} is not a valid gzip file: ${error.message}`);
+    });
+  }
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      result.sizeBytes += chunk.length;
+      if (gunzip) {
+        gunzip.write(chunk);
+      } else {
+        inspect(chunk);
+      }
+      callback(failure, failure ? undefined : chunk);
+    },
+    flush(callback) {
+      const finish = () => {
+        if (!failure && !checked) checkHead();
+        result.sha256 = hash.digest('hex');
+        callback(failure);
+      };
+      if (!gunzip || failure) return finish();
+      gunzip.once('end', finish);
+      gunzip.once('error', finish);
+      gunzip.end();
+    },
+  });
+
+  return { stream, result };
+}
+
+/**
+ * Validate, hash, encrypt and store an import under the engine's prefix
+ * The object is written only if no backup of that name exists. Like the backup
+ * functions, it is written under uploads/ and moved to its name once its SHA-256
+ * and auth tag are in its metadata; the digest also goes into a manifest.
+ * @param {object} options - { engine, host, fileName, source (readable stream), importId, importedBy }
+ */
+async function storeImport({ engine, host, fileName, source, importId, importedBy }) {
+  const format = importFormat(engine, fileName);
+  const bucket = storageClient.bucket(env.GCS_BACKUP_BUCKET);
+  const objectName = `${engine.prefix}${host}/${fileName}`;
+  const file = bucket.file(objectName);
+  const upload = bucket.file(`${UPLOAD_PREFIX}${objectName}.${crypto.randomUUID()}`);
+
+  const [exists] = await file.exists();
+  if (exists) {
+    throw new HttpError(409, `A backup named ${objectName} already exists`);
+  }
+
+  const encryption = await createEncryption();
+  const check = createImportCheck(fileName, format);
+  const writeStream = upload.createWriteStream({
+    metadata: {
+      contentType: 'application/octet-stream',
+      metadata: {
+        ...encryption.metadata,
+        source: 'import',
+        timestamp: new Date().toISOString(),
+        host,
+        importedBy,
+        ...(importId && { importId }),
+      },
+    },
+  });
+
+  try {
+    await pipeline(source, check.stream, encryption.cipher, writeStream);
+    const authTag = encryption.cipher.getAuthTag().toString('base64');
+    await upload.setMetadata({ metadata: { sha256: check.result.sha256, sizeBytes: String(check.result.sizeBytes), authTag } });
+    // Fails instead of overwriting when another import of the same name finished first
+    await upload.move(file, { preconditionOpts: { ifGenerationMatch: 0 } });
+  } catch (error) {
+    await upload.delete({ ignoreNotFound: true }).catch((deleteError) => logger.warn(`Failed to delete rejected import ${objectName}:`, deleteError.message));
+    if (error.code === 412) {
+      throw new HttpError(409, `A backup named ${objectName} already exists`);
+    }
+    throw error;
+  }
+
+  const { sha256, sizeBytes } = check.result;
+
+  const manifest = {
+    object: objectName,
+    bucket: env.GCS_BACKUP_BUCKET,
+    algorithm: 'sha256',
+    sha256,
+    sizeBytes,
+    encryption: { algorithm: encryption.metadata.encryption, keyId: encryption.metadata.keyId },
+    engine: engine.name,
+    host,
+    source: 'import',
+    importedBy,
+    ...(importId && { importId }),
+    createdAt: new Date().toISOString(),
+  };
+  await bucket.file(manifestName(objectName)).save(JSON.stringify(manifest, null, 2), {
+    contentType: 'application/json',
+    resumable: false,
+  });
+
+  logger.success(`Imported ${objectName} (${sizeBytes} bytes, sha256 ${sha256})`);
+  // Imports do not go through the backup-results topic, so they are replicated here
+  queueReplication(engine.name, [objectName]);
+  return { engine: engine.name, host, objectName, format: format.extension, sha256, sizeBytes, encrypted: true };
+}
+
+/**
+ * Import a backup sent as the request body
+ * @param {object} engine - Engine registry entry
+ * @param {object} options - { fileName, host, importedBy }
+ * @param {object} body - Readable stream of the file (the request)
+ */
+async function importBackupStream(engine, { fileName, host, importedBy }, body) {
+  // Piped rather than handed to pipeline, which would destroy the request's socket
+  // on a rejected file before the error response could be sent
+  const source = body.pipe(new PassThrough());
+  try {
+    const data = await storeImport({ engine, host, fileName, source, importedBy });
+    return {
+      success: true,
+      data,
+      message: `${engine.displayName} backup imported successfully`,
+    };
+  } catch (error) {
+    body.unpipe(source);
+    body.resume();
+    if (error instanceof HttpError) throw error;
+    logger.error('Error importing backup:', error);
+    throw new Error(`Failed to import backup: ${error.message}`);
+  }
+}
+
+/**
+ * Start an import whose file is uploaded straight to GCS
+ * Returns a resumable upload URL for a staging object; the client PUTs the file
+ * there and then completes the import, which validates and stores it.
+ * @param {object} engine - Engine registry entry
+ * @param {object} options - { fileName, host, origin, importedBy } - origin is the browser origin allowed to upload (CORS)
+ */
+async function createImportSession(engine, { fileName, host, origin, importedBy }) {
+  try {
+    importFormat(engine, fileName);
+    const bucket = storageClient.bucket(env.GCS_BACKUP_BUCKET);
+    const objectName = `${engine.prefix}${host}/${fileName}`;
+    const [exists] = await bucket.file(objectName).exists();
+    if (exists) {
+      throw new HttpError(409, `A backup named ${objectName} already exists`);
+    }
+
+    const importId = crypto.randomUUID();
+    const stagingName = `${STAGING_PREFIX}${importId}/${fileName}`;
+    const [uploadUrl] = await bucket.file(stagingName).createResumableUpload({
+      ...(origin && { origin }),
+      metadata: { contentType: 'application/octet-stream' },
+    });
+
+    const now = new Date();
+    const record = {
+      importId,
+      engine: engine.name,
+      host,
+      fileName,
+      objectName,
+      stagingName,
+      status: 'pending',
+      importedBy,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + SESSION_TTL_MS).toISOString(),
+    };
+    await getCollection(IMPORTS_COLLECTION).doc(importId).set(record);
+
+    logger.success(`Import session ${importId} created for ${objectName}`);
+
+    return {
+      success: true,
+      data: { ...record, uploadUrl },
+      message: `Upload the file to uploadUrl, then POST /backup/${engine.name}/import/${importId}/complete`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error creating import session:', error);
+    throw new Error(`Failed to create import session: ${error.message}`);
+  }
+}
+
+/**
+ * Finish an import once its file has been uploaded to the staging object
+ * The staged file goes through the same checks as a streamed import and is
+ * then deleted. Completing an import again returns the stored result.
+ * A file that fails validation fails the import; other errors leave it
+ * pending so completing can be retried.
+ */
+async function completeImport(engine, importId) {
+  const importRef = getCollection(IMPORTS_COLLECTION).doc(importId);
+
+  try {
+    const record = await firestoreClient.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(importRef);
+      if (!snapshot.exists || snapshot.data().engine !== engine.name) {
+        throw new HttpError(404, `Import not found: ${importId}`);
+      }
+      const current = snapshot.data();
+      if (current.status === 'completed') {
+        return current;
+      }
+      if (current.status !== 'pending') {
+        throw new HttpError(409, `Import ${importId} is ${current.status}`, { status: current.status, error: current.error || null });
+      }
+      if (new Date(current.expiresAt) <= new Date()) {
+        throw new HttpError(410, `Import ${importId} expired at ${current.expiresAt}`);
+      }
+      transaction.update(importRef, { status: 'processing' });
+      return { ...current, status: 'processing' };
+    });
+
+    if (record.status === 'completed') {
+      return {
+        success: true,
+        data: record.result,
+        message: 'Import was already completed',
+      };
+    }
+
+    const staged = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(record.stagingName);
+    const [exists] = await staged.exists();
+    if (!exists) {
+      await importRef.update({ status: 'pending' });
+      throw new HttpError(400, 'The file has not been uploaded to uploadUrl yet');
+    }
+
+    let result;
+    try {
+      result = await storeImport({
+        engine,
+        host: record.host,
+        fileName: record.fileName,
+        source: staged.createReadStream(),
+        importId,
+        importedBy: record.importedBy,
+      });
+    } catch (error) {
+      const rejected = error instanceof HttpError && error.statusCode === 400;
+      await importRef.update(rejected
+        ? { status: 'failed', error: error.message, finishedAt: new Date().toISOString() }
+        : { status: 'pending' });
+      if (rejected) {
+        await staged.delete({ ignoreNotFound: true });
+      }
+      throw error;
+    }
+
+    await staged.delete({ ignoreNotFound: true });
+    await importRef.update({ status: 'completed', result, finishedAt: new Date().toISOString() });
+
+    return {
+      success: true,
+      data: result,
+      message: `${engine.displayName} backup imported successfully`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error completing import:', error);
+    throw new Error(`Failed to complete import: ${error.message}`);
+  }
+}
+
+module.exports = {
+  IMPORTS_COLLECTION,
+  STAGING_PREFIX,
+  importBackupStream,
+  createImportSession,
+  completeImport,
+};
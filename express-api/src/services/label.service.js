@@ -0,0 +1,78 @@
+const { storageClient } = require('../config/storage.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { MANIFEST_PREFIX, parseLabels } = require('./bucket.service');
+
+// Labels are stored comma-separated in the object's custom metadata, so they cannot contain commas
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9._-]{0,62}$/;
+const MAX_LABELS = 20;
+const MAX_NOTE_LENGTH = 1000;
+
+// Retention never removes a backup carrying this label
+const KEEP_LABEL = 'keep';
+
+/**
+ * Set the labels and note of a backup
+ * labels replaces the whole set; addLabels and removeLabels change it. A null
+ * or empty note removes it, and an omitted one is left as it is.
+ * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/default/backup-2024-01-01.sql.gz')
+ * @param {object} changes - { labels, addLabels, removeLabels, note }
+ */
+async function updateBackupLabels(fileName, { labels, addLabels = [], removeLabels = [], note }) {
+  try {
+    if (fileName.startsWith(MANIFEST_PREFIX)) {
+      throw new HttpError(400, 'fileName must be a backup object, not a manifest');
+    }
+
+    const file = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(fileName);
+    const [exists] = await file.exists();
+    if (!exists) {
+      throw new HttpError(404, `File not found: ${fileName}`);
+    }
+
+    const [metadata] = await file.getMetadata();
+    const next = new Set([...(labels ?? parseLabels(metadata.metadata)), ...addLabels]);
+    removeLabels.forEach((label) => next.delete(label));
+    const updated = [...next].sort();
+    if (updated.length > MAX_LABELS) {
+      throw new HttpError(400, `A backup can carry at most ${MAX_LABELS} labels`);
+    }
+
+    // Setting a custom metadata key to null removes it; the precondition keeps a concurrent change from being lost
+    try {
+      await file.setMetadata({
+        metadata: {
+          labels: updated.length ? updated.join(',') : null,
+          ...(note !== undefined && { note: note || null }),
+        },
+      }, { ifMetagenerationMatch: metadata.metageneration });
+    } catch (error) {
+      if (error.code === 412) {
+        throw new HttpError(409, `${fileName} was changed while its labels were being updated; retry`);
+      }
+      throw error;
+    }
+
+    const currentNote = note !== undefined ? note || null : metadata.metadata?.note || null;
+    logger.success(`Updated labels of ${fileName}: ${updated.join(', ') || '(none)'}`);
+
+    return {
+      success: true,
+      data: { fileName, labels: updated, note: currentNote },
+      message: 'Backup labels updated successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error updating backup labels:', error);
+    throw new Error(`Failed to update backup labels: ${error.message}`);
+  }
+}
+
+module.exports = {
+  LABEL_PATTERN,
+  MAX_LABELS,
+  MAX_NOTE_LENGTH,
+  KEEP_LABEL,
+  updateBackupLabels,
+};
@@ -0,0 +1,230 @@
+const { firestoreClient, getCollection } = require('../config/firestore.config');
+const { pubsubClient } = require('../config/pubsub.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const { emitBackupEvent } = require('../utils/event-bus');
+const logger = require('../utils/logger');
+const { updateRun } = require('./run.service');
+
+// Shared with the backup functions, which honor and release the leases
+const LOCKS_COLLECTION = 'backup_locks';
+
+/**
+ * What happens when a backup is triggered while another one holds the lease
+ * reject: fail with 409; queue: run once the holder finishes;
+ * coalesce: attach to the running backup instead of starting a new one.
+ */
+const LOCK_POLICIES = ['reject', 'queue', 'coalesce'];
+
+const lockId = (engine, host) => `${engine}_${host}`;
+
+const leaseExpiry = (from = new Date()) => new Date(from.getTime() + env.BACKUP_LOCK_TTL_MINUTES * 60 * 1000).toISOString();
+
+/**
+ * Take the lease of an engine on a host for a backup or restore run
+ * A lease whose expiresAt has passed is treated as free, so a crashed
+ * function cannot block its host for longer than BACKUP_LOCK_TTL_MINUTES.
+ * If runs were queued behind the crashed one, the first of them takes the
+ * lease instead and the policy applies against it. Only backups coalesce;
+ * a backup set to coalesce with a running restore is rejected.
+ * @param {object} options - { engine, host, runId, operation, topic, message, policy }
+ * @returns {Promise<object>} { status: 'acquired' | 'queued' | 'coalesced', heldBy }
+ */
+async function acquireLock({ engine, host, runId, operation = 'backup', topic, message, policy = 'reject' }) {
+  const lockRef = getCollection(LOCKS_COLLECTION).doc(lockId(engine, host));
+
+  const { status, heldBy, holder, promoted } = await firestoreClient.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(lockRef);
+    let lock = snapshot.exists ? snapshot.data() : null;
+    const now = new Date();
+
+    let promoted = null;
+    if (lock && new Date(lock.expiresAt) <= now && lock.queue?.length) {
+      const [head, ...queue] = lock.queue;
+      promoted = head;
+      lock = { ...lock, runId: head.runId, operation: 'backup', acquiredAt: now.toISOString(), expiresAt: leaseExpiry(now), queue };
+    }
+
+    if (!lock || new Date(lock.expiresAt) <= now) {
+      transaction.set(lockRef, {
+        engine,
+        host,
+        runId,
+        operation,
+        acquiredAt: now.toISOString(),
+        expiresAt: leaseExpiry(now),
+        queue: [],
+      });
+      return { status: 'acquired' };
+    }
+
+    const holder = lock.operation || 'backup';
+    if (policy === 'queue') {
+      lock = { ...lock, queue: [...(lock.queue || []), { runId, topic, message, queuedAt: now.toISOString() }] };
+    }
+    if (promoted || policy === 'queue') {
+      transaction.set(lockRef, lock);
+    }
+    if (policy === 'queue') {
+      return { status: 'queued', heldBy: lock.runId, promoted };
+    }
+    if (policy === 'coalesce' && holder === 'backup') {
+      return { status: 'coalesced', heldBy: lock.runId, promoted };
+    }
+    return { status: 'rejected', heldBy: lock.runId, holder, promoted };
+  });
+
+  if (promoted) {
+    logger.warn(`Backup lock ${lockId(engine, host)} had expired; handing it to queued run ${promoted.runId}`);
+    await startQueuedRun(engine, host, promoted);
+  }
+  if (status === 'rejected') {
+    throw new HttpError(409, `A ${engine} ${holder} of host ${host} is already running`, { runId: heldBy });
+  }
+  return { status, heldBy };
+}
+
+/**
+ * Publish the message of a queued run that was handed the lease
+ * A run whose message cannot be published would hold the lease without ever
+ * starting, so it is marked failed and the lease moves on to the next in line.
+ * @returns {Promise<string|null>} runId of the run that now holds the lease
+ */
+async function startQueuedRun(engine, host, entry) {
+  try {
+    await pubsubClient.topic(entry.topic).publishMessage({ data: Buffer.from(JSON.stringify(entry.message)) });
+  } catch (error) {
+    logger.error(`Failed to start queued run ${entry.runId}:`, error.message);
+    await updateRun(entry.runId, {
+      status: 'failed',
+      phase: null,
+      finishedAt: new Date().toISOString(),
+      error: { message: `Could not be started after waiting for the lock: ${error.message}`, phase: 'lock' },
+    }).catch((runError) => logger.warn(`Failed to mark queued run ${entry.runId} failed:`, runError.message));
+    return releaseLock(engine, host, entry.runId);
+  }
+
+  logger.info(`Backup lock ${lockId(engine, host)} handed to queued run ${entry.runId}`);
+  emitBackupEvent('backup.started', {
+    engine,
+    runId: entry.runId,
+    host,
+    target: entry.message.target,
+    triggeredBy: entry.message.triggeredBy,
+    ...(entry.message.scheduleId && { scheduleId: entry.message.scheduleId }),
+  });
+  return entry.runId;
+}
+
+/**
+ * Give up a lease held by a run
+ * The first queued run inherits the lease and its message is published.
+ * @returns {Promise<string|null>} runId of the run that now holds the lease
+ */
+async function releaseLock(engine, host, runId) {
+  const lockRef = getCollection(LOCKS_COLLECTION).doc(lockId(engine, host));
+
+  const next = await firestoreClient.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(lockRef);
+    if (!snapshot.exists || snapshot.data().runId !== runId) {
+      return null;
+    }
+
+    const [nextEntry, ...queue] = snapshot.data().queue || [];
+    if (!nextEntry) {
+      transaction.delete(lockRef);
+      return null;
+    }
+
+    const now = new Date();
+    transaction.update(lockRef, {
+      runId: nextEntry.runId,
+      operation: 'backup',
+      acquiredAt: now.toISOString(),
+      expiresAt: leaseExpiry(now),
+      queue,
+    });
+    return nextEntry;
+  });
+
+  return next ? startQueuedRun(engine, host, next) : null;
+}
+
+/**
+ * Take a run out of a lease's queue, e.g. when its ledger entry could not be created
+ */
+async function dequeueRun(engine, host, runId) {
+  const lockRef = getCollection(LOCKS_COLLECTION).doc(lockId(engine, host));
+
+  await firestoreClient.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(lockRef);
+    if (!snapshot.exists) {
+      return;
+    }
+    const queue = snapshot.data().queue || [];
+    if (queue.some((entry) => entry.runId === runId)) {
+      transaction.update(lockRef, { queue: queue.filter((entry) => entry.runId !== runId) });
+    }
+  });
+}
+
+/**
+ * List held backup locks with their queues
+ */
+async function listLocks() {
+  try {
+    const snapshot = await getCollection(LOCKS_COLLECTION).get();
+    const now = new Date();
+    const locks = snapshot.docs.map((doc) => {
+      const lock = doc.data();
+      return { id: doc.id, ...lock, expired: new Date(lock.expiresAt) <= now };
+    });
+
+    return {
+      success: true,
+      count: locks.length,
+      data: locks,
+      message: 'Backup locks listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing backup locks:', error);
+    throw new Error(`Failed to list backup locks: ${error.message}`);
+  }
+}
+
+/**
+ * Release a lock on behalf of an operator, e.g. after a function was killed
+ * The next queued run, if any, is started as on a normal release.
+ */
+async function forceReleaseLock(id) {
+  try {
+    const snapshot = await getCollection(LOCKS_COLLECTION).doc(id).get();
+    if (!snapshot.exists) {
+      throw new HttpError(404, `Backup lock not found: ${id}`);
+    }
+
+    const { engine, host, runId } = snapshot.data();
+    const nextRunId = await releaseLock(engine, host, runId);
+    logger.success(`Backup lock ${id} released (was held by run ${runId})`);
+
+    return {
+      success: true,
+      data: { id, releasedRunId: runId, nextRunId },
+      message: nextRunId ? `Backup lock released and handed to run ${nextRunId}` : 'Backup lock released',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error releasing backup lock:', error);
+    throw new Error(`Failed to release backup lock: ${error.message}`);
+  }
+}
+
+module.exports = {
+  LOCKS_COLLECTION,
+  LOCK_POLICIES,
+  acquireLock,
+  releaseLock,
+  dequeueRun,
+  listLocks,
+  forceReleaseLock,
+};
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { getCollection } = require('../config/firestore.config');
+const { listEngines } = require('../config/engines.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const { onBackupEvent } = require('../utils/event-bus');
+const { sendMail } = require('../utils/smtp-client');
+const { renderOutcomeEmail, renderDigestEmail, renderTestEmail } = require('../utils/email-templates');
+const logger = require('../utils/logger');
+const { armCronJob } = require('../utils/cron');
+const { RUNS_COLLECTION } = require('./run.service');
+
+const SUBSCRIPTIONS_COLLECTION = 'notification_subscriptions';
+
+// error: failed backups; info: completed ones as well
+const SEVERITIES = ['error', 'info'];
+const SEVERITY_BY_EVENT = {
+  'backup.failed': 'error',
+  'backup.completed': 'info',
+};
+
+// immediate: one email per outcome; digest: one email a day (NOTIFY_DIGEST_CRON)
+const NOTIFICATION_MODES = ['immediate', 'digest'];
+
+// A digest's first period, before the subscription has received one
+const DIGEST_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+const emailEnabled = () => Boolean(env.SMTP_HOST);
+
+function requireEmail() {
+  if (!emailEnabled()) {
+    throw new HttpError(503, 'Email notifications are disabled; set SMTP_HOST to enable them');
+  }
+}
+
+function sendEmail(email, { subject, text, html }) {
+  return sendMail(
+    { host: env.SMTP_HOST, port: env.SMTP_PORT, tls: env.SMTP_TLS, user: env.SMTP_USER, password: env.SMTP_PASSWORD },
+    { from: env.SMTP_FROM, to: [email], subject, text, html }
+  );
+}
+
+const coversEngine = (subscription, engine) => subscription.engines.includes('*') || subscription.engines.includes(engine);
+
+async function loadSubscription(subscriptionId) {
+  const snapshot = await getCollection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).get();
+  if (!snapshot.exists) {
+    throw new HttpError(404, `Notification subscription not found: ${subscriptionId}`);
+  }
+  return snapshot.data();
+}
+
+/**
+ * Record the outcome of an email on its subscription
+ * A send failure is kept as lastError rather than retried; the next email tries again.
+ */
+async function recordSend(subscriptionId, error, extra = {}) {
+  await getCollection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).update({
+    ...(error ? { lastError: error.message.slice(0, 300) } : { lastSentAt: new Date().toISOString(), lastError: null }),
+    ...extra,
+  }).catch((updateError) => logger.warn(`Failed to record email outcome on subscription ${subscriptionId}:`, updateError.message));
+}
+
+/**
+ * Subscribe an email address to backup outcomes
+ * @param {object} input - { email, engines, severities, mode, enabled }
+ * @param {object} createdBy - Key record of the caller
+ */
+async function createSubscription({ email, engines, severities, mode, enabled }, createdBy) {
+  try {
+    const subscriptionId = crypto.randomBytes(6).toString('hex');
+    const now = new Date().toISOString();
+    const subscription = {
+      subscriptionId,
+      email,
+      engines,
+      severities,
+      mode,
+      enabled,
+      createdBy: { keyId: createdBy.keyId, name: createdBy.name },
+      createdAt: now,
+      updatedAt: now,
+      lastSentAt: null,
+      lastError: null,
+      lastDigestAt: null,
+    };
+    await getCollection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).set(subscription);
+
+    logger.success(`Notification subscription created: ${email} (${subscriptionId}), ${mode} ${severities.join('/')} for ${engines.join(', ')}`);
+
+    return {
+      success: true,
+      data: subscription,
+      message: emailEnabled()
+        ? 'Notification subscription created successfully'
+        : 'Notification subscription created; no email will be sent until SMTP_HOST is set',
+    };
+  } catch (error) {
+    logger.error('Error creating notification subscription:', error);
+    throw new Error(`Failed to create notification subscription: ${error.message}`);
+  }
+}
+
+/**
+ * List notification subscriptions, newest first
+ */
+async function listSubscriptions() {
+  try {
+    const snapshot = await getCollection(SUBSCRIPTIONS_COLLECTION).orderBy('createdAt', 'desc').get();
+    const subscriptions = snapshot.docs.map((doc) => doc.data());
+    return {
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions,
+      emailEnabled: emailEnabled(),
+      message: 'Notification subscriptions listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing notification subscriptions:', error);
+    throw new Error(`Failed to list notification subscriptions: ${error.message}`);
+  }
+}
+
+/**
+ * Get a notification subscription
+ */
+async function getSubscription(subscriptionId) {
+  try {
+    return {
+      success: true,
+      data: await loadSubscription(subscriptionId),
+      message: 'Notification subscription retrieved successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error getting notification subscription:', error);
+    throw new Error(`Failed to get notification subscription: ${error.message}`);
+  }
+}
+
+/**
+ * Change a subscription's email, engines, severities, mode or enabled flag
+ */
+async function updateSubscription(subscriptionId, changes) {
+  try {
+    await loadSubscription(subscriptionId);
+    await getCollection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).update({ ...changes, updatedAt: new Date().toISOString() });
+    const subscription = await loadSubscription(subscriptionId);
+
+    logger.success(`Notification subscription updated: ${subscription.email} (${subscriptionId})`);
+
+    return {
+      success: true,
+      data: subscription,
+      message: 'Notification subscription updated successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error updating notification subscription:', error);
+    throw new Error(`Failed to update notification subscription: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a notification subscription
+ */
+async function deleteSubscription(subscriptionId) {
+  try {
+    const subscription = await loadSubscription(subscriptionId);
+    await getCollection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId).delete();
+
+    logger.success(`Notification subscription deleted: ${subscription.email} (${subscriptionId})`);
+
+    return {
+      success: true,
+      data: { subscriptionId },
+      message: 'Notification subscription deleted successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error deleting notification subscription:', error);
+    throw new Error(`Failed to delete notification subscription: ${error.message}`);
+  }
+}
+
+/**
+ * Send a test email to check the SMTP settings
+ * SMTP failures answer 502 with the server's reply, so a wrong port or TLS mode is easy to spot.
+ */
+async function sendTestEmail(email) {
+  try {
+    requireEmail();
+    try {
+      await sendEmail(email, renderTestEmail(email));
+    } catch (error) {
+      throw new HttpError(502, `Test email to ${email} failed: ${error.message}`);
+    }
+
+    logger.success(`Test email sent to ${email}`);
+
+    return {
+      success: true,
+      data: { email, smtpHost: env.SMTP_HOST, smtpPort: env.SMTP_PORT, tls: env.SMTP_TLS },
+      message: `Test email sent to ${email}`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error sending test email:', error);
+    throw new Error(`Failed to send test email: ${error.message}`);
+  }
+}
+
+/**
+ * Email a backup outcome to every enabled immediate subscription that covers it
+ * The run ledger supplies the host, which completion events do not carry.
+ */
+async function notifyOutcome(event) {
+  const severity = SEVERITY_BY_EVENT[event.type];
+  const snapshot = await getCollection(SUBSCRIPTIONS_COLLECTION).where('enabled', '==', true).get();
+  const subscriptions = snapshot.docs.map((doc) => doc.data())
+    .filter((subscription) => subscription.mode === 'immediate' && subscription.severities.includes(severity) && coversEngine(subscription, event.engine));
+  if (subscriptions.length === 0) return;
+
+  const runSnapshot = await getCollection(RUNS_COLLECTION).doc(event.runId).get();
+  const email = renderOutcomeEmail(event, runSnapshot.exists ? runSnapshot.data() : null);
+  for (const subscription of subscriptions) {
+    try {
+      await sendEmail(subscription.email, email);
+      await recordSend(subscription.subscriptionId, null);
+      logger.success(`Emailed ${event.type} for run ${event.runId} to ${subscription.email}`);
+    } catch (error) {
+      logger.error(`Emailing ${event.type} for run ${event.runId} to ${subscription.email} failed:`, error.message);
+      await recordSend(subscription.subscriptionId, error);
+    }
+  }
+}
+
+/**
+ * Send each enabled digest subscription a summary of the backup runs since its last digest
+ * The first digest covers the last 24 hours. A subscription whose digest
+ * fails to send keeps its lastDigestAt, so the next digest covers the gap.
+ * @returns {Promise<object>} { sentCount, failedCount, results: [{ subscriptionId, email, status, runCount, error }] }
+ */
+async function sendDigests() {
+  try {
+    requireEmail();
+    const until = new Date().toISOString();
+    const snapshot = await getCollection(SUBSCRIPTIONS_COLLECTION).where('enabled', '==', true).get();
+    const subscriptions = snapshot.docs.map((doc) => doc.data()).filter((subscription) => subscription.mode === 'digest');
+    const sinceOf = (subscription) => subscription.lastDigestAt || new Date(Date.parse(until) - DIGEST_PERIOD_MS).toISOString();
+
+    // One ledger read covers every subscription's period
+    let runs = [];
+    if (subscriptions.length) {
+      const earliest = subscriptions.map(sinceOf).sort()[0];
+      const runSnapshot = await getCollection(RUNS_COLLECTION).where('createdAt', '>=', earliest).orderBy('createdAt', 'asc').get();
+      runs = runSnapshot.docs.map((doc) => doc.data()).filter((run) => run.operation === 'backup' && run.createdAt < until);
+    }
+
+    const results = [];
+    for (const subscription of subscriptions) {
+      const since = sinceOf(subscription);
+      const covered = runs.filter((run) => run.createdAt >= since && coversEngine(subscription, run.engine));
+      // Every covered engine is listed, with no runs too, so a backup that stopped running stands out
+      const engineNames = subscription.engines.includes('*') ? listEngines().map((engine) => engine.name) : subscription.engines;
+      const digest = {
+        since,
+        until,
+        engines: engineNames.map((name) => ({ name, runs: covered.filter((run) => run.engine === name) })),
+      };
+      try {
+        await sendEmail(subscription.email, renderDigestEmail(digest, subscription.severities));
+        await recordSend(subscription.subscriptionId, null, { lastDigestAt: until });
+        results.push({ subscriptionId: subscription.subscriptionId, email: subscription.email, status: 'sent', runCount: covered.length, error: null });
+      } catch (error) {
+        logger.error(`Digest email to ${subscription.email} failed:`, error.message);
+        await recordSend(subscription.subscriptionId, error);
+        results.push({ subscriptionId: subscription.subscriptionId, email: subscription.email, status: 'failed', runCount: covered.length, error: error.message });
+      }
+    }
+
+    const failedCount = results.filter((result) => result.status === 'failed').length;
+    const log = failedCount ? logger.warn : logger.success;
+    log(`Digest emails: ${results.length - failedCount} sent, ${failedCount} failed`);
+
+    return {
+      success: true,
+      data: { sentCount: results.length - failedCount, failedCount, results },
+      message: `Sent ${results.length - failedCount} of ${results.length} digest emails`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error sending digest emails:', error);
+    throw new Error(`Failed to send digest emails: ${error.message}`);
+  }
+}
+
+/**
+ * Email backup outcomes to immediate subscriptions (call once on startup)
+ */
+function startEmailNotifier() {
+  if (!emailEnabled()) {
+    logger.info('Email notifications disabled (SMTP_HOST not set)');
+    return;
+  }
+  for (const type of Object.keys(SEVERITY_BY_EVENT)) {
+    onBackupEvent(type, notifyOutcome);
+  }
+  logger.success(`Email notifications enabled via ${env.SMTP_HOST}:${env.SMTP_PORT} (${env.SMTP_TLS})`);
+}
+
+/**
+ * Arm the in-process digest job (SCHEDULER_MODE=in-process only)
+ * With Cloud Scheduler, point an HTTP job at POST /backup/notifications/digest instead.
+ */
+function startDigestJob() {
+  if (!emailEnabled()) return;
+
+  armCronJob(env.NOTIFY_DIGEST_CRON, sendDigests, 'Digest email job');
+}
+
+module.exports = {
+  SUBSCRIPTIONS_COLLECTION,
+  SEVERITIES,
+  NOTIFICATION_MODES,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendTestEmail,
+  sendDigests,
+  startEmailNotifier,
+  startDigestJob,
+};
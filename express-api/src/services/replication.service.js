@@ -0,0 +1,323 @@
+const { storageClient } = require('../config/storage.config');
+const { getCollection } = require('../config/firestore.config');
+const { secretManagerClient } = require('../config/secretmanager.config');
+const { getEngine, listEngines } = require('../config/engines.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const { onBackupEvent } = require('../utils/event-bus');
+const { putObject } = require('../utils/s3-client');
+const logger = require('../utils/logger');
+const { MANIFEST_PREFIX, manifestName, parseReplication, listAllBackups } = require('./bucket.service');
+const { TRASH_PREFIX } = require('./trash.service');
+
+const REPLICATION_COLLECTION = 'replication_targets';
+
+// Custom metadata describing the primary copy only, which S3 replicas do not get
+const LOCAL_METADATA = new Set(['labels', 'note', 'holdBy', 'holdByName', 'holdReason', 'holdAt', 'replication']);
+
+// S3 metadata travels as HTTP headers, so only printable ASCII values can be sent
+const HEADER_SAFE = /^[\x20-\x7e]*$/;
+
+// Target credentials are re-read after this long, so a rotated secret is picked up
+const CREDENTIALS_TTL_MS = 5 * 60 * 1000;
+const credentialsCache = new Map();
+
+/**
+ * Read an S3 target's access key from Secret Manager
+ * The secret holds JSON: { "accessKeyId": "...", "secretAccessKey": "..." }
+ */
+async function getCredentials(secretName) {
+  const cached = credentialsCache.get(secretName);
+  if (cached && Date.now() - cached.fetchedAt < CREDENTIALS_TTL_MS) {
+    return cached.credentials;
+  }
+  const [response] = await secretManagerClient.accessSecretVersion({
+    name: `projects/${env.GCP_PROJECT_ID}/secrets/${secretName}/versions/latest`,
+  });
+  const { accessKeyId, secretAccessKey } = JSON.parse(response.payload.data.toString());
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error(`Secret ${secretName} must hold accessKeyId and secretAccessKey`);
+  }
+  const credentials = { accessKeyId, secretAccessKey };
+  credentialsCache.set(secretName, { credentials, fetchedAt: Date.now() });
+  return credentials;
+}
+
+/**
+ * Copy an object (a backup or its manifest) to one replication target
+ * GCS targets get a server-side copy with the object's metadata; S3 targets
+ * get the stored bytes streamed through the API. Encrypted backups stay
+ * encrypted in both, with their key metadata, so restoring a replica needs
+ * the master key as well.
+ */
+async function copyToTarget(target, file, objectMetadata) {
+  const key = `${target.prefix}${file.name}`;
+
+  if (target.type === 'gcs') {
+    await file.copy(storageClient.bucket(target.bucket).file(key));
+    return;
+  }
+
+  const metadata = Object.fromEntries(Object.entries(objectMetadata.metadata || {})
+    .filter(([name, value]) => !LOCAL_METADATA.has(name) && HEADER_SAFE.test(value)));
+  await putObject(target, await getCredentials(target.credentialsSecret), key, file.createReadStream(), {
+    contentLength: Number(objectMetadata.size),
+    contentType: objectMetadata.contentType || 'application/octet-stream',
+    metadata,
+  });
+}
+
+/**
+ * Copy a backup and its manifest to every target of its engine, recording the outcome on the backup
+ * The status of each target is kept in the backup's replication metadata as
+ * { <target>: { status: 'replicated' | 'failed', at, error } }.
+ * @param {object} config - The engine's replication config
+ * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/default/backup-2024-01-01.sql.gz')
+ * @param {object} options - { force } copies to targets that already hold a replica too
+ * @returns {Promise<object[]>} Per-target results: { target, status, error }
+ */
+async function replicateBackup(config, fileName, { force = false } = {}) {
+  const bucket = storageClient.bucket(env.GCS_BACKUP_BUCKET);
+  const file = bucket.file(fileName);
+  const [exists] = await file.exists();
+  if (!exists) {
+    throw new HttpError(404, `File not found: ${fileName}`);
+  }
+
+  const [metadata] = await file.getMetadata();
+  const manifest = bucket.file(manifestName(fileName));
+  const [hasManifest] = await manifest.exists();
+  const manifestMetadata = hasManifest ? (await manifest.getMetadata())[0] : null;
+
+  const statuses = Object.fromEntries(parseReplication(metadata.metadata).map(({ target, ...status }) => [target, status]));
+  const results = [];
+  for (const target of config.targets) {
+    if (!force && statuses[target.name]?.status === 'replicated') {
+      results.push({ target: target.name, status: 'skipped', error: null });
+      continue;
+    }
+    try {
+      await copyToTarget(target, file, metadata);
+      if (manifestMetadata) {
+        await copyToTarget(target, manifest, manifestMetadata);
+      }
+      statuses[target.name] = { status: 'replicated', at: new Date().toISOString(), error: null };
+    } catch (error) {
+      logger.error(`Replication of ${fileName} to ${target.name} failed:`, error.message);
+      statuses[target.name] = { status: 'failed', at: new Date().toISOString(), error: error.message.slice(0, 300) };
+    }
+    results.push({ target: target.name, ...statuses[target.name] });
+  }
+
+  await file.setMetadata({ metadata: { replication: JSON.stringify(statuses) } });
+  return results;
+}
+
+async function loadConfig(engine) {
+  const snapshot = await getCollection(REPLICATION_COLLECTION).doc(engine.name).get();
+  return snapshot.exists ? snapshot.data() : null;
+}
+
+/**
+ * Create or replace an engine's replication targets
+ * @param {object} engine - Engine registry entry
+ * @param {object} input - { targets, enabled } as validated by the route
+ */
+async function setReplicationConfig(engine, { targets, enabled }) {
+  try {
+    const configRef = getCollection(REPLICATION_COLLECTION).doc(engine.name);
+    const snapshot = await configRef.get();
+    const now = new Date().toISOString();
+    const config = {
+      engine: engine.name,
+      targets,
+      enabled,
+      createdAt: snapshot.exists ? snapshot.data().createdAt : now,
+      updatedAt: now,
+    };
+    await configRef.set(config);
+
+    logger.success(`Replication targets ${snapshot.exists ? 'updated' : 'set'} for ${engine.displayName}: ${targets.map((target) => target.name).join(', ')}`);
+
+    return {
+      success: true,
+      data: config,
+      message: `${engine.displayName} replication targets saved`,
+    };
+  } catch (error) {
+    logger.error('Error saving replication targets:', error);
+    throw new Error(`Failed to save replication targets: ${error.message}`);
+  }
+}
+
+/**
+ * List the replication targets of every engine that has them
+ */
+async function listReplicationConfigs() {
+  try {
+    const snapshot = await getCollection(REPLICATION_COLLECTION).get();
+    const configs = snapshot.docs.map((doc) => doc.data());
+    return {
+      success: true,
+      count: configs.length,
+      data: configs,
+      message: 'Replication targets listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing replication targets:', error);
+    throw new Error(`Failed to list replication targets: ${error.message}`);
+  }
+}
+
+/**
+ * Get an engine's replication targets
+ */
+async function getReplicationConfig(engine) {
+  try {
+    const config = await loadConfig(engine);
+    if (!config) {
+      throw new HttpError(404, `No replication targets for ${engine.displayName}`);
+    }
+    return {
+      success: true,
+      data: config,
+      message: `${engine.displayName} replication targets retrieved`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error getting replication targets:', error);
+    throw new Error(`Failed to get replication targets: ${error.message}`);
+  }
+}
+
+/**
+ * Stop replicating an engine's backups; existing replicas are left in place
+ */
+async function deleteReplicationConfig(engine) {
+  try {
+    const configRef = getCollection(REPLICATION_COLLECTION).doc(engine.name);
+    const snapshot = await configRef.get();
+    if (!snapshot.exists) {
+      throw new HttpError(404, `No replication targets for ${engine.displayName}`);
+    }
+    await configRef.delete();
+
+    logger.success(`Replication targets removed for ${engine.displayName}`);
+
+    return {
+      success: true,
+      message: `${engine.displayName} replication targets removed`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error deleting replication targets:', error);
+    throw new Error(`Failed to delete replication targets: ${error.message}`);
+  }
+}
+
+/**
+ * Replicate new backups without holding up the caller
+ * Used after a backup completes or an import is stored; failures are
+ * recorded on the backup and left for POST /backup/replicate to retry.
+ * @param {string} engineName - Engine the objects belong to
+ * @param {string[]} objectNames - Backups to copy
+ */
+function queueReplication(engineName, objectNames) {
+  const engine = getEngine(engineName);
+  if (!engine || objectNames.length === 0) return;
+
+  (async () => {
+    const config = await loadConfig(engine);
+    if (!config || !config.enabled) return;
+    for (const objectName of objectNames) {
+      const results = await replicateBackup(config, objectName);
+      const failed = results.filter((result) => result.status === 'failed');
+      const log = failed.length ? logger.warn : logger.success;
+      log(`Replicated ${objectName} to ${results.length - failed.length} of ${results.length} targets`);
+    }
+  })().catch((error) => logger.error(`Replication of ${objectNames.join(', ')} failed:`, error));
+}
+
+/**
+ * Copy existing backups that are missing from a target (backfill)
+ * Backups are copied one at a time, up to limit per call; remaining says how
+ * many still need copying, so the call can be repeated until it is 0.
+ * @param {object} options - { engine (registry entry), host, fileName, force, limit }
+ *   force copies backups that already have a replica again.
+ */
+async function backfillReplication({ engine, host, fileName, force = false, limit = 100 } = {}) {
+  try {
+    if (fileName && (fileName.startsWith(MANIFEST_PREFIX) || fileName.startsWith(TRASH_PREFIX))) {
+      throw new HttpError(400, 'fileName must be a backup object, not a manifest or a trashed backup');
+    }
+    const fileEngine = fileName ? listEngines().find((entry) => fileName.startsWith(entry.prefix)) : null;
+    if (fileName && !fileEngine) {
+      throw new HttpError(400, `${fileName} is not under any engine's prefix`);
+    }
+
+    const engines = fileEngine ? [fileEngine] : engine ? [engine] : listEngines().filter((entry) => entry.capabilities.list);
+    const candidates = [];
+    for (const entry of engines) {
+      const config = await loadConfig(entry);
+      if (!config || !config.enabled) {
+        if (fileEngine || engine) {
+          throw new HttpError(404, `No enabled replication targets for ${entry.displayName}`);
+        }
+        continue;
+      }
+      const replicated = (backup, target) => backup.replication.some((status) => status.target === target.name && status.status === 'replicated');
+      const backups = fileName
+        ? [{ name: fileName, replication: [] }]
+        : (await listAllBackups(entry, { host })).filter((backup) => force || config.targets.some((target) => !replicated(backup, target)));
+      candidates.push(...backups.map((backup) => ({ name: backup.name, config })));
+    }
+
+    const results = [];
+    for (const { name, config } of candidates.slice(0, limit)) {
+      results.push({ name, targets: await replicateBackup(config, name, { force }) });
+    }
+    const failedCount = results.filter((result) => result.targets.some((target) => target.status === 'failed')).length;
+    const remaining = Math.max(0, candidates.length - results.length);
+
+    const log = failedCount ? logger.warn : logger.success;
+    log(`Replication backfill: ${results.length - failedCount} replicated, ${failedCount} failed, ${remaining} remaining`);
+
+    return {
+      success: true,
+      data: {
+        processedCount: results.length,
+        replicatedCount: results.length - failedCount,
+        failedCount,
+        remaining,
+        results,
+      },
+      message: `Replicated ${results.length - failedCount} of ${results.length} backups${remaining ? `; ${remaining} remaining, call again to continue` : ''}`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error replicating backups:', error);
+    throw new Error(`Failed to replicate backups: ${error.message}`);
+  }
+}
+
+/**
+ * Replicate every backup a completed run uploaded (call once on startup)
+ * Completion events reach the API through the backup-results push subscription.
+ */
+function startReplicationListener() {
+  onBackupEvent('backup.completed', (event) => {
+    const objectNames = (event.objects || []).map((object) => object.objectName).filter(Boolean);
+    queueReplication(event.engine, objectNames.length ? objectNames : [event.objectName].filter(Boolean));
+  });
+}
+
+module.exports = {
+  REPLICATION_COLLECTION,
+  setReplicationConfig,
+  listReplicationConfigs,
+  getReplicationConfig,
+  deleteReplicationConfig,
+  queueReplication,
+  backfillReplication,
+  startReplicationListener,
+};
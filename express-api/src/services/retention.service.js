@@ -0,0 +1,383 @@
+const { getCollection } = require('../config/firestore.config');
+const { getEngine } = require('../config/engines.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { armCronJob } = require('../utils/cron');
+const { listAllBackups } = require('./bucket.service');
+const { KEEP_LABEL } = require('./label.service');
+const { deleteBackupFile } = require('./trash.service');
+const { recordAuditEntry } = require('./audit.service');
+
+const RETENTION_COLLECTION = 'retention_policies';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Who the audit log names for deletions made by the scheduled job
+const RETENTION_JOB_ACTOR = Object.freeze({ keyId: 'retention-job', name: 'retention job' });
+
+/**
+ * Grandfather-father-son tiers, finest first
+ * Each names the calendar period a backup falls in (in the policy's time zone);
+ * a tier keeping N keeps the newest backup of each of the N newest periods.
+ */
+const TIERS = {
+  keepDaily: ({ year, month, day }) => `${year}-${month}-${day}`,
+  keepWeekly: isoWeek,
+  keepMonthly: ({ year, month }) => `${year}-${month}`,
+  keepYearly: ({ year }) => `${year}`,
+};
+
+function isoWeek({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // The Thursday of a week decides which year the week belongs to
+  date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7));
+  const week = Math.ceil(((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS + 1) / 7);
+  return `${date.getUTCFullYear()}-W${week}`;
+}
+
+function calendarDate(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+    .formatToParts(new Date(timestamp));
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return { year: value('year'), month: value('month'), day: value('day') };
+}
+
+// Backups of different databases or collections on one host are retained independently
+function seriesKey(backup) {
+  const { database, collectionName } = backup.metadata;
+  return `${backup.host ?? ''}/${database || collectionName || ''}`;
+}
+
+/**
+ * Decide which backups of one series a policy keeps
+ * Backups older than maxAgeDays are never kept by a rule; the others are kept
+ * by keepLast and the tiers, or all of them if the policy only sets a max age.
+ * Backups under a legal hold or labeled keep are always kept, and so are the
+ * newest minKeep.
+ * @returns {Map<string, string[]>} Object name -> reasons it is kept (empty: delete)
+ */
+function evaluateSeries(backups, policy, now) {
+  const newestFirst = [...backups].sort((a, b) => new Date(b.created) - new Date(a.created));
+  const reasons = new Map(newestFirst.map((backup) => [backup.name, []]));
+
+  const cutoff = policy.maxAgeDays ? now - policy.maxAgeDays * DAY_MS : null;
+  const candidates = newestFirst.filter((backup) => cutoff === null || new Date(backup.created).getTime() >= cutoff);
+  const hasKeepRules = policy.keepLast > 0 || Object.keys(TIERS).some((tier) => policy[tier] > 0);
+
+  if (!hasKeepRules) {
+    candidates.forEach((backup) => reasons.get(backup.name).push('max-age'));
+  }
+  candidates.slice(0, policy.keepLast).forEach((backup) => reasons.get(backup.name).push('last'));
+  for (const [tier, periodOf] of Object.entries(TIERS)) {
+    const periods = new Set();
+    for (const backup of candidates) {
+      if (periods.size >= policy[tier]) break;
+      const period = periodOf(calendarDate(backup.created, policy.timeZone));
+      if (!periods.has(period)) {
+        periods.add(period);
+        reasons.get(backup.name).push(tier.slice('keep'.length).toLowerCase());
+      }
+    }
+  }
+
+  newestFirst
+    .filter((backup) => backup.hold)
+    .forEach((backup) => reasons.get(backup.name).push('hold'));
+  newestFirst
+    .filter((backup) => backup.labels.includes(KEEP_LABEL))
+    .forEach((backup) => reasons.get(backup.name).push(`label:${KEEP_LABEL}`));
+  newestFirst.slice(0, policy.minKeep)
+    .filter((backup) => reasons.get(backup.name).length === 0)
+    .forEach((backup) => reasons.get(backup.name).push('min-keep'));
+
+  return reasons;
+}
+
+/**
+ * Split an engine's backups into those a policy keeps and those it deletes
+ */
+function evaluatePolicy(backups, policy, now = Date.now()) {
+  const series = new Map();
+  for (const backup of backups) {
+    const key = seriesKey(backup);
+    series.set(key, [...(series.get(key) || []), backup]);
+  }
+
+  const keep = [];
+  const remove = [];
+  for (const members of series.values()) {
+    const reasons = evaluateSeries(members, policy, now);
+    for (const backup of members) {
+      const entry = { name: backup.name, host: backup.host, created: backup.created, size: backup.size };
+      if (reasons.get(backup.name).length) {
+        keep.push({ ...entry, reasons: reasons.get(backup.name) });
+      } else {
+        remove.push(entry);
+      }
+    }
+  }
+
+  const byCreated = (a, b) => new Date(b.created) - new Date(a.created);
+  return { series: series.size, keep: keep.sort(byCreated), delete: remove.sort(byCreated) };
+}
+
+async function loadPolicy(engine) {
+  const snapshot = await getCollection(RETENTION_COLLECTION).doc(engine.name).get();
+  if (!snapshot.exists) {
+    throw new HttpError(404, `No retention policy for ${engine.displayName}`);
+  }
+  return snapshot.data();
+}
+
+/**
+ * Create or replace an engine's retention policy
+ * @param {object} engine - Engine registry entry
+ * @param {object} input - { keepLast, keepDaily, keepWeekly, keepMonthly, keepYearly, maxAgeDays, minKeep, timeZone, enabled }
+ */
+async function setRetentionPolicy(engine, input) {
+  try {
+    try {
+      // Intl throws a RangeError for unknown time zones
+      new Intl.DateTimeFormat('en-US', { timeZone: input.timeZone });
+    } catch (error) {
+      throw new HttpError(400, `Invalid time zone: ${error.message}`);
+    }
+
+    const docRef = getCollection(RETENTION_COLLECTION).doc(engine.name);
+    const snapshot = await docRef.get();
+    const now = new Date().toISOString();
+    const policy = {
+      engine: engine.name,
+      ...input,
+      createdAt: snapshot.exists ? snapshot.data().createdAt : now,
+      updatedAt: now,
+      lastRun: snapshot.exists ? snapshot.data().lastRun || null : null,
+    };
+    await docRef.set(policy);
+
+    logger.success(`Retention policy ${snapshot.exists ? 'updated' : 'created'} for ${engine.displayName}`);
+
+    return {
+      success: true,
+      data: policy,
+      message: `${engine.displayName} retention policy saved`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error saving retention policy:', error);
+    throw new Error(`Failed to save retention policy: ${error.message}`);
+  }
+}
+
+/**
+ * List every engine's retention policy
+ */
+async function listRetentionPolicies() {
+  try {
+    const snapshot = await getCollection(RETENTION_COLLECTION).get();
+    const policies = snapshot.docs.map((doc) => doc.data());
+
+    return {
+      success: true,
+      count: policies.length,
+      data: policies,
+      message: 'Retention policies listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing retention policies:', error);
+    throw new Error(`Failed to list retention policies: ${error.message}`);
+  }
+}
+
+/**
+ * Get an engine's retention policy with the outcome of its last run
+ */
+async function getRetentionPolicy(engine) {
+  try {
+    return {
+      success: true,
+      data: await loadPolicy(engine),
+      message: 'Retention policy retrieved successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error getting retention policy:', error);
+    throw new Error(`Failed to get retention policy: ${error.message}`);
+  }
+}
+
+/**
+ * Remove an engine's retention policy; its backups are then kept indefinitely
+ */
+async function deleteRetentionPolicy(engine) {
+  try {
+    await loadPolicy(engine);
+    await getCollection(RETENTION_COLLECTION).doc(engine.name).delete();
+
+    logger.success(`Retention policy deleted for ${engine.displayName}`);
+
+    return {
+      success: true,
+      engine: engine.name,
+      message: `${engine.displayName} retention policy deleted`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error deleting retention policy:', error);
+    throw new Error(`Failed to delete retention policy: ${error.message}`);
+  }
+}
+
+/**
+ * Show what an engine's retention policy would delete now, without deleting anything
+ */
+async function previewRetention(engine) {
+  try {
+    const policy = await loadPolicy(engine);
+    const backups = await listAllBackups(engine);
+    const result = evaluatePolicy(backups, policy);
+
+    return {
+      success: true,
+      data: {
+        engine: engine.name,
+        policy,
+        evaluatedAt: new Date().toISOString(),
+        series: result.series,
+        totalCount: backups.length,
+        deleteCount: result.delete.length,
+        deleteBytes: result.delete.reduce((total, backup) => total + backup.size, 0),
+        delete: result.delete,
+        keep: result.keep,
+      },
+      message: `${result.delete.length} of ${backups.length} ${engine.displayName} backups would be deleted`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error previewing retention:', error);
+    throw new Error(`Failed to preview retention: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the backups an engine's retention policy no longer keeps
+ * They go to the trash like any deleted backup, so a policy set too tight can
+ * be undone until the trash is purged. Every deletion is written to the audit
+ * log as retention.prune, and the outcome is stored on the policy as lastRun.
+ * A disabled policy is not applied by the scheduled job but can be run explicitly.
+ * @param {object} engine - Engine registry entry
+ * @param {object} options - { actor } - who the audit log names ({ keyId, name })
+ */
+async function applyRetention(engine, { actor = RETENTION_JOB_ACTOR } = {}) {
+  try {
+    const policy = await loadPolicy(engine);
+    const startedAt = new Date().toISOString();
+    const result = evaluatePolicy(await listAllBackups(engine), policy);
+
+    const deleted = [];
+    const failed = [];
+    // One at a time, so a failing bucket is not hit with a burst of deletes
+    for (const backup of result.delete) {
+      let error = null;
+      try {
+        await deleteBackupFile(backup.name, { deletedBy: actor });
+        deleted.push(backup);
+      } catch (deleteError) {
+        error = deleteError.message;
+        failed.push({ ...backup, error });
+      }
+      await recordAuditEntry({
+        actor,
+        action: 'retention.prune',
+        target: backup.name,
+        method: null,
+        path: null,
+        params: { engine: engine.name },
+        outcome: error ? 'failure' : 'success',
+        statusCode: null,
+        error,
+        ip: null,
+        details: { created: backup.created, size: backup.size },
+      }).catch((auditError) => logger.warn(`Failed to write audit entry for retention.prune of ${backup.name}:`, auditError.message));
+    }
+
+    const lastRun = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      actor: actor.keyId,
+      keptCount: result.keep.length,
+      deletedCount: deleted.length,
+      deletedBytes: deleted.reduce((total, backup) => total + backup.size, 0),
+      failedCount: failed.length,
+    };
+    await getCollection(RETENTION_COLLECTION).doc(engine.name).update({ lastRun });
+
+    const log = failed.length ? logger.warn : logger.success;
+    log(`Retention for ${engine.displayName}: deleted ${deleted.length}, kept ${result.keep.length}, failed ${failed.length}`);
+
+    return {
+      success: true,
+      data: { engine: engine.name, ...lastRun, deleted, failed },
+      message: `Deleted ${deleted.length} ${engine.displayName} backups${failed.length ? `; ${failed.length} could not be deleted` : ''}`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error applying retention:', error);
+    throw new Error(`Failed to apply retention: ${error.message}`);
+  }
+}
+
+/**
+ * Apply every enabled retention policy (the pruning job)
+ * An engine that fails is reported and does not stop the others.
+ */
+async function applyAllRetention({ actor = RETENTION_JOB_ACTOR } = {}) {
+  try {
+    const snapshot = await getCollection(RETENTION_COLLECTION).where('enabled', '==', true).get();
+    const results = [];
+    for (const doc of snapshot.docs) {
+      const engine = getEngine(doc.id);
+      if (!engine) {
+        logger.warn(`Retention policy for unknown engine ${doc.id} skipped`);
+        continue;
+      }
+      try {
+        const { data } = await applyRetention(engine, { actor });
+        results.push(data);
+      } catch (error) {
+        results.push({ engine: engine.name, error: error.message });
+      }
+    }
+
+    return {
+      success: true,
+      count: results.length,
+      data: results,
+      message: `Retention applied to ${results.length} engines`,
+    };
+  } catch (error) {
+    logger.error('Error applying retention policies:', error);
+    throw new Error(`Failed to apply retention policies: ${error.message}`);
+  }
+}
+
+/**
+ * Run the pruning job on RETENTION_CRON (UTC) in this process (call once on startup)
+ */
+function startRetentionJob() {
+  armCronJob(env.RETENTION_CRON, applyAllRetention, 'Retention job');
+}
+
+module.exports = {
+  RETENTION_COLLECTION,
+  evaluatePolicy,
+  setRetentionPolicy,
+  listRetentionPolicies,
+  getRetentionPolicy,
+  deleteRetentionPolicy,
+  previewRetention,
+  applyRetention,
+  applyAllRetention,
+  startRetentionJob,
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { getCollection, documentId } = require('../config/firestore.config');
+const { HttpError } = require('../utils/errors');
+const { encodePageToken, decodePageToken } = require('../utils/page-token');
+const logger = require('../utils/logger');
+
+// Shared with the cloud functions, which update runs through their phases
+const RUNS_COLLECTION = 'backup_runs';
+
+/**
+ * Create a run ledger entry at trigger time
+ * The returned runId travels in the Pub/Sub message so the cloud function
+ * can record its phases (secrets, dump, upload, cleanup) and the outcome.
+ * @param {object} run - { runId, engine, operation, status, triggeredBy, scheduleId, scheduledFor, taskName }
+ * runId may be passed in when it is needed before the run exists (e.g. to take a backup lock).
+ */
+async function createRun({ runId = crypto.randomUUID(), engine, operation = 'backup', status = 'queued', ...context }) {
+  const now = new Date().toISOString();
+  const run = {
+    runId,
+    engine,
+    operation,
+    status,
+    phase: null,
+    phases: {},
+    ...Object.fromEntries(Object.entries(context).filter(([, value]) => value !== undefined)),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await getCollection(RUNS_COLLECTION).doc(runId).set(run);
+  logger.debug(`Run ${runId} created for ${engine} ${operation}`);
+  return run;
+}
+
+/**
+ * Merge fields into an existing run
+ */
+async function updateRun(runId, fields) {
+  await getCollection(RUNS_COLLECTION).doc(runId).set(
+    { ...fields, updatedAt: new Date().toISOString() },
+    { merge: true }
+  );
+}
+
+/**
+ * List runs, newest first
+ * @param {object} filters - { engine, status, operation, limit, pageToken }
+ * pageToken is the nextPageToken of the previous page.
+ */
+async function listRuns({ engine, status, operation, limit = 50, pageToken } = {}) {
+  try {
+    let query = getCollection(RUNS_COLLECTION);
+    if (engine) query = query.where('engine', '==', engine);
+    if (status) query = query.where('status', '==', status);
+    if (operation) query = query.where('operation', '==', operation);
+
+    query = query.orderBy('createdAt', 'desc').orderBy(documentId, 'desc');
+    if (pageToken) query = query.startAfter(...decodePageToken(pageToken));
+
+    const snapshot = await query.limit(limit).get();
+    const runs = snapshot.docs.map((doc) => doc.data());
+    const last = snapshot.docs[snapshot.size - 1];
+
+    return {
+      success: true,
+      count: runs.length,
+      data: runs,
+      nextPageToken: runs.length === limit ? encodePageToken(last.data().createdAt, last.id) : null,
+      message: 'Backup runs listed successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error listing backup runs:', error);
+    throw new Error(`Failed to list backup runs: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single run with its phases and outcome
+ */
+async function getRun(runId) {
+  try {
+    const snapshot = await getCollection(RUNS_COLLECTION).doc(runId).get();
+    if (!snapshot.exists) {
+      throw new HttpError(404, `Run not found: ${runId}`);
+    }
+
+    return {
+      success: true,
+      data: snapshot.data(),
+      message: 'Backup run retrieved successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error getting backup run:', error);
+    throw new Error(`Failed to get backup run: ${error.message}`);
+  }
+}
+
+module.exports = {
+  RUNS_COLLECTION,
+  createRun,
+  updateRun,
+  listRuns,
+  getRun,
+};
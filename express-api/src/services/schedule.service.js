@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const { getCollection } = require('../config/firestore.config');
+const { cloudSchedulerClient, getLocationPath, getJobPath } = require('../config/scheduler.config');
+const { getEngine, parseBackupTarget } = require('../config/engines.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const { MAX_TIMER_DELAY_MS, computeNextRun } = require('../utils/cron');
+const { triggerBackup } = require('./backup.service');
+const { resolveHost } = require('./host.service');
+const logger = require('../utils/logger');
+
+const SCHEDULES_COLLECTION = 'backup_schedules';
+
+// In-process timers keyed by schedule ID (SCHEDULER_MODE=in-process only)
+const timers = new Map();
+
+const isInProcess = () => env.SCHEDULER_MODE === 'in-process';
+
+/**
+ * Pub/Sub payload published on every run of a recurring schedule
+ */
+function buildScheduleMessage(schedule) {
+  return {
+    action: 'backup',
+    database: schedule.engine,
+    target: schedule.target,
+    ...(schedule.host && { host: schedule.host }),
+    triggeredBy: 'recurring-schedule',
+    scheduleId: schedule.id,
+    onConflict: schedule.onConflict || 'queue',
+  };
+}
+
+/**
+ * Prepend a run to the schedule history, keeping the last SCHEDULE_RUN_HISTORY entries
+ */
+function appendRun(schedule, run) {
+  return [run, ...(schedule.recentRuns || [])].slice(0, env.SCHEDULE_RUN_HISTORY);
+}
+
+// =============================================================================
+// CLOUD SCHEDULER BACKEND
+// =============================================================================
+
+function buildCloudSchedulerJob(schedule, engine) {
+  return {
+    name: getJobPath(`backup-${schedule.engine}-${schedule.id}`),
+    description: schedule.description || `Recurring ${engine.displayName} backup`,
+    schedule: schedule.cron,
+    timeZone: schedule.timeZone,
+    pubsubTarget: {
+      topicName: `projects/${env.GCP_PROJECT_ID}/topics/${engine.topic}`,
+      data: Buffer.from(JSON.stringify(buildScheduleMessage(schedule))),
+    },
+  };
+}
+
+/**
+ * Pull next-run and last-attempt information from the Cloud Scheduler job
+ * and record any attempt we have not seen yet in the schedule's run history.
+ */
+async function syncCloudSchedulerJob(schedule) {
+  try {
+    const [job] = await cloudSchedulerClient.getJob({ name: schedule.jobName });
+    const updates = {};
+
+    const nextRunSeconds = job.scheduleTime?.seconds;
+    if (nextRunSeconds && schedule.state === 'enabled') {
+      updates.nextRunAt = new Date(Number(nextRunSeconds) * 1000).toISOString();
+    }
+
+    const lastAttemptSeconds = job.lastAttemptTime?.seconds;
+    if (lastAttemptSeconds) {
+      const firedAt = new Date(Number(lastAttemptSeconds) * 1000).toISOString();
+      if (!schedule.lastRunAt || firedAt > schedule.lastRunAt) {
+        const failed = job.status && job.status.code;
+        updates.lastRunAt = firedAt;
+        updates.recentRuns = appendRun(schedule, {
+          firedAt,
+          status: failed ? 'failed' : 'published',
+          ...(failed && { error: job.status.message }),
+        });
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return schedule;
+    }
+
+    await getCollection(SCHEDULES_COLLECTION).doc(schedule.id).update(updates);
+    return { ...schedule, ...updates };
+  } catch (error) {
+    // Listing should still work if a single job cannot be read
+    logger.warn(`Failed to sync Cloud Scheduler job for schedule ${schedule.id}:`, error.message);
+    return schedule;
+  }
+}
+
+// =============================================================================
+// IN-PROCESS BACKEND
+// =============================================================================
+
+function clearTimer(scheduleId) {
+  const timer = timers.get(scheduleId);
+  if (timer) {
+    clearTimeout(timer);
+    timers.delete(scheduleId);
+  }
+}
+
+/**
+ * Arm a timer for the schedule's next run
+ */
+function armTimer(schedule) {
+  clearTimer(schedule.id);
+  if (schedule.state !== 'enabled') {
+    return;
+  }
+
+  const delay = new Date(schedule.nextRunAt).getTime() - Date.now();
+  const timer = setTimeout(() => {
+    timers.delete(schedule.id);
+    if (delay > MAX_TIMER_DELAY_MS) {
+      return armTimer(schedule);
+    }
+    runInProcessSchedule(schedule).catch((error) => {
+      logger.error(`Recurring schedule ${schedule.id} failed to run:`, error);
+    });
+  }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY_MS)));
+
+  // Do not keep the process alive just for a pending schedule
+  timer.unref();
+  timers.set(schedule.id, timer);
+}
+
+/**
+ * Fire an in-process schedule: publish the backup, record the run and re-arm
+ * The timer is re-armed even when reading or recording the schedule fails, so
+ * one transient Firestore error does not stop the schedule until a restart.
+ * @param {object} armed - The schedule as it was when its timer was armed
+ */
+async function runInProcessSchedule(armed) {
+  const docRef = getCollection(SCHEDULES_COLLECTION).doc(armed.id);
+  let schedule = armed;
+  let rearm = true;
+
+  try {
+    const snapshot = await docRef.get();
+    if (!snapshot.exists || snapshot.data().state !== 'enabled') {
+      rearm = false;
+      return;
+    }
+
+    schedule = { id: snapshot.id, ...snapshot.data() };
+    const firedAt = new Date().toISOString();
+    let run;
+
+    try {
+      const engine = getEngine(schedule.engine);
+      const result = await triggerBackup(engine, {
+        triggeredBy: 'recurring-schedule',
+        scheduleId: schedule.id,
+        target: schedule.target,
+        host: schedule.host,
+        onConflict: schedule.onConflict || 'queue',
+      });
+      const status = result.coalesced ? 'coalesced' : result.queued ? 'queued' : 'published';
+      run = { firedAt, status, ...(result.messageId && { messageId: result.messageId }), runId: result.runId };
+    } catch (error) {
+      run = { firedAt, status: 'failed', error: error.message };
+    }
+
+    const updates = {
+      lastRunAt: firedAt,
+      nextRunAt: computeNextRun(schedule.cron, schedule.timeZone),
+      recentRuns: appendRun(schedule, run),
+      updatedAt: new Date().toISOString(),
+    };
+    await docRef.update(updates);
+
+    logger.info(`Recurring schedule ${schedule.id} fired (${run.status}); next run at ${updates.nextRunAt}`);
+  } finally {
+    if (rearm) {
+      armTimer({ ...schedule, nextRunAt: computeNextRun(schedule.cron, schedule.timeZone) });
+    }
+  }
+}
+
+/**
+ * Load enabled schedules and arm their timers (call once on startup)
+ */
+async function startInProcessScheduler() {
+  const snapshot = await getCollection(SCHEDULES_COLLECTION)
+    .where('mode', '==', 'in-process')
+    .where('state', '==', 'enabled')
+    .get();
+
+  snapshot.docs.forEach((doc) => {
+    const schedule = { id: doc.id, ...doc.data() };
+    // Runs missed while the process was down are skipped, not replayed
+    if (new Date(schedule.nextRunAt) < new Date()) {
+      schedule.nextRunAt = computeNextRun(schedule.cron, schedule.timeZone);
+    }
+    armTimer(schedule);
+  });
+
+  logger.success(`In-process scheduler started with ${snapshot.size} recurring schedules`);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+async function loadSchedule(scheduleId) {
+  const snapshot = await getCollection(SCHEDULES_COLLECTION).doc(scheduleId).get();
+  if (!snapshot.exists) {
+    throw new HttpError(404, `Schedule not found: ${scheduleId}`);
+  }
+  return { id: snapshot.id, ...snapshot.data() };
+}
+
+/**
+ * Create a recurring backup schedule
+ * @param {object} engine - Engine registry entry (see config/engines.config.js)
+ * @param {object} input - { cron, timeZone, description, enabled, target, host, onConflict }
+ */
+async function createSchedule(engine, { cron, timeZone, description, enabled, target, host, onConflict }) {
+  try {
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+    const schedule = {
+      id,
+      engine: engine.name,
+      target: parseBackupTarget(engine, target),
+      host: (await resolveHost(engine, host)) || null,
+      onConflict,
+      cron,
+      timeZone,
+      description: description || null,
+      state: enabled ? 'enabled' : 'paused',
+      mode: env.SCHEDULER_MODE,
+      jobName: null,
+      nextRunAt: enabled ? computeNextRun(cron, timeZone) : null,
+      lastRunAt: null,
+      recentRuns: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    if (isInProcess()) {
+      armTimer(schedule);
+    } else {
+      const job = buildCloudSchedulerJob(schedule, engine);
+      const [created] = await cloudSchedulerClient.createJob({ parent: getLocationPath(), job });
+      schedule.jobName = created.name;
+      if (!enabled) {
+        await cloudSchedulerClient.pauseJob({ name: created.name });
+      }
+    }
+
+    await getCollection(SCHEDULES_COLLECTION).doc(id).set(schedule);
+
+    logger.success(`Recurring ${engine.displayName} schedule created: ${id} (${cron} ${timeZone})`);
+
+    return {
+      success: true,
+      data: schedule,
+      message: `Recurring ${engine.displayName} backup scheduled`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error creating recurring schedule:', error);
+    throw new Error(`Failed to create recurring schedule: ${error.message}`);
+  }
+}
+
+/**
+ * List recurring schedules, optionally filtered by engine
+ */
+async function listSchedules({ engine } = {}) {
+  try {
+    let query = getCollection(SCHEDULES_COLLECTION);
+    if (engine) {
+      query = query.where('engine', '==', engine);
+    }
+
+    const snapshot = await query.get();
+    let schedules = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+    if (!isInProcess()) {
+      schedules = await Promise.all(
+        schedules.map((schedule) => (schedule.jobName ? syncCloudSchedulerJob(schedule) : schedule))
+      );
+    }
+
+    // Soonest next run first; paused schedules (no next run) last
+    schedules.sort((a, b) => {
+      if (!a.nextRunAt || !b.nextRunAt) return (a.nextRunAt ? 0 : 1) - (b.nextRunAt ? 0 : 1);
+      return new Date(a.nextRunAt) - new Date(b.nextRunAt);
+    });
+
+    return {
+      success: true,
+      count: schedules.length,
+      data: schedules,
+      message: 'Recurring schedules listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing recurring schedules:', error);
+    throw new Error(`Failed to list recurring schedules: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single recurring schedule with its run history
+ */
+async function getSchedule(scheduleId) {
+  try {
+    let schedule = await loadSchedule(scheduleId);
+    if (schedule.jobName) {
+      schedule = await syncCloudSchedulerJob(schedule);
+    }
+
+    return {
+      success: true,
+      data: schedule,
+      message: 'Recurring schedule retrieved successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error getting recurring schedule:', error);
+    throw new Error(`Failed to get recurring schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Update cron expression, time zone, description, backup target, host or conflict policy of a schedule
+ */
+async function updateSchedule(scheduleId, changes) {
+  try {
+    const schedule = await loadSchedule(scheduleId);
+    const engine = getEngine(schedule.engine);
+    const updated = {
+      ...schedule,
+      ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)),
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (changes.target !== undefined) {
+      updated.target = parseBackupTarget(engine, changes.target);
+    }
+
+    if (changes.host !== undefined) {
+      updated.host = (await resolveHost(engine, changes.host)) || null;
+    }
+
+    if (updated.state === 'enabled') {
+      updated.nextRunAt = computeNextRun(updated.cron, updated.timeZone);
+    }
+
+    if (schedule.jobName) {
+      const job = buildCloudSchedulerJob(updated, engine);
+      job.name = schedule.jobName;
+      await cloudSchedulerClient.updateJob({
+        job,
+        updateMask: { paths: ['schedule', 'time_zone', 'description', 'pubsub_target'] },
+      });
+    } else if (isInProcess()) {
+      armTimer(updated);
+    }
+
+    const { id, ...fields } = updated;
+    await getCollection(SCHEDULES_COLLECTION).doc(id).set(fields);
+
+    logger.success(`Recurring schedule updated: ${scheduleId}`);
+
+    return {
+      success: true,
+      data: updated,
+      message: 'Recurring schedule updated successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error updating recurring schedule:', error);
+    throw new Error(`Failed to update recurring schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Pause or resume a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {boolean} enabled - true to resume, false to pause
+ */
+async function setScheduleEnabled(scheduleId, enabled) {
+  try {
+    const schedule = await loadSchedule(scheduleId);
+    const updates = {
+      state: enabled ? 'enabled' : 'paused',
+      nextRunAt: enabled ? computeNextRun(schedule.cron, schedule.timeZone) : null,
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (schedule.jobName) {
+      if (enabled) {
+        await cloudSchedulerClient.resumeJob({ name: schedule.jobName });
+      } else {
+        await cloudSchedulerClient.pauseJob({ name: schedule.jobName });
+      }
+    } else if (isInProcess()) {
+      armTimer({ ...schedule, ...updates });
+    }
+
+    await getCollection(SCHEDULES_COLLECTION).doc(scheduleId).update(updates);
+
+    logger.success(`Recurring schedule ${enabled ? 'resumed' : 'paused'}: ${scheduleId}`);
+
+    return {
+      success: true,
+      data: { ...schedule, ...updates },
+      message: `Recurring schedule ${enabled ? 'resumed' : 'paused'} successfully`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error changing recurring schedule state:', error);
+    throw new Error(`Failed to ${enabled ? 'resume' : 'pause'} recurring schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Record the outcome of a scheduled backup in the schedule's run history
+ * Called when the backup function reports back; the run is matched by runId
+ * (in-process runs) or added as a new entry (Cloud Scheduler runs, whose
+ * runId is only known to the function).
+ * @param {object} event - backup.completed / backup.failed event
+ */
+async function recordScheduleOutcome(scheduleId, event) {
+  const docRef = getCollection(SCHEDULES_COLLECTION).doc(scheduleId);
+  const snapshot = await docRef.get();
+  if (!snapshot.exists) {
+    logger.warn(`Outcome for unknown schedule ${scheduleId} ignored (run ${event.runId})`);
+    return;
+  }
+
+  const schedule = { id: snapshot.id, ...snapshot.data() };
+  const outcome = {
+    status: event.type === 'backup.completed' ? 'succeeded' : 'failed',
+    runId: event.runId,
+    finishedAt: event.finishedAt,
+    ...(event.error && { error: event.error.message }),
+  };
+
+  const recentRuns = schedule.recentRuns || [];
+  const index = recentRuns.findIndex((run) => run.runId === event.runId);
+  const updates = {
+    recentRuns: index === -1
+      ? appendRun(schedule, { firedAt: event.startedAt, ...outcome })
+      : recentRuns.map((run, i) => (i === index ? { ...run, ...outcome } : run)),
+    lastOutcome: outcome.status,
+  };
+
+  // Keeps syncCloudSchedulerJob from adding a second entry for the same attempt
+  if (index === -1 && event.startedAt && (!schedule.lastRunAt || event.startedAt > schedule.lastRunAt)) {
+    updates.lastRunAt = event.startedAt;
+  }
+
+  await docRef.update(updates);
+}
+
+/**
+ * Delete a schedule and its Cloud Scheduler job or timer
+ */
+async function deleteSchedule(scheduleId) {
+  try {
+    const schedule = await loadSchedule(scheduleId);
+
+    if (schedule.jobName) {
+      await cloudSchedulerClient.deleteJob({ name: schedule.jobName });
+    }
+    clearTimer(scheduleId);
+
+    await getCollection(SCHEDULES_COLLECTION).doc(scheduleId).delete();
+
+    logger.success(`Recurring schedule deleted: ${scheduleId}`);
+
+    return {
+      success: true,
+      scheduleId,
+      message: 'Recurring schedule deleted successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error deleting recurring schedule:', error);
+    throw new Error(`Failed to delete recurring schedule: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  setScheduleEnabled,
+  deleteSchedule,
+  recordScheduleOutcome,
+  startInProcessScheduler,
+};
@@ -1,8 +1,33 @@
 const { cloudTasksClient } = require('../config/cloudtasks.config');
 const { env } = require('../config/env');
+const { getEngine, parseBackupTarget } = require('../config/engines.config');
+const { HttpError } = require('../utils/errors');
+const { getCollection } = require('../config/firestore.config');
+const { RUNS_COLLECTION, createRun, updateRun } = require('./run.service');
+const { DEFAULT_HOST, resolveHost } = require('./host.service');
+const { emitBackupEvent } = require('../utils/event-bus');
 
-async function scheduleBackupTask(database, delayMinutes) {
+/**
+ * Resolve the engine name from a task ID of the form `${engine}-backup-${timestamp}`
+ */
+function engineFromTaskId(taskId) {
+    const engine = getEngine(taskId.split('-backup-')[0]);
+    return engine ? engine.name : 'unknown';
+}
+
+/**
+ * Schedule a one-shot backup through Cloud Tasks
+ * @param {object} engine - Engine registry entry (see config/engines.config.js)
+ * @param {number} delayMinutes - Minutes from now until the backup is published
+ * @param {object} target - What to back up (see engine.backupTarget)
+ * @param {string} host - Registered host to back up; the legacy VM when omitted
+ * @param {string} onConflict - Lock policy the function applies if a backup is running when the task fires
+ */
+async function scheduleBackupTask(engine, delayMinutes, target, host, onConflict = 'queue') {
     try {
+        const backupTarget = parseBackupTarget(engine, target);
+        const hostName = await resolveHost(engine, host);
+
         const scheduleTime = new Date();
         scheduleTime.setMinutes(scheduleTime.getMinutes() + delayMinutes);
 
@@ -13,16 +38,30 @@ async function scheduleBackupTask(database, delayMinutes) {
 
         console.log(`📋 Queue path: ${parent}`);
     
-        const topicName = database === 'postgres' ? 'postgres-backup-trigger' :
-                      database === 'mongodb' ? 'mongodb-backup-trigger' :
-                      database === 'questdb' ? 'questdb-backup-trigger' :
-                      'qdrant-backup-trigger';
+        const database = engine.name;
+        const topicName = engine.topic;
+        const taskId = `${database}-backup-${Date.now()}`;
+
+        const run = await createRun({
+            engine: database,
+            operation: 'backup',
+            status: 'scheduled',
+            triggeredBy: 'scheduled-task',
+            scheduledFor: scheduleTime.toISOString(),
+            taskId,
+            host: hostName || DEFAULT_HOST,
+            target: backupTarget,
+        });
 
         const message = {
             action: 'backup',
             database: database,
+            target: backupTarget,
+            ...(hostName && { host: hostName }),
+            runId: run.runId,
             triggeredBy: 'scheduled-task',
             scheduledFor: scheduleTime.toISOString(),
+            onConflict,
             timestamp: new Date().toISOString(),
         }
 
@@ -31,7 +70,7 @@ async function scheduleBackupTask(database, delayMinutes) {
               project,
               location,
               queue,
-              `${database}-backup-${Date.now()}`
+              taskId
             ),
             scheduleTime: {
               seconds: Math.floor(scheduleTime.getTime() / 1000),
@@ -59,23 +98,44 @@ async function scheduleBackupTask(database, delayMinutes) {
           };
 
               // Create the task
-        const [response] = await cloudTasksClient.createTask({ parent, task });
+        const [response] = await cloudTasksClient.createTask({ parent, task }).catch(async (error) => {
+            // No task would ever publish this runId, so the run is failed instead of left scheduled
+            await updateRun(run.runId, {
+                status: 'failed',
+                finishedAt: new Date().toISOString(),
+                error: { message: error.message, phase: 'schedule' },
+            }).catch((ledgerError) => console.warn(`⚠️ Failed to mark run ${run.runId} as failed:`, ledgerError.message));
+            throw error;
+        });
+        await updateRun(run.runId, { taskName: response.name });
         
         console.log(`✅ Task created: ${response.name}`);
         console.log(`📅 Scheduled for: ${scheduleTime.toISOString()}`);
+        emitBackupEvent('task.scheduled', {
+            engine: database,
+            runId: run.runId,
+            taskName: response.name,
+            scheduledFor: scheduleTime.toISOString(),
+            host: hostName || DEFAULT_HOST,
+            target: backupTarget,
+        });
           
 
 
         return {
             success: true,
             taskName: response.name,
+            runId: run.runId,
             scheduledFor: scheduleTime.toISOString(),
             delayMinutes: delayMinutes,
             database: database,
-            message: `Backup scheduled for ${database} in ${delayMinutes} minutes`,
+            target: backupTarget,
+            host: hostName || DEFAULT_HOST,
+            message: `Backup scheduled for ${engine.displayName} in ${delayMinutes} minutes`,
         };
     
     } catch (error) {
+        if (error instanceof HttpError) throw error;
         console.error('❌ Error creating task:', error);
         throw new Error(`Failed to create backup task: ${error.message}`);
     }
@@ -101,10 +161,7 @@ async function listScheduledTasks() {
             // Extract database type from task name
             const taskNameParts = task.name.split('/');
             const taskId = taskNameParts[taskNameParts.length - 1];
-            const database = taskId.includes('postgres') ? 'postgres' :
-                           taskId.includes('mongodb') ? 'mongodb' :
-                           taskId.includes('questdb') ? 'questdb' :
-                           taskId.includes('qdrantdb') ? 'qdrantdb' : 'unknown';
+            const database = engineFromTaskId(taskId);
 
             // Parse schedule time
             const scheduleTimeSeconds = task.scheduleTime?.seconds || 0;
@@ -156,10 +213,7 @@ async function getTaskDetails(taskName) {
         // Extract database type from task name
         const taskNameParts = taskName.split('/');
         const taskId = taskNameParts[taskNameParts.length - 1];
-        const database = taskId.includes('postgres') ? 'postgres' :
-                       taskId.includes('mongodb') ? 'mongodb' :
-                       taskId.includes('questdb') ? 'questdb' :
-                       taskId.includes('qdrantdb') ? 'qdrantdb' : 'unknown';
+        const database = engineFromTaskId(taskId);
 
         // Parse schedule time
         const scheduleTimeSeconds = task.scheduleTime?.seconds || 0;
@@ -189,6 +243,21 @@ async function getTaskDetails(taskName) {
     }
 }
 
+/**
+ * Mark the run ledger entry of a cancelled task as cancelled
+ */
+async function markScheduledRunsCancelled(taskName) {
+    const snapshot = await getCollection(RUNS_COLLECTION)
+        .where('taskName', '==', taskName)
+        .where('status', '==', 'scheduled')
+        .get();
+
+    await Promise.all(snapshot.docs.map((doc) => updateRun(doc.id, {
+        status: 'cancelled',
+        finishedAt: new Date().toISOString(),
+    })));
+}
+
 /**
  * Delete/cancel a scheduled task
  */
@@ -197,8 +266,10 @@ async function cancelScheduledTask(taskName) {
         console.log(`🗑️ Cancelling task: ${taskName}`);
 
         await cloudTasksClient.deleteTask({ name: taskName });
+        await markScheduledRunsCancelled(taskName);
 
         console.log(`✅ Task cancelled successfully`);
+        emitBackupEvent('task.cancelled', { taskName });
 
         return {
             success: true,
@@ -0,0 +1,300 @@
+const { storageClient } = require('../config/storage.config');
+const { listEngines } = require('../config/engines.config');
+const { env } = require('../config/env');
+const { HttpError } = require('../utils/errors');
+const { emitBackupEvent } = require('../utils/event-bus');
+const logger = require('../utils/logger');
+const { armCronJob } = require('../utils/cron');
+const {
+  MANIFEST_PREFIX,
+  manifestName,
+  createdAt,
+  parseLabels,
+  toHold,
+  hostFromObjectName,
+  moveBackupObject,
+} = require('./bucket.service');
+const { recordAuditEntry } = require('./audit.service');
+
+// Deleted backups are moved to trash/<object name>, with their manifests; the
+// prefix is outside every engine's, so listings skip them
+const TRASH_PREFIX = 'trash/';
+
+const trashName = (fileName) => `${TRASH_PREFIX}${fileName}`;
+
+const TRASH_FIELDS = 'items(name,size,timeCreated,metadata),nextPageToken';
+
+// Who the audit log names for purges made by the scheduled job
+const TRASH_JOB_ACTOR = Object.freeze({ keyId: 'trash-purge-job', name: 'trash purge job' });
+
+/**
+ * Normalize a trashed object into a trash entry named after the backup it was
+ */
+function toTrashEntry(file) {
+  const metadata = file.metadata.metadata || {};
+  const name = file.name.slice(TRASH_PREFIX.length);
+  const engine = listEngines().find((entry) => name.startsWith(entry.prefix));
+  return {
+    name,
+    trashName: file.name,
+    engine: engine ? engine.name : null,
+    host: engine ? hostFromObjectName(engine, name) : null,
+    size: Number(file.metadata.size),
+    created: createdAt(file.metadata),
+    deletedAt: metadata.deletedAt || null,
+    deletedBy: metadata.deletedBy ? { keyId: metadata.deletedBy, name: metadata.deletedByName || null } : null,
+    purgeAfter: metadata.purgeAfter || null,
+    labels: parseLabels(metadata),
+    note: metadata.note || null,
+  };
+}
+
+/**
+ * Reject names that are not a backup's (the trash is addressed by the backup's original name)
+ */
+function checkBackupName(fileName) {
+  if (fileName.startsWith(MANIFEST_PREFIX) || fileName.startsWith(TRASH_PREFIX)) {
+    throw new HttpError(400, 'fileName must be the name the backup had before it was deleted');
+  }
+}
+
+async function readTrash(prefix) {
+  const [files] = await storageClient.bucket(env.GCS_BACKUP_BUCKET).getFiles({ prefix, fields: TRASH_FIELDS });
+  return files.map(toTrashEntry);
+}
+
+/**
+ * Delete a backup file by moving it to the trash
+ * It can be restored until purgeAfter (TRASH_RETENTION_DAYS later), when the
+ * purge job removes it for good. Backups under a hold are refused with a 423.
+ * @param {string} fileName - The full path to the file in GCS (e.g., 'postgres/backup-2024-01-01.sql')
+ * @param {object} options - { deletedBy } - the API key ({ keyId, name }) recorded on the trashed object
+ */
+async function deleteBackupFile(fileName, { deletedBy = null } = {}) {
+  try {
+    if (fileName.startsWith(MANIFEST_PREFIX) || fileName.startsWith(TRASH_PREFIX)) {
+      throw new HttpError(400, 'fileName must be a backup object, not a manifest or a trashed backup');
+    }
+
+    const bucketName = env.GCS_BACKUP_BUCKET;
+    const file = storageClient.bucket(bucketName).file(fileName);
+
+    // Check if file exists
+    const [exists] = await file.exists();
+    if (!exists) {
+      throw new Error(`File not found: ${fileName}`);
+    }
+
+    const [metadata] = await file.getMetadata();
+    const hold = toHold(metadata);
+    if (hold) {
+      throw new HttpError(423, `${fileName} is under a legal hold and cannot be deleted`, { hold });
+    }
+
+    const [inTrash] = await storageClient.bucket(bucketName).file(trashName(fileName)).exists();
+    if (inTrash) {
+      throw new HttpError(409, `An earlier ${fileName} is already in the trash; restore or purge it first`);
+    }
+
+    const deletedAt = new Date();
+    const purgeAfter = new Date(deletedAt.getTime() + env.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await moveBackupObject(fileName, trashName(fileName), {
+      originalTimeCreated: createdAt(metadata),
+      deletedAt: deletedAt.toISOString(),
+      deletedBy: deletedBy?.keyId || null,
+      deletedByName: deletedBy?.name || null,
+      purgeAfter,
+    });
+
+    logger.success(`Moved backup file to the trash: ${fileName} (purged after ${purgeAfter})`);
+    const engine = listEngines().find((entry) => fileName.startsWith(entry.prefix));
+    emitBackupEvent('backup.deleted', {
+      engine: engine?.name || null,
+      host: engine ? hostFromObjectName(engine, fileName) : null,
+      objectName: fileName,
+      deletedBy,
+      purgeAfter,
+    });
+
+    return {
+      success: true,
+      fileName: fileName,
+      trash: { name: trashName(fileName), deletedAt: deletedAt.toISOString(), purgeAfter },
+      message: `Backup file moved to the trash; it can be restored until ${purgeAfter}`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error deleting backup file:', error);
+    throw new Error(`Failed to delete backup file: ${error.message}`);
+  }
+}
+
+/**
+ * List the backups in the trash, most recently deleted first
+ * @param {object} options - { engine } - Engine registry entry to limit the listing to
+ */
+async function listTrash({ engine } = {}) {
+  try {
+    const entries = await readTrash(engine ? trashName(engine.prefix) : TRASH_PREFIX);
+    entries.sort((a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0));
+
+    return {
+      success: true,
+      count: entries.length,
+      data: entries,
+      message: 'Trash listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing trash:', error);
+    throw new Error(`Failed to list trash: ${error.message}`);
+  }
+}
+
+/**
+ * Move a backup back from the trash to its original name
+ * @param {string} fileName - The backup's name before it was deleted (e.g., 'postgres/default/backup-2024-01-01.sql.gz')
+ */
+async function restoreFromTrash(fileName) {
+  try {
+    checkBackupName(fileName);
+    const bucket = storageClient.bucket(env.GCS_BACKUP_BUCKET);
+
+    const [inTrash] = await bucket.file(trashName(fileName)).exists();
+    if (!inTrash) {
+      throw new HttpError(404, `${fileName} is not in the trash`);
+    }
+    const [exists] = await bucket.file(fileName).exists();
+    if (exists) {
+      throw new HttpError(409, `A backup named ${fileName} already exists`);
+    }
+
+    await moveBackupObject(trashName(fileName), fileName, { deletedAt: null, deletedBy: null, deletedByName: null, purgeAfter: null });
+
+    logger.success(`Restored ${fileName} from the trash`);
+
+    return {
+      success: true,
+      data: { fileName, restoredAt: new Date().toISOString() },
+      message: 'Backup file restored from the trash',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error restoring backup from trash:', error);
+    throw new Error(`Failed to restore backup from trash: ${error.message}`);
+  }
+}
+
+/**
+ * Permanently delete a trashed backup and its checksum manifest
+ */
+async function purgeObject(fileName) {
+  const bucket = storageClient.bucket(env.GCS_BACKUP_BUCKET);
+  await bucket.file(trashName(fileName)).delete();
+  await bucket.file(manifestName(trashName(fileName))).delete({ ignoreNotFound: true });
+}
+
+/**
+ * Permanently delete a backup from the trash before its purgeAfter
+ * @param {string} fileName - The backup's name before it was deleted
+ */
+async function purgeTrashedBackup(fileName) {
+  try {
+    checkBackupName(fileName);
+    const file = storageClient.bucket(env.GCS_BACKUP_BUCKET).file(trashName(fileName));
+    const [inTrash] = await file.exists();
+    if (!inTrash) {
+      throw new HttpError(404, `${fileName} is not in the trash`);
+    }
+
+    const [metadata] = await file.getMetadata();
+    await purgeObject(fileName);
+
+    logger.success(`Purged ${fileName} from the trash`);
+
+    return {
+      success: true,
+      data: toTrashEntry({ name: file.name, metadata }),
+      message: 'Backup file permanently deleted',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error purging backup from trash:', error);
+    throw new Error(`Failed to purge backup from trash: ${error.message}`);
+  }
+}
+
+/**
+ * Permanently delete every trashed backup past its purgeAfter (the purge job)
+ * Each purge is written to the audit log as backup.purge; a backup that cannot
+ * be deleted is reported and does not stop the others. Objects without a
+ * purgeAfter were not put there by the API and are left alone.
+ * @param {object} options - { actor } - who the audit log names ({ keyId, name })
+ */
+async function purgeExpiredTrash({ actor = TRASH_JOB_ACTOR } = {}) {
+  try {
+    const now = new Date().toISOString();
+    const expired = (await readTrash(TRASH_PREFIX)).filter((entry) => entry.purgeAfter && entry.purgeAfter <= now);
+
+    const purged = [];
+    const failed = [];
+    for (const entry of expired) {
+      let error = null;
+      try {
+        await purgeObject(entry.name);
+        purged.push(entry);
+      } catch (purgeError) {
+        error = purgeError.message;
+        failed.push({ ...entry, error });
+      }
+      await recordAuditEntry({
+        actor,
+        action: 'backup.purge',
+        target: entry.name,
+        method: null,
+        path: null,
+        params: { engine: entry.engine },
+        outcome: error ? 'failure' : 'success',
+        statusCode: null,
+        error,
+        ip: null,
+        details: { deletedAt: entry.deletedAt, purgeAfter: entry.purgeAfter, size: entry.size },
+      }).catch((auditError) => logger.warn(`Failed to write audit entry for backup.purge of ${entry.name}:`, auditError.message));
+    }
+
+    const log = failed.length ? logger.warn : logger.success;
+    log(`Trash purge: purged ${purged.length}, failed ${failed.length}`);
+
+    return {
+      success: true,
+      data: {
+        purgedCount: purged.length,
+        purgedBytes: purged.reduce((total, entry) => total + entry.size, 0),
+        failedCount: failed.length,
+        purged,
+        failed,
+      },
+      message: `Purged ${purged.length} backups from the trash${failed.length ? `; ${failed.length} could not be deleted` : ''}`,
+    };
+  } catch (error) {
+    logger.error('Error purging trash:', error);
+    throw new Error(`Failed to purge trash: ${error.message}`);
+  }
+}
+
+/**
+ * Run the purge job on TRASH_PURGE_CRON (UTC) in this process (call once on startup)
+ */
+function startTrashPurgeJob() {
+  armCronJob(env.TRASH_PURGE_CRON, purgeExpiredTrash, 'Trash purge job');
+}
+
+module.exports = {
+  TRASH_PREFIX,
+  trashName,
+  deleteBackupFile,
+  listTrash,
+  restoreFromTrash,
+  purgeTrashedBackup,
+  purgeExpiredTrash,
+  startTrashPurgeJob,
+};
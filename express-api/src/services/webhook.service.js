@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+const { getCollection, documentId } = require('../config/firestore.config');
+const { HttpError } = require('../utils/errors');
+const { onBackupEvent } = require('../utils/event-bus');
+const { encodePageToken, decodePageToken } = require('../utils/page-token');
+const { WEBHOOK_FORMATS } = require('../utils/webhook-formatters');
+const logger = require('../utils/logger');
+
+const WEBHOOKS_COLLECTION = 'webhooks';
+const DELIVERIES_COLLECTION = 'webhook_deliveries';
+
+// Events a webhook can subscribe to; '*' subscribes to all of them
+const WEBHOOK_EVENTS = [
+  'backup.started',
+  'backup.completed',
+  'backup.failed',
+  'backup.deleted',
+  'task.scheduled',
+  'task.cancelled',
+  'domain.txt.changed',
+];
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'succeeded', 'failed'];
+
+// Wait before each retry of a failed delivery; a delivery gets one more attempt than there are delays
+const RETRY_DELAYS_MS = [1, 5, 30, 120, 360].map((minutes) => minutes * 60 * 1000);
+
+// A receiver that has not answered by then counts as failed
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// How much of the receiver's response body the delivery log keeps
+const MAX_RESPONSE_LENGTH = 1000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * Receivers recompute it with the webhook's secret and reject old timestamps to stop replays.
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Strip the secret before a webhook record leaves the service
+ */
+function toPublicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+async function loadWebhook(webhookId) {
+  const snapshot = await getCollection(WEBHOOKS_COLLECTION).doc(webhookId).get();
+  if (!snapshot.exists) {
+    throw new HttpError(404, `Webhook not found: ${webhookId}`);
+  }
+  return snapshot.data();
+}
+
+const subscribes = (webhook, type) => webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(type));
+
+/**
+ * Create a webhook subscription
+ * The secret is only returned here; a new one is generated when none is given.
+ * @param {object} input - { name, url, events, format, secret, enabled }
+ * @param {object} createdBy - Key record of the caller
+ */
+async function createWebhook({ name, url, events, format, secret, enabled }, createdBy) {
+  try {
+    const webhookId = crypto.randomBytes(6).toString('hex');
+    const now = new Date().toISOString();
+    const record = {
+      webhookId,
+      name,
+      url,
+      events,
+      format,
+      secret: secret || generateSecret(),
+      enabled,
+      createdBy: { keyId: createdBy.keyId, name: createdBy.name },
+      createdAt: now,
+      updatedAt: now,
+      lastDelivery: null,
+    };
+    await getCollection(WEBHOOKS_COLLECTION).doc(webhookId).set(record);
+
+    logger.success(`Webhook created: ${name} (${webhookId}) for ${events.join(', ')}`);
+
+    return {
+      success: true,
+      data: { ...toPublicWebhook(record), secret: record.secret },
+      message: 'Webhook created; store the secret now, it will not be shown again',
+    };
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    throw new Error(`Failed to create webhook: ${error.message}`);
+  }
+}
+
+/**
+ * List webhooks (without their secrets)
+ */
+async function listWebhooks() {
+  try {
+    const snapshot = await getCollection(WEBHOOKS_COLLECTION).orderBy('createdAt', 'desc').get();
+    const webhooks = snapshot.docs.map((doc) => toPublicWebhook(doc.data()));
+    return {
+      success: true,
+      count: webhooks.length,
+      data: webhooks,
+      message: 'Webhooks listed successfully',
+    };
+  } catch (error) {
+    logger.error('Error listing webhooks:', error);
+    throw new Error(`Failed to list webhooks: ${error.message}`);
+  }
+}
+
+/**
+ * Get a webhook (without its secret)
+ */
+async function getWebhook(webhookId) {
+  try {
+    return {
+      success: true,
+      data: toPublicWebhook(await loadWebhook(webhookId)),
+      message: 'Webhook retrieved successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error getting webhook:', error);
+    throw new Error(`Failed to get webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Change a webhook's name, URL, events, format, secret or enabled flag
+ * @param {string} webhookId - Webhook to change
+ * @param {object} changes - Validated fields to set; rotateSecret: true generates a new secret
+ */
+async function updateWebhook(webhookId, { rotateSecret, ...changes }) {
+  try {
+    await loadWebhook(webhookId);
+    const secret = rotateSecret ? generateSecret() : changes.secret;
+    const update = { ...changes, ...(secret && { secret }), updatedAt: new Date().toISOString() };
+    await getCollection(WEBHOOKS_COLLECTION).doc(webhookId).update(update);
+    const webhook = await loadWebhook(webhookId);
+
+    logger.success(`Webhook updated: ${webhook.name} (${webhookId})`);
+
+    return {
+      success: true,
+      data: { ...toPublicWebhook(webhook), ...(rotateSecret && { secret }) },
+      message: rotateSecret ? 'Webhook updated; store the new secret now, it will not be shown again' : 'Webhook updated successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error updating webhook:', error);
+    throw new Error(`Failed to update webhook: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a webhook; its delivery log is kept, and pending retries are dropped
+ */
+async function deleteWebhook(webhookId) {
+  try {
+    const webhook = await loadWebhook(webhookId);
+    await getCollection(WEBHOOKS_COLLECTION).doc(webhookId).delete();
+
+    logger.success(`Webhook deleted: ${webhook.name} (${webhookId})`);
+
+    return {
+      success: true,
+      data: { webhookId },
+      message: 'Webhook deleted successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error deleting webhook:', error);
+    throw new Error(`Failed to delete webhook: ${error.message}`);
+  }
+}
+
+/**
+ * POST the delivery's event to its webhook once, then record the attempt
+ * A failed attempt is retried after the next RETRY_DELAYS_MS delay; once they
+ * are used up the delivery is marked failed and can only be redelivered by hand.
+ * @param {string} deliveryId - Delivery to attempt
+ * @returns {Promise<object>} The delivery as recorded after the attempt
+ */
+async function attemptDelivery(deliveryId) {
+  const deliveryRef = getCollection(DELIVERIES_COLLECTION).doc(deliveryId);
+  const delivery = (await deliveryRef.get()).data();
+  const webhookSnapshot = await getCollection(WEBHOOKS_COLLECTION).doc(delivery.webhookId).get();
+  if (!webhookSnapshot.exists) {
+    const update = { status: 'failed', nextAttemptAt: null, lastError: 'The webhook was deleted' };
+    await deliveryRef.update(update);
+    return { ...delivery, ...update };
+  }
+
+  const webhook = webhookSnapshot.data();
+  const body = JSON.stringify(WEBHOOK_FORMATS[webhook.format](delivery.event));
+  const startedAt = new Date();
+  let statusCode = null;
+  let response = null;
+  let error = null;
+  try {
+    const reply = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'dbbackup-webhooks/1.0',
+        'X-Webhook-Id': webhook.webhookId,
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Signature': signPayload(webhook.secret, body),
+      },
+      body,
+      // A redirect is reported as a failure rather than followed to another host
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    statusCode = reply.status;
+    response = (await reply.text()).slice(0, MAX_RESPONSE_LENGTH);
+    if (!reply.ok) {
+      error = `Receiver answered ${statusCode}`;
+    }
+  } catch (requestError) {
+    error = requestError.name === 'TimeoutError'
+      ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s`
+      : requestError.cause?.message || requestError.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const retryDelay = error ? RETRY_DELAYS_MS[attempts - 1] : undefined;
+  const finishedAt = new Date();
+  const update = {
+    status: !error ? 'succeeded' : retryDelay ? 'retrying' : 'failed',
+    attempts,
+    lastStatusCode: statusCode,
+    lastError: error,
+    lastResponse: response,
+    lastAttemptAt: finishedAt.toISOString(),
+    nextAttemptAt: retryDelay ? new Date(finishedAt.getTime() + retryDelay).toISOString() : null,
+    ...(!error && { deliveredAt: finishedAt.toISOString() }),
+    attemptLog: [...delivery.attemptLog, { at: startedAt.toISOString(), statusCode, error, durationMs: finishedAt - startedAt }],
+  };
+  await deliveryRef.update(update);
+  await webhookSnapshot.ref.update({ lastDelivery: { deliveryId, type: delivery.type, status: update.status, at: update.lastAttemptAt } })
+    .catch((updateError) => logger.warn(`Failed to record last delivery of webhook ${webhook.webhookId}:`, updateError.message));
+
+  if (error) {
+    logger.warn(`Webhook delivery ${deliveryId} (${delivery.type}) to ${webhook.name} failed: ${error}${retryDelay ? `; retrying at ${update.nextAttemptAt}` : ''}`);
+  } else {
+    logger.success(`Webhook delivery ${deliveryId} (${delivery.type}) to ${webhook.name} succeeded`);
+  }
+  if (retryDelay) {
+    armRetry(deliveryId, retryDelay);
+  }
+  return { ...delivery, ...update };
+}
+
+function armRetry(deliveryId, delayMs) {
+  setTimeout(() => {
+    attemptDelivery(deliveryId).catch((error) => logger.error(`Webhook delivery ${deliveryId} failed:`, error));
+  }, Math.max(0, delayMs)).unref();
+}
+
+/**
+ * Record a delivery of an event to a webhook
+ * The event is stored as emitted and formatted at each attempt, so a
+ * redelivery follows the webhook's current format.
+ */
+async function createDelivery(webhook, event, redeliveryOf = null) {
+  const deliveryId = crypto.randomUUID();
+  await getCollection(DELIVERIES_COLLECTION).doc(deliveryId).set({
+    deliveryId,
+    webhookId: webhook.webhookId,
+    type: event.type,
+    eventId: event.eventId,
+    // Stored as JSON so fields the emitter left undefined do not reach Firestore
+    event: JSON.parse(JSON.stringify(event)),
+    redeliveryOf,
+    status: 'pending',
+    attempts: 0,
+    attemptLog: [],
+    lastStatusCode: null,
+    lastError: null,
+    lastResponse: null,
+    nextAttemptAt: null,
+    createdAt: new Date().toISOString(),
+  });
+  return deliveryId;
+}
+
+/**
+ * Deliver an event to every enabled webhook subscribed to its type
+ */
+async function dispatchWebhookEvent(event) {
+  const snapshot = await getCollection(WEBHOOKS_COLLECTION).where('enabled', '==', true).get();
+  const webhooks = snapshot.docs.map((doc) => doc.data()).filter((webhook) => subscribes(webhook, event.type));
+  for (const webhook of webhooks) {
+    const deliveryId = await createDelivery(webhook, event);
+    attemptDelivery(deliveryId).catch((error) => logger.error(`Webhook delivery ${deliveryId} failed:`, error));
+  }
+}
+
+/**
+ * List a webhook's deliveries, newest first
+ * @param {string} webhookId - Webhook whose delivery log to read
+ * @param {object} options - { status, limit, pageToken } - pageToken is the nextPageToken of the previous page
+ */
+async function listDeliveries(webhookId, { status, limit = 50, pageToken } = {}) {
+  try {
+    await loadWebhook(webhookId);
+    let query = getCollection(DELIVERIES_COLLECTION).where('webhookId', '==', webhookId);
+    if (status) query = query.where('status', '==', status);
+
+    // One event fans out to several deliveries in the same millisecond, so the ID breaks ties
+    query = query.orderBy('createdAt', 'desc').orderBy(documentId, 'desc');
+    if (pageToken) query = query.startAfter(...decodePageToken(pageToken));
+
+    const snapshot = await query.limit(limit).get();
+    const deliveries = snapshot.docs.map((doc) => doc.data());
+    const last = snapshot.docs[snapshot.size - 1];
+
+    return {
+      success: true,
+      count: deliveries.length,
+      data: deliveries,
+      nextPageToken: deliveries.length === limit ? encodePageToken(last.data().createdAt, last.id) : null,
+      message: 'Webhook deliveries listed successfully',
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error listing webhook deliveries:', error);
+    throw new Error(`Failed to list webhook deliveries: ${error.message}`);
+  }
+}
+
+/**
+ * Send a delivery's event again, as a new delivery with its own retries
+ * The new delivery carries the same eventId, so receivers can tell it is a repeat.
+ * @returns {Promise<object>} The new delivery after its first attempt
+ */
+async function redeliver(webhookId, deliveryId) {
+  try {
+    const webhook = await loadWebhook(webhookId);
+    const snapshot = await getCollection(DELIVERIES_COLLECTION).doc(deliveryId).get();
+    if (!snapshot.exists || snapshot.data().webhookId !== webhookId) {
+      throw new HttpError(404, `Delivery ${deliveryId} not found for webhook ${webhookId}`);
+    }
+
+    const newDeliveryId = await createDelivery(webhook, snapshot.data().event, deliveryId);
+    const delivery = await attemptDelivery(newDeliveryId);
+
+    return {
+      success: true,
+      data: delivery,
+      message: delivery.status === 'succeeded'
+        ? 'Event redelivered successfully'
+        : `Redelivery failed: ${delivery.lastError}${delivery.nextAttemptAt ? `; retrying at ${delivery.nextAttemptAt}` : ''}`,
+    };
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    logger.error('Error redelivering webhook event:', error);
+    throw new Error(`Failed to redeliver webhook event: ${error.message}`);
+  }
+}
+
+/**
+ * Send webhooks for every subscribed event and resume retries a restart interrupted (call once on startup)
+ */
+async function startWebhookDispatcher() {
+  for (const type of WEBHOOK_EVENTS) {
+    onBackupEvent(type, dispatchWebhookEvent);
+  }
+
+  const snapshot = await getCollection(DELIVERIES_COLLECTION).where('status', 'in', ['pending', 'retrying']).get();
+  for (const doc of snapshot.docs) {
+    const { deliveryId, nextAttemptAt } = doc.data();
+    armRetry(deliveryId, nextAttemptAt ? new Date(nextAttemptAt) - Date.now() : 0);
+  }
+  if (!snapshot.empty) {
+    logger.info(`Resumed ${snapshot.size} webhook deliveries`);
+  }
+}
+
+module.exports = {
+  WEBHOOKS_COLLECTION,
+  DELIVERIES_COLLECTION,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  signPayload,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliver,
+  startWebhookDispatcher,
+};
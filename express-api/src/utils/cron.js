@@ -0,0 +1,61 @@
+const { CronExpressionParser } = require('cron-parser');
+const { HttpError } = require('./errors');
+const logger = require('./logger');
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Compute the next run time of a cron expression
+ * @param {string} cron - Five-field unix cron expression (minute hour day month weekday)
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'
+ * @returns {string} ISO timestamp of the next run
+ */
+function computeNextRun(cron, timeZone, from = new Date()) {
+  if (cron.trim().split(/\s+/).length !== 5) {
+    throw new HttpError(400, 'cron must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  try {
+    // Intl throws a RangeError for unknown time zones
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    const expression = CronExpressionParser.parse(cron, { tz: timeZone, currentDate: from });
+    return expression.next().toDate().toISOString();
+  } catch (error) {
+    throw new HttpError(400, `Invalid cron expression or time zone: ${error.message}`);
+  }
+}
+
+/**
+ * Run a background job on a UTC cron in this process (SCHEDULER_MODE=in-process jobs)
+ * A failed run is logged and the next one is armed all the same.
+ * @param {string} cron - Five-field unix cron expression, evaluated in UTC
+ * @param {Function} run - Async job to run
+ * @param {string} label - Job name for the logs, e.g. 'Retention job'
+ */
+function armCronJob(cron, run, label) {
+  const arm = (nextRunAt) => {
+    const delay = new Date(nextRunAt).getTime() - Date.now();
+    const timer = setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY_MS) {
+        return arm(nextRunAt);
+      }
+      run()
+        .catch((error) => logger.error(`${label} failed:`, error))
+        .finally(() => arm(computeNextRun(cron, 'UTC')));
+    }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY_MS)));
+
+    // Do not keep the process alive just for the next run
+    timer.unref();
+  };
+
+  const nextRunAt = computeNextRun(cron, 'UTC');
+  arm(nextRunAt);
+  logger.success(`${label} armed (${cron} UTC); next run at ${nextRunAt}`);
+}
+
+module.exports = {
+  MAX_TIMER_DELAY_MS,
+  computeNextRun,
+  armCronJob,
+};
@@ -0,0 +1,122 @@
+const { getEngine } = require('../config/engines.config');
+const { formatBytes, formatDuration } = require('./format');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+const engineLabel = (name) => getEngine(name)?.displayName || name;
+
+const STATUS_COLORS = { succeeded: '#1a7f37', failed: '#cf222e' };
+
+/**
+ * Wrap HTML sections in a minimal document under a heading
+ * Inline styles only: most mail clients drop <style> blocks.
+ */
+function htmlDocument(title, sections) {
+  return [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family:Arial,Helvetica,sans-serif;font-size:14px;color:#1f2328">',
+    `<h2 style="margin:0 0 12px">${escapeHtml(title)}</h2>`,
+    ...sections,
+    '<p style="color:#656d76;font-size:12px;margin-top:24px">Sent by the database backup API. Manage subscriptions with /backup/notifications.</p>',
+    '</body></html>',
+  ].join('\n');
+}
+
+function htmlTable(rows) {
+  const cells = rows.map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#656d76;vertical-align:top">${escapeHtml(label)}</td><td style="padding:4px 0">${escapeHtml(value)}</td></tr>`);
+  return `<table style="border-collapse:collapse">${cells.join('')}</table>`;
+}
+
+/**
+ * Email for one backup outcome (backup.completed or backup.failed)
+ * @param {object} event - The completion event
+ * @param {object} run - The run ledger entry, for the host (may be null)
+ * @returns {object} { subject, text, html }
+ */
+function renderOutcomeEmail(event, run) {
+  const failed = event.type === 'backup.failed';
+  const host = run?.host || event.host;
+  const title = `${engineLabel(event.engine)} backup${host ? ` of ${host}` : ''} ${failed ? 'failed' : 'completed'}`;
+  const objects = event.objects || [];
+  const size = event.sizeBytes ?? objects.reduce((total, object) => total + (object.sizeBytes || 0), 0);
+
+  const rows = [
+    ['Engine', engineLabel(event.engine)],
+    ...(host ? [['Host', host]] : []),
+    ['Run', event.runId],
+    ['Triggered by', run?.triggeredBy || event.triggeredBy || 'unknown'],
+    ...(event.scheduleId ? [['Schedule', event.scheduleId]] : []),
+    ...(event.startedAt ? [['Started', event.startedAt]] : []),
+    ['Finished', event.finishedAt || event.occurredAt],
+    ...(event.durationMs ? [['Duration', formatDuration(event.durationMs)]] : []),
+    ...(failed
+      ? [['Failed during', event.error?.phase || 'unknown phase'], ['Error', event.error?.message || 'unknown error']]
+      : [['Size', formatBytes(size)], ...(objects.length ? objects : [{ objectName: event.objectName, sizeBytes: size }])
+        .map((object) => ['Object', `${object.objectName} (${formatBytes(object.sizeBytes)})`])]),
+  ];
+
+  return {
+    subject: `[${failed ? 'FAILED' : 'OK'}] ${title}`,
+    text: [title, '', ...rows.map(([label, value]) => `${label}: ${value}`)].join('\n'),
+    html: htmlDocument(title, [
+      `<p style="color:${failed ? STATUS_COLORS.failed : STATUS_COLORS.succeeded};font-weight:bold">${failed ? 'FAILED' : 'OK'}</p>`,
+      htmlTable(rows),
+    ]),
+  };
+}
+
+const runLine = (run) => [
+  run.createdAt,
+  run.host || 'default',
+  run.status,
+  ...(run.durationMs ? [formatDuration(run.durationMs)] : []),
+  ...(run.status === 'succeeded' && run.sizeBytes ? [formatBytes(run.sizeBytes)] : []),
+  ...(run.error?.message ? [run.error.message] : []),
+].join(' · ');
+
+/**
+ * Daily digest of backup runs per engine
+ * Counts cover every run; the runs themselves are listed for failures only,
+ * unless the subscriber also wants info (successes). A digest with no runs is
+ * still sent, so a silent scheduler shows up as an empty digest.
+ * @param {object} digest - { since, until, engines: [{ name, runs }] }
+ * @param {string[]} severities - The subscription's severities
+ * @returns {object} { subject, text, html }
+ */
+function renderDigestEmail({ since, until, engines }, severities) {
+  const listed = (run) => run.status === 'failed' || severities.includes('info');
+  const count = (runs, status) => runs.filter((run) => run.status === status).length;
+  const allRuns = engines.flatMap((engine) => engine.runs);
+  const title = `Backup digest: ${count(allRuns, 'succeeded')} succeeded, ${count(allRuns, 'failed')} failed`;
+  const period = `${since} to ${until}`;
+
+  const text = [title, `Period: ${period}`];
+  const html = [`<p style="color:#656d76">${escapeHtml(period)}</p>`];
+  for (const engine of engines) {
+    const summary = `${engine.runs.length} run(s): ${count(engine.runs, 'succeeded')} succeeded, ${count(engine.runs, 'failed')} failed`;
+    const runs = engine.runs.filter(listed);
+    text.push('', `${engineLabel(engine.name)} - ${summary}`, ...runs.map((run) => `  ${runLine(run)}`));
+    html.push(
+      `<h3 style="margin:16px 0 4px">${escapeHtml(engineLabel(engine.name))}</h3>`,
+      `<p style="margin:0 0 4px">${escapeHtml(summary)}</p>`,
+      ...(runs.length
+        ? [`<ul style="margin:0;padding-left:20px">${runs.map((run) => `<li style="color:${STATUS_COLORS[run.status] || '#1f2328'}">${escapeHtml(runLine(run))}</li>`).join('')}</ul>`]
+        : []),
+    );
+  }
+
+  return { subject: title, text: text.join('\n'), html: htmlDocument(title, html) };
+}
+
+/**
+ * Email sent by POST /backup/notifications/test to check the SMTP settings
+ */
+function renderTestEmail(email) {
+  const title = 'Backup notifications test';
+  const line = `This address (${email}) can receive backup notifications.`;
+  return { subject: title, text: `${title}\n\n${line}`, html: htmlDocument(title, [`<p>${escapeHtml(line)}</p>`]) };
+}
+
+module.exports = { renderOutcomeEmail, renderDigestEmail, renderTestEmail };
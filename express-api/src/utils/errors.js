@@ -0,0 +1,15 @@
+/**
+ * Error carrying an HTTP status code
+ * The global error handler uses statusCode for the response; services
+ * rethrow HttpError unchanged instead of wrapping it in a generic 500.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * In-process bus for backup lifecycle events
+ * Completion events consumed from Pub/Sub are re-emitted here under their type
+ * ('backup.completed', 'backup.failed', 'restore.completed', 'restore.failed')
+ * so notification channels can subscribe without knowing where the event came from.
+ * Events the API raises itself ('backup.started', 'backup.deleted',
+ * 'task.scheduled', 'task.cancelled', 'domain.txt.changed') go through emitBackupEvent.
+ */
+const backupEvents = new EventEmitter();
+
+/**
+ * Subscribe to an event type with an async listener
+ * Listener errors are logged instead of surfacing as unhandled rejections.
+ */
+function onBackupEvent(type, listener) {
+  backupEvents.on(type, (event) => {
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch((error) => logger.error(`Listener for ${type} failed:`, error));
+  });
+}
+
+/**
+ * Emit an event raised by the API, with the eventId and occurredAt the functions' events carry
+ * @param {string} type - e.g. 'backup.deleted'
+ * @param {object} fields - The event's details
+ */
+function emitBackupEvent(type, fields) {
+  backupEvents.emit(type, { type, eventId: crypto.randomUUID(), ...fields, occurredAt: new Date().toISOString() });
+}
+
+module.exports = { backupEvents, onBackupEvent, emitBackupEvent };
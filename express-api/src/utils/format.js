@@ -0,0 +1,23 @@
+/**
+ * Human-readable size, e.g. 1536 -> "1.5 KB"
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = Number(bytes) || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * Human-readable duration, e.g. 95000 -> "1m 35s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round((Number(ms) || 0) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+module.exports = { formatBytes, formatDuration };
@@ -0,0 +1,28 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Page token for a query ordered by a timestamp and then the document ID
+ * Entries written in the same millisecond share the timestamp, so the ID is
+ * what keeps the next page from skipping them.
+ * @param {string} value - Timestamp of the last entry on the page
+ * @param {string} id - Document ID of that entry
+ */
+const encodePageToken = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+/**
+ * Read a token made by encodePageToken
+ * @returns {string[]} [value, id] - the startAfter values
+ */
+function decodePageToken(pageToken) {
+  try {
+    const cursor = JSON.parse(Buffer.from(pageToken, 'base64url').toString());
+    if (Array.isArray(cursor) && cursor.length === 2 && cursor.every((part) => typeof part === 'string')) {
+      return cursor;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new HttpError(400, 'Invalid pageToken; pass the nextPageToken of the previous page');
+}
+
+module.exports = { encodePageToken, decodePageToken };
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// S3 rejects single PUTs above 5 GiB; larger objects need a multipart upload
+const MAX_PUT_BYTES = 5 * 1024 ** 3;
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// RFC 3986 encoding, as SigV4 expects (encodeURIComponent leaves !'()* alone)
+const encodeSegment = (segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * URL of an object on an S3-compatible endpoint
+ * Path style (endpoint/bucket/key) works with MinIO, R2 and most other
+ * providers; virtual-hosted style puts the bucket in the host name.
+ */
+function objectUrl({ endpoint, bucket, pathStyle = true }, key) {
+  const url = new URL(endpoint);
+  const encodedKey = key.split('/').map(encodeSegment).join('/');
+  if (pathStyle) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${bucket}/${encodedKey}`;
+  } else {
+    url.hostname = `${bucket}.${url.hostname}`;
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodedKey}`;
+  }
+  return url;
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * Payloads default to UNSIGNED-PAYLOAD so large objects can be streamed.
+ * @param {object} request - { method, url (URL), headers, payloadHash }
+ * @param {object} credentials - { accessKeyId, secretAccessKey }
+ * @param {string} region - e.g. us-east-1 (R2 uses auto)
+ * @returns {object} The headers to send, Authorization included
+ */
+function signRequest({ method, url, headers = {}, payloadHash = 'UNSIGNED-PAYLOAD' }, { accessKeyId, secretAccessKey }, region, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  // Content-Length is left out of the signature; proxies may rewrite it
+  const { 'content-length': contentLength, ...toSign } = signed;
+  const names = Object.keys(toSign).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.searchParams.toString(),
+    names.map((name) => `${name}:${toSign[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    ...(contentLength !== undefined && { 'content-length': contentLength }),
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Send a signed request; body is a readable stream, a buffer or nothing
+ * @returns {Promise<object>} { statusCode, headers, body } - body as a string
+ */
+function send(method, url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'http:' ? http : https).request(url, { method, headers }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body: Buffer.concat(chunks).toString() }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', (error) => request.destroy(error));
+      body.pipe(request);
+    } else {
+      request.end(body);
+    }
+  });
+}
+
+// S3 errors are XML: <Error><Code>...</Code><Message>...</Message></Error>
+function s3Error(action, { statusCode, body }) {
+  const code = /<Code>([^<]*)<\/Code>/.exec(body)?.[1];
+  const message = /<Message>([^<]*)<\/Message>/.exec(body)?.[1];
+  return new Error(`S3 ${action} failed with ${statusCode}${code ? ` ${code}` : ''}${message ? `: ${message}` : ''}`);
+}
+
+/**
+ * Upload an object with a single PUT
+ * @param {object} target - { endpoint, region, bucket, pathStyle }
+ * @param {object} credentials - { accessKeyId, secretAccessKey }
+ * @param {string} key - Object key
+ * @param {object} body - Readable stream of the content
+ * @param {object} options - { contentLength, contentType, metadata } - metadata becomes x-amz-meta-* headers
+ */
+async function putObject(target, credentials, key, body, { contentLength, contentType = 'application/octet-stream', metadata = {} }) {
+  if (contentLength > MAX_PUT_BYTES) {
+    body.destroy?.();
+    throw new Error(`${key} is larger than the 5 GiB a single S3 PUT accepts`);
+  }
+  const url = objectUrl(target, key);
+  const headers = signRequest({
+    method: 'PUT',
+    url,
+    headers: {
+      'content-length': contentLength,
+      'content-type': contentType,
+      ...Object.fromEntries(Object.entries(metadata).map(([name, value]) => [`x-amz-meta-${name.toLowerCase()}`, value])),
+    },
+  }, credentials, target.region);
+
+  const response = await send('PUT', url, headers, body);
+  if (response.statusCode !== 200) {
+    throw s3Error(`PUT ${key}`, response);
+  }
+  return { etag: response.headers.etag || null };
+}
+
+module.exports = {
+  MAX_PUT_BYTES,
+  signRequest,
+  putObject,
+};
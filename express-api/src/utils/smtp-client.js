@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+// A server that stops answering for this long fails the send
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+// Address part of "Name <user@example.com>" (or the string itself)
+const addressOf = (mailbox) => /<([^>]+)>/.exec(mailbox)?.[1] || mailbox.trim();
+
+// RFC 2047 encoded-word for header values that are not plain ASCII
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+const base64Lines = (value) => Buffer.from(value).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+/**
+ * Build a multipart/alternative message with text and HTML parts
+ * Bodies are base64-encoded, so lines never exceed the SMTP limit and no
+ * dot-stuffing is needed.
+ */
+function buildMessage({ from, to, subject, text, html }) {
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Line-oriented SMTP conversation over a socket
+ * reply() resolves with the next complete (possibly multiline) reply.
+ */
+function openSession(socket) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+    if (failure) {
+      waiting.reject(failure);
+      waiting = null;
+      return;
+    }
+    // The last line of a reply has a space after the code: "250 OK" (vs "250-...")
+    const end = lines.findIndex((line) => /^\d{3}(?: |$)/.test(line));
+    if (end === -1) return;
+    const replyLines = lines.slice(0, end + 1);
+    lines = lines.slice(end + 1);
+    waiting.resolve({ code: Number(replyLines[0].slice(0, 3)), lines: replyLines.map((line) => line.slice(4)) });
+    waiting = null;
+  };
+
+  const attach = (current) => {
+    current.setEncoding('utf8');
+    current.on('data', (chunk) => {
+      buffer += chunk;
+      const parts = buffer.split('\r\n');
+      buffer = parts.pop();
+      lines.push(...parts);
+      settle();
+    });
+    current.on('error', (error) => {
+      failure = error;
+      settle();
+    });
+    current.on('close', () => {
+      failure = failure || new Error('SMTP server closed the connection');
+      settle();
+    });
+    current.setTimeout(SMTP_TIMEOUT_MS, () => current.destroy(new Error(`SMTP server did not answer within ${SMTP_TIMEOUT_MS / 1000}s`)));
+  };
+  attach(socket);
+
+  const session = {
+    socket,
+    reply: () => new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      settle();
+    }),
+    async command(line, expected) {
+      if (line !== null) session.socket.write(`${line}\r\n`);
+      const reply = await session.reply();
+      if (!expected.includes(reply.code)) {
+        // Credentials are never echoed into the error
+        const sent = line === null ? 'greeting' : line.startsWith('AUTH') ? 'AUTH' : line.split(' ')[0];
+        throw new Error(`SMTP ${sent} failed with ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    },
+    // After STARTTLS the conversation continues on the TLS socket
+    upgrade(servername) {
+      return new Promise((resolve, reject) => {
+        session.socket.removeAllListeners('data');
+        session.socket.setTimeout(0);
+        const secure = tls.connect({ socket: session.socket, servername }, () => resolve());
+        secure.once('error', reject);
+        session.socket = secure;
+        attach(secure);
+      });
+    },
+  };
+  return session;
+}
+
+function connect({ host, port, tls: mode }) {
+  return new Promise((resolve, reject) => {
+    const socket = mode === 'implicit'
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Send one email
+ * @param {object} server - { host, port, tls, user, password } - tls is 'none',
+ *   'starttls' (upgrade after EHLO; fails if the server does not offer it) or 'implicit' (port 465)
+ * @param {object} message - { from, to (array), subject, text, html }
+ * @returns {Promise<object>} { accepted } - the recipients; a rejected one fails the whole send
+ */
+async function sendMail(server, message) {
+  const session = openSession(await connect(server));
+  const hostname = os.hostname();
+  try {
+    await session.command(null, [220]);
+    const ehlo = await session.command(`EHLO ${hostname}`, [250]);
+
+    if (server.tls === 'starttls') {
+      if (!ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+        throw new Error('SMTP server does not offer STARTTLS; set SMTP_TLS=none to send without TLS');
+      }
+      await session.command('STARTTLS', [220]);
+      await session.upgrade(server.host);
+      await session.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (server.user) {
+      const credentials = Buffer.from(`\0${server.user}\0${server.password || ''}`).toString('base64');
+      await session.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await session.command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+    for (const recipient of message.to) {
+      await session.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+    }
+    await session.command('DATA', [354]);
+    await session.command(`${buildMessage(message)}\r\n.`, [250]);
+    await session.command('QUIT', [221]).catch(() => {});
+
+    return { accepted: message.to };
+  } finally {
+    session.socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,56 @@
+const { getEngine } = require('../config/engines.config');
+const { formatBytes, formatDuration } = require('./format');
+
+const engineLabel = (event) => getEngine(event.engine)?.displayName || event.engine || 'Unknown engine';
+const hostLabel = (event) => (event.host ? ` of ${event.host}` : '');
+
+/**
+ * One-line summary of an event for chat channels, with Slack mrkdwn
+ */
+const SUMMARIES = {
+  'backup.started': (event) => `:arrow_forward: ${engineLabel(event)} backup${hostLabel(event)} started (run \`${event.runId}\`, ${event.triggeredBy})`,
+  'backup.completed': (event) => {
+    const objects = event.objects || [];
+    const size = event.sizeBytes ?? objects.reduce((total, object) => total + (object.sizeBytes || 0), 0);
+    const duration = event.durationMs ? ` in ${formatDuration(event.durationMs)}` : '';
+    return `:white_check_mark: ${engineLabel(event)} backup${hostLabel(event)} completed: ${objects.length || 1} object(s), ${formatBytes(size)}${duration} (run \`${event.runId}\`)`;
+  },
+  'backup.failed': (event) => `:x: ${engineLabel(event)} backup${hostLabel(event)} failed${event.error?.phase ? ` during ${event.error.phase}` : ''}: ${event.error?.message || 'unknown error'} (run \`${event.runId}\`)`,
+  'backup.deleted': (event) => `:wastebasket: \`${event.objectName}\` moved to the trash${event.deletedBy ? ` by ${event.deletedBy.name || event.deletedBy.keyId}` : ''}; restorable until ${event.purgeAfter}`,
+  'task.scheduled': (event) => `:calendar: ${engineLabel(event)} backup${hostLabel(event)} scheduled for ${event.scheduledFor} (run \`${event.runId}\`)`,
+  'task.cancelled': (event) => `:no_entry_sign: Scheduled task \`${event.taskName.split('/').pop()}\` cancelled`,
+  'domain.txt.changed': (event) => `:globe_with_meridians: TXT record ${event.change} on ${event.domain}${event.recordName ? ` (${event.recordName})` : ''}`,
+};
+
+const summarize = (event) => (SUMMARIES[event.type] || ((unknown) => unknown.type))(event);
+
+/**
+ * Generic JSON: the event under data, with its type, id and time at the top
+ */
+function formatJson(event) {
+  const { type, eventId, occurredAt, ...data } = event;
+  return { id: eventId, type, occurredAt, data };
+}
+
+/**
+ * Slack-compatible incoming webhook message (also accepted by Mattermost and
+ * by Discord's /slack webhook URLs); text is the fallback for notifications
+ */
+function formatSlack(event) {
+  const text = summarize(event);
+  return {
+    text,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `${event.type} · ${event.occurredAt}` }] },
+    ],
+  };
+}
+
+// Payload builders by webhook format
+const WEBHOOK_FORMATS = {
+  json: formatJson,
+  slack: formatSlack,
+};
+
+module.exports = { WEBHOOK_FORMATS };
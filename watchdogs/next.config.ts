@@ -1,7 +1,7 @@
 import type { NextConfig } from "next";
 
 const nextConfig: NextConfig = {
-  // Direct API calls with CORS - no proxy needed
+  // API calls go through app/api/[...path]/route.ts, which holds the API key
   output: 'standalone',
 };
 
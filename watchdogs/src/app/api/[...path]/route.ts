@@ -0,0 +1,60 @@
+/**
+ * API Proxy
+ * Forwards /api/* to the Express backend and adds the API key on the server,
+ * so the key never reaches the browser bundle
+ */
+
+import type { NextRequest } from 'next/server';
+
+// Local: http://localhost:3000 | Production: Set BACKUP_API_URL and BACKUP_API_KEY at runtime
+const API_URL = process.env.BACKUP_API_URL || 'http://localhost:3000';
+const API_KEY = process.env.BACKUP_API_KEY || '';
+
+// Request headers the backend needs; cookies and any client-sent x-api-key are dropped
+const FORWARDED_REQUEST_HEADERS = ['content-type', 'accept', 'range', 'if-range', 'idempotency-key'];
+
+// fetch has already decoded the body, and hop-by-hop headers do not apply to the new response
+const DROPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+type RouteContext = { params: Promise<{ path: string[] }> };
+
+async function proxy(request: NextRequest, { params }: RouteContext): Promise<Response> {
+  const { path } = await params;
+  const target = `${API_URL}/${path.map(encodeURIComponent).join('/')}${request.nextUrl.search}`;
+
+  const headers = new Headers({ 'x-api-key': API_KEY });
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    const value = request.headers.get(name);
+    if (value) headers.set(name, value);
+  }
+
+  const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+  let upstream: Response;
+  try {
+    upstream = await fetch(target, {
+      method: request.method,
+      headers,
+      body: hasBody ? request.body : undefined,
+      // Required by Node's fetch to stream a request body
+      ...(hasBody ? { duplex: 'half' } : {}),
+      cache: 'no-store',
+      redirect: 'manual',
+    } as RequestInit);
+  } catch (error) {
+    console.error('API proxy error:', error);
+    return Response.json({ success: false, error: 'Backup API is unreachable' }, { status: 502 });
+  }
+
+  const responseHeaders = new Headers(upstream.headers);
+  for (const name of DROPPED_RESPONSE_HEADERS) responseHeaders.delete(name);
+
+  return new Response(upstream.body, {
+    status: upstream.status,
+    statusText: upstream.statusText,
+    headers: responseHeaders,
+  });
+}
+
+export const dynamic = 'force-dynamic';
+
+export { proxy as GET, proxy as POST, proxy as PUT, proxy as PATCH, proxy as DELETE, proxy as HEAD };
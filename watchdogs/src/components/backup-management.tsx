@@ -1,10 +1,14 @@
 "use client";
 
-import { useQuery, useMutation } from "@tanstack/react-query";
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { useState } from "react";
 import { toast } from "sonner";
 import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import {
   AlertDialog,
   AlertDialogAction,
@@ -15,8 +19,8 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from "@/components/ui/alert-dialog";
-import { Download, Trash2 } from "lucide-react";
-import { api } from "@/lib/api";
+import { Copy, Download, Lock, RotateCcw, Tag, Trash2, X } from "lucide-react";
+import { api, type BackupFile, type ListBackupsOptions } from "@/lib/api";
 
 // Helper function to format file size
 function formatBytes(bytes: number): string {
@@ -27,22 +31,57 @@ function formatBytes(bytes: number): string {
   return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
 }
 
+const PAGE_SIZE = 50;
+
+// "keep, release-2.3" -> ["keep", "release-2.3"]
+function parseLabels(input: string): string[] {
+  return Array.from(new Set(input.split(/[\s,]+/).map((label) => label.trim().toLowerCase()).filter(Boolean)));
+}
+
+function listBackups(db: "postgres" | "mongodb" | "questdb" | "qdrantdb", options: ListBackupsOptions) {
+  return db === "postgres" ? api.backup.listPostgresBackups(options) : db === "mongodb" ? api.backup.listMongoDBBackups(options) : db === "questdb" ? api.backup.listQuestDBBackups(options) : api.backup.listQdrantDBBackups(options);
+}
+
 function BackupTable({ db }: { db: "postgres" | "mongodb" | "questdb" | "qdrantdb" }) {
   const [mounted] = useState(true);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [fileToDelete, setFileToDelete] = useState<string | null>(null);
+  const [labelFilter, setLabelFilter] = useState<string | null>(null);
+  const [fileToLabel, setFileToLabel] = useState<BackupFile | null>(null);
+  const [labelsInput, setLabelsInput] = useState("");
+  const [noteInput, setNoteInput] = useState("");
+  const queryClient = useQueryClient();
 
-  const { data, isLoading, error, refetch } = useQuery({
-    queryKey: ["backups", db],
-    queryFn: () => db === "postgres" ? api.backup.listPostgresBackups() : db === "mongodb" ? api.backup.listMongoDBBackups() : db === "questdb" ? api.backup.listQuestDBBackups() : api.backup.listQdrantDBBackups(),
+  const { data, isLoading, error, refetch, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: ["backups", db, labelFilter],
+    queryFn: ({ pageParam }) => listBackups(db, { pageSize: PAGE_SIZE, pageToken: pageParam, label: labelFilter ?? undefined }),
+    initialPageParam: undefined as string | undefined,
+    getNextPageParam: (lastPage) => lastPage.nextPageToken ?? undefined,
     staleTime: 1000 * 60 * 20, // 20 seconds
   });
 
   const { mutate: downloadMutate, isPending: isDownloading } = useMutation({
-    mutationFn: (fileName: string) => api.backup.generateDownloadUrl(fileName, 10),
+    // Backups are encrypted at rest, so the file is fetched decrypted through the API rather than from a signed URL
+    mutationFn: async (fileName: string) => ({ fileName, blob: await api.backup.downloadBackup(fileName) }),
+    onSuccess: ({ fileName, blob }) => {
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = fileName.split("/").pop() || fileName;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      toast.success("Backup downloaded");
+    },
+    onError: (error) => {
+      toast.error(error.message);
+    }
+  });
+
+  const { mutate: restoreMutate } = useMutation({
+    mutationFn: (fileName: string) => api.backup.restoreFromTrash(fileName),
     onSuccess: (data) => {
-      toast.success(`Download link generated! Expires at ${new Date(data.expiresAt).toLocaleTimeString()}`);
-      window.open(data.signedUrl, "_blank");
+      toast.success(data.message || "Backup file restored");
+      refetch();
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
     },
     onError: (error) => {
       toast.error(error.message);
@@ -51,8 +90,25 @@ function BackupTable({ db }: { db: "postgres" | "mongodb" | "questdb" | "qdrantd
 
   const { mutate: deleteMutate, isPending: isDeleting } = useMutation({
     mutationFn: (fileName: string) => api.backup.deleteBackupFile(fileName),
+    onSuccess: (data, fileName) => {
+      // Deleted backups go to the trash, so a misclick can be undone right away
+      toast.success(data.message || "Backup file moved to the trash", {
+        action: { label: "Undo", onClick: () => restoreMutate(fileName) },
+      });
+      refetch();
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
+    },
+    onError: (error) => {
+      toast.error(error.message);
+    }
+  });
+
+  const { mutate: labelMutate, isPending: isLabeling } = useMutation({
+    mutationFn: ({ fileName, labels, note }: { fileName: string; labels: string[]; note: string }) =>
+      api.backup.updateBackupLabels(fileName, { labels, note: note.trim() || null }),
     onSuccess: (data) => {
-      toast.success(data.message || "Backup file deleted successfully");
+      toast.success(data.message || "Backup labels updated");
+      setFileToLabel(null);
       refetch();
     },
     onError: (error) => {
@@ -60,6 +116,17 @@ function BackupTable({ db }: { db: "postgres" | "mongodb" | "questdb" | "qdrantd
     }
   });
 
+  const handleLabelClick = (file: BackupFile) => {
+    setFileToLabel(file);
+    setLabelsInput(file.labels.join(", "));
+    setNoteInput(file.note ?? "");
+  };
+
+  const saveLabels = () => {
+    if (!fileToLabel) return;
+    labelMutate({ fileName: fileToLabel.name, labels: parseLabels(labelsInput), note: noteInput });
+  };
+
   const handleDeleteClick = (fileName: string) => {
     setFileToDelete(fileName);
     setShowDeleteConfirm(true);
@@ -75,47 +142,261 @@ function BackupTable({ db }: { db: "postgres" | "mongodb" | "questdb" | "qdrantd
   if (isLoading) return <p>Loading backups...</p>;
   if (error) return <p className="text-red-500">{error.message}</p>;
 
-  const files = data?.data || [];
+  const files = data?.pages.flatMap((page) => page.data || []) || [];
+
+  return (
+    <div className="h-full flex flex-col gap-2">
+      {labelFilter && (
+        <div className="shrink-0 flex items-center gap-2 text-xs text-muted-foreground">
+          Showing backups labeled
+          <Badge variant="secondary" className="text-xs">{labelFilter}</Badge>
+          <Button size="sm" variant="ghost" onClick={() => setLabelFilter(null)} className="h-6 px-2 cursor-pointer">
+            <X className="h-3 w-3" />
+            Clear
+          </Button>
+        </div>
+      )}
+      <div className="flex-1 overflow-y-auto overflow-x-auto border rounded-md relative bg-card">
+        <table className="w-full border-collapse min-w-[760px]">
+          <thead className="sticky top-0 z-10 bg-card border-b">
+            <tr>
+              <th className="px-2 py-1 text-left text-xs font-medium bg-card">File Name</th>
+              <th className="px-2 py-1 text-left text-xs font-medium bg-card">Labels</th>
+              <th className="px-2 py-1 text-left text-xs font-medium bg-card">Size</th>
+              <th className="px-2 py-1 text-left text-xs font-medium bg-card">Last Modified</th>
+              <th className="px-2 py-1 text-right text-xs font-medium bg-card">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {files.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-2 py-4 text-center text-muted-foreground text-sm">
+                  No backups found
+                </td>
+              </tr>
+            ) : (
+              files.map((file) => (
+                <tr key={file.name} className="border-b last:border-b-0 hover:bg-muted/50">
+                  <td className="px-2 py-1 text-xs">
+                    <div className="font-mono break-all">{file.name}</div>
+                    {file.note && <div className="text-muted-foreground">{file.note}</div>}
+                  </td>
+                  <td className="px-2 py-1">
+                    <div className="flex flex-wrap gap-1">
+                      {file.hold && (
+                        <Badge
+                          variant="destructive"
+                          className="text-xs"
+                          title={[file.hold.reason, file.hold.placedBy && `placed by ${file.hold.placedBy.name || file.hold.placedBy.keyId}`].filter(Boolean).join(", ")}
+                        >
+                          <Lock className="mr-1 h-3 w-3" />
+                          On hold
+                        </Badge>
+                      )}
+                      {file.replication.map((replica) => (
+                        <Badge
+                          key={replica.target}
+                          variant={replica.status === "failed" ? "destructive" : "outline"}
+                          className="text-xs"
+                          title={replica.status === "failed" ? `Copy to ${replica.target} failed: ${replica.error}` : `Copied to ${replica.target}`}
+                        >
+                          <Copy className="mr-1 h-3 w-3" />
+                          {replica.target}
+                        </Badge>
+                      ))}
+                      {file.labels.map((label) => (
+                        <Badge
+                          key={label}
+                          variant={label === "keep" ? "default" : "secondary"}
+                          onClick={() => setLabelFilter(label)}
+                          className="text-xs cursor-pointer"
+                          title={`Show backups labeled ${label}`}
+                        >
+                          {label}
+                        </Badge>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="px-2 py-1 whitespace-nowrap text-xs">{formatBytes(file.size)}</td>
+                  <td className="px-2 py-1 whitespace-nowrap text-xs">{mounted ? new Date(file.updated).toLocaleString() : new Date(file.updated).toISOString()}</td>
+                  <td className="px-2 py-1">
+                    <div className="flex flex-row gap-1 justify-end">
+                      <Button size="sm" variant="outline" onClick={() => handleLabelClick(file)} className="cursor-pointer whitespace-nowrap">
+                        <Tag className="mr-1 h-3 w-3" />
+                        Labels
+                      </Button>
+                      <Button size="sm" onClick={() => downloadMutate(file.name)} disabled={isDownloading} className="cursor-pointer whitespace-nowrap">
+                        <Download className="mr-1 h-3 w-3" />
+                        Download
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="destructive"
+                        onClick={() => handleDeleteClick(file.name)}
+                        disabled={isDeleting || file.hold !== null}
+                        title={file.hold ? "Release the legal hold before deleting" : undefined}
+                        className="cursor-pointer whitespace-nowrap"
+                      >
+                        <Trash2 className="mr-1 h-3 w-3" />
+                        Delete
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+
+        {hasNextPage && (
+          <div className="flex justify-center p-2 border-t">
+            <Button size="sm" variant="outline" onClick={() => fetchNextPage()} disabled={isFetchingNextPage} className="cursor-pointer">
+              {isFetchingNextPage ? "Loading..." : "Load more"}
+            </Button>
+          </div>
+        )}
+
+        {/* Labels and Note Dialog */}
+        <Dialog open={fileToLabel !== null} onOpenChange={(open) => !open && setFileToLabel(null)}>
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Labels and Note</DialogTitle>
+              <DialogDescription className="font-mono break-all">
+                {fileToLabel?.name}
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-2">
+              <Label htmlFor="backup-labels" className="text-xs">
+                Labels
+              </Label>
+              <Input
+                id="backup-labels"
+                type="text"
+                placeholder="pre-migration, release-2.3, keep"
+                value={labelsInput}
+                onChange={(e) => setLabelsInput(e.target.value)}
+                className="text-sm"
+              />
+              <p className="text-xs text-muted-foreground">
+                Comma-separated; lowercase letters, digits, dots, dashes and underscores. Retention never removes backups labeled &quot;keep&quot;.
+              </p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="backup-note" className="text-xs">
+                Note
+              </Label>
+              <Input
+                id="backup-note"
+                type="text"
+                placeholder="Why this backup matters"
+                value={noteInput}
+                onChange={(e) => setNoteInput(e.target.value)}
+                maxLength={1000}
+                className="text-sm"
+              />
+            </div>
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setFileToLabel(null)} className="cursor-pointer">
+                Cancel
+              </Button>
+              <Button onClick={saveLabels} disabled={isLabeling} className="cursor-pointer">
+                {isLabeling ? "Saving..." : "Save"}
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+
+        {/* Delete Confirmation Dialog */}
+        <AlertDialog open={showDeleteConfirm} onOpenChange={setShowDeleteConfirm}>
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Delete Backup File</AlertDialogTitle>
+              <AlertDialogDescription>
+                The backup file will be moved to the trash. It can be restored from the Trash tab until it is purged.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel onClick={() => setFileToDelete(null)}>
+                Cancel
+              </AlertDialogCancel>
+              <AlertDialogAction
+                onClick={confirmDelete}
+                className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+              >
+                Delete
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+      </div>
+    </div>
+  );
+}
+
+function TrashTable() {
+  const [mounted] = useState(true);
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ["trash"],
+    queryFn: () => api.backup.listTrash(),
+    staleTime: 1000 * 60 * 20, // 20 minutes
+  });
+
+  const { mutate: restoreMutate, isPending: isRestoring } = useMutation({
+    mutationFn: (fileName: string) => api.backup.restoreFromTrash(fileName),
+    onSuccess: (data, fileName) => {
+      toast.success(data.message || "Backup file restored");
+      queryClient.invalidateQueries({ queryKey: ["trash"] });
+      queryClient.invalidateQueries({ queryKey: ["backups", fileName.split("/")[0]] });
+    },
+    onError: (error) => {
+      toast.error(error.message);
+    }
+  });
+
+  if (isLoading) return <p>Loading trash...</p>;
+  if (error) return <p className="text-red-500">{error.message}</p>;
+
+  const entries = data?.data || [];
 
   return (
     <div className="h-full overflow-y-auto overflow-x-auto border rounded-md relative bg-card">
-      <table className="w-full border-collapse min-w-[640px]">
+      <table className="w-full border-collapse min-w-[760px]">
         <thead className="sticky top-0 z-10 bg-card border-b">
           <tr>
             <th className="px-2 py-1 text-left text-xs font-medium bg-card">File Name</th>
             <th className="px-2 py-1 text-left text-xs font-medium bg-card">Size</th>
-            <th className="px-2 py-1 text-left text-xs font-medium bg-card">Last Modified</th>
+            <th className="px-2 py-1 text-left text-xs font-medium bg-card">Deleted</th>
+            <th className="px-2 py-1 text-left text-xs font-medium bg-card">Purged After</th>
             <th className="px-2 py-1 text-right text-xs font-medium bg-card">Actions</th>
           </tr>
         </thead>
         <tbody>
-          {files.length === 0 ? (
+          {entries.length === 0 ? (
             <tr>
-              <td colSpan={4} className="px-2 py-4 text-center text-muted-foreground text-sm">
-                No backups found
+              <td colSpan={5} className="px-2 py-4 text-center text-muted-foreground text-sm">
+                The trash is empty
               </td>
             </tr>
           ) : (
-            files.map((file) => (
-              <tr key={file.name} className="border-b last:border-b-0 hover:bg-muted/50">
-                <td className="px-2 py-1 font-mono text-xs break-all">{file.name}</td>
-                <td className="px-2 py-1 whitespace-nowrap text-xs">{formatBytes(file.size)}</td>
-                <td className="px-2 py-1 whitespace-nowrap text-xs">{mounted ? new Date(file.updated).toLocaleString() : new Date(file.updated).toISOString()}</td>
+            entries.map((entry) => (
+              <tr key={entry.trashName} className="border-b last:border-b-0 hover:bg-muted/50">
+                <td className="px-2 py-1 text-xs">
+                  <div className="font-mono break-all">{entry.name}</div>
+                  {entry.note && <div className="text-muted-foreground">{entry.note}</div>}
+                </td>
+                <td className="px-2 py-1 whitespace-nowrap text-xs">{formatBytes(entry.size)}</td>
+                <td className="px-2 py-1 text-xs">
+                  <div className="whitespace-nowrap">{entry.deletedAt ? (mounted ? new Date(entry.deletedAt).toLocaleString() : entry.deletedAt) : "-"}</div>
+                  {entry.deletedBy && <div className="text-muted-foreground">by {entry.deletedBy.name || entry.deletedBy.keyId}</div>}
+                </td>
+                <td className="px-2 py-1 whitespace-nowrap text-xs">{entry.purgeAfter ? (mounted ? new Date(entry.purgeAfter).toLocaleString() : entry.purgeAfter) : "-"}</td>
                 <td className="px-2 py-1">
                   <div className="flex flex-row gap-1 justify-end">
-                    <Button size="sm" onClick={() => downloadMutate(file.name)} disabled={isDownloading} className="cursor-pointer whitespace-nowrap">
-                      <Download className="mr-1 h-3 w-3" />
-                      Download
-                    </Button>
-                    <Button
-                      size="sm"
-                      variant="destructive"
-                      onClick={() => handleDeleteClick(file.name)}
-                      disabled={isDeleting}
-                      className="cursor-pointer whitespace-nowrap"
-                    >
-                      <Trash2 className="mr-1 h-3 w-3" />
-                      Delete
+                    <Button size="sm" variant="outline" onClick={() => restoreMutate(entry.name)} disabled={isRestoring} className="cursor-pointer whitespace-nowrap">
+                      <RotateCcw className="mr-1 h-3 w-3" />
+                      Restore
                     </Button>
                   </div>
                 </td>
@@ -124,29 +405,6 @@ function BackupTable({ db }: { db: "postgres" | "mongodb" | "questdb" | "qdrantd
           )}
         </tbody>
       </table>
-
-      {/* Delete Confirmation Dialog */}
-      <AlertDialog open={showDeleteConfirm} onOpenChange={setShowDeleteConfirm}>
-        <AlertDialogContent>
-          <AlertDialogHeader>
-            <AlertDialogTitle>Delete Backup File</AlertDialogTitle>
-            <AlertDialogDescription>
-              Are you sure you want to delete this backup file? This action cannot be undone and the backup will be permanently removed from storage.
-            </AlertDialogDescription>
-          </AlertDialogHeader>
-          <AlertDialogFooter>
-            <AlertDialogCancel onClick={() => setFileToDelete(null)}>
-              Cancel
-            </AlertDialogCancel>
-            <AlertDialogAction
-              onClick={confirmDelete}
-              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
-            >
-              Delete
-            </AlertDialogAction>
-          </AlertDialogFooter>
-        </AlertDialogContent>
-      </AlertDialog>
     </div>
   );
 }
@@ -157,16 +415,17 @@ export function BackupManagement() {
       <div className="shrink-0 p-3 border-b">
         <h3 className="text-sm font-semibold">Backup Management</h3>
         <p className="text-xs text-muted-foreground">
-          List and download your database backups.
+          List, label and download your database backups, and restore deleted ones.
         </p>
       </div>
       <div className="flex-1 overflow-hidden flex flex-col p-3">
         <Tabs defaultValue="postgres" className="flex-1 flex flex-col overflow-hidden">
-          <TabsList className="grid w-full grid-cols-2 sm:grid-cols-4 shrink-0 h-auto">
+          <TabsList className="grid w-full grid-cols-3 sm:grid-cols-5 shrink-0 h-auto">
             <TabsTrigger value="postgres" className="text-xs">PostgreSQL</TabsTrigger>
             <TabsTrigger value="mongodb" className="text-xs">MongoDB</TabsTrigger>
             <TabsTrigger value="questdb" className="text-xs">QuestDB</TabsTrigger>
             <TabsTrigger value="qdrantdb" className="text-xs">QdrantDB</TabsTrigger>
+            <TabsTrigger value="trash" className="text-xs">Trash</TabsTrigger>
           </TabsList>
           <TabsContent value="postgres" className="flex-1 overflow-hidden mt-2">
             <BackupTable db="postgres" />
@@ -180,6 +439,9 @@ export function BackupManagement() {
           <TabsContent value="qdrantdb" className="flex-1 overflow-hidden mt-2">
             <BackupTable db="qdrantdb" />
           </TabsContent>
+          <TabsContent value="trash" className="flex-1 overflow-hidden mt-2">
+            <TrashTable />
+          </TabsContent>
         </Tabs>
       </div>
     </div>
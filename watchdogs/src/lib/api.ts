@@ -3,15 +3,12 @@
  * Simple functions to call the Express backend API
  */
 
-// Direct API calls with CORS
-// Local: http://localhost:3000 | Production: Set NEXT_PUBLIC_API_URL
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
-const API_KEY = process.env.NEXT_PUBLIC_API_KEY || '';
+// Calls go through the proxy in app/api/[...path]/route.ts, which adds the API key on the server
+const API_URL = '/api';
 
-// Helper to get headers with API key for all requests
+// Helper to get headers for all requests
 function getHeaders() {
   return {
-    'x-api-key': API_KEY,
     'Content-Type': 'application/json',
   };
 }
@@ -23,6 +20,7 @@ export interface ApiResponse<T = unknown> {
   data?: T;
   count?: number;
   error?: string;
+  nextPageToken?: string | null;
 }
 
 export interface BackupFile {
@@ -31,6 +29,75 @@ export interface BackupFile {
   created: string;
   updated: string;
   url: string;
+  host: string | null;
+  encrypted: boolean;
+  labels: string[];
+  note: string | null;
+  hold: BackupHold | null;
+  storageClass: string | null;
+  replication: BackupReplication[];
+}
+
+// Outcome of the last copy to one of the engine's replication targets
+export interface BackupReplication {
+  target: string;
+  status: 'replicated' | 'failed';
+  at: string | null;
+  error: string | null;
+}
+
+// A legal hold; placedBy and reason are null for holds placed outside the API
+export interface BackupHold {
+  placedBy: { keyId: string; name: string | null } | null;
+  placedAt: string | null;
+  reason: string | null;
+}
+
+// A deleted backup, restorable under its original name until purgeAfter
+export interface TrashEntry {
+  name: string;
+  trashName: string;
+  engine: string | null;
+  host: string | null;
+  size: number;
+  created: string;
+  deletedAt: string | null;
+  deletedBy: { keyId: string; name: string | null } | null;
+  purgeAfter: string | null;
+  labels: string[];
+  note: string | null;
+}
+
+// Labels replace the whole set; a null or empty note removes it
+export interface BackupLabelsUpdate {
+  labels?: string[];
+  addLabels?: string[];
+  removeLabels?: string[];
+  note?: string | null;
+}
+
+// Paging, filters and sort order for the backup list endpoints
+export interface ListBackupsOptions {
+  pageSize?: number;
+  pageToken?: string;
+  // Only name_asc (the default) pages lazily; the others fail with 400 past 5000 backups
+  sort?: 'created_desc' | 'created_asc' | 'size_desc' | 'size_asc' | 'name_asc' | 'name_desc';
+  host?: string;
+  createdAfter?: string;
+  createdBefore?: string;
+  minSize?: number;
+  maxSize?: number;
+  search?: string;
+  label?: string;
+}
+
+function toQueryString(options: ListBackupsOptions): string {
+  const params = new URLSearchParams();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') params.set(key, String(value));
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
 }
 
 export interface ScheduledTask {
@@ -67,6 +134,8 @@ export interface DownloadUrlResponse {
   signedUrl: string;
   expiresAt: string;
   expiresInMinutes: number;
+  // Signed URLs of encrypted backups serve ciphertext; use downloadBackup for the usable file
+  encrypted: boolean;
   message: string;
 }
 
@@ -197,18 +266,18 @@ export async function triggerQdrantDBBackup(): Promise<ApiResponse> {
   return response.json();
 }
 
-// Get list of all PostgreSQL backup files
-export async function listPostgresBackups(): Promise<ApiResponse<BackupFile[]>> {
-  const response = await fetch(`${API_URL}/backup/postgres/list`, {
+// Get one page of PostgreSQL backup files (follow nextPageToken for more)
+export async function listPostgresBackups(options: ListBackupsOptions = {}): Promise<ApiResponse<BackupFile[]>> {
+  const response = await fetch(`${API_URL}/backup/postgres/list${toQueryString(options)}`, {
     headers: getHeaders(),
   });
   if (!response.ok) throw new Error('Failed to list PostgreSQL backups');
   return response.json();
 }
 
-// Get list of all MongoDB backup files
-export async function listMongoDBBackups(): Promise<ApiResponse<BackupFile[]>> {
-  const response = await fetch(`${API_URL}/backup/mongodb/list`, {
+// Get one page of MongoDB backup files (follow nextPageToken for more)
+export async function listMongoDBBackups(options: ListBackupsOptions = {}): Promise<ApiResponse<BackupFile[]>> {
+  const response = await fetch(`${API_URL}/backup/mongodb/list${toQueryString(options)}`, {
     headers: getHeaders(),
   });
   if (!response.ok) throw new Error('Failed to list MongoDB backups');
@@ -216,9 +285,9 @@ export async function listMongoDBBackups(): Promise<ApiResponse<BackupFile[]>> {
 }
 
 
-// Get list of all QuestDB backup files
-export async function listQuestDBBackups(): Promise<ApiResponse<BackupFile[]>> {
-  const response = await fetch(`${API_URL}/backup/questdb/list`, {
+// Get one page of QuestDB backup files (follow nextPageToken for more)
+export async function listQuestDBBackups(options: ListBackupsOptions = {}): Promise<ApiResponse<BackupFile[]>> {
+  const response = await fetch(`${API_URL}/backup/questdb/list${toQueryString(options)}`, {
     headers: getHeaders(),
   });
   if (!response.ok) throw new Error('Failed to list QuestDB backups');
@@ -226,9 +295,9 @@ export async function listQuestDBBackups(): Promise<ApiResponse<BackupFile[]>> {
 }
 
 
-// Get list of all QdrantDB backup files
-export async function listQdrantDBBackups(): Promise<ApiResponse<BackupFile[]>> {
-  const response = await fetch(`${API_URL}/backup/qdrantdb/list`, {
+// Get one page of QdrantDB backup files (follow nextPageToken for more)
+export async function listQdrantDBBackups(options: ListBackupsOptions = {}): Promise<ApiResponse<BackupFile[]>> {
+  const response = await fetch(`${API_URL}/backup/qdrantdb/list${toQueryString(options)}`, {
     headers: getHeaders(),
   });
   if (!response.ok) throw new Error('Failed to list QdrantDB backups');
@@ -289,6 +358,27 @@ export async function generateDownloadUrl(fileName: string, expiresInMinutes = 6
   return response.json();
 }
 
+// Download a backup file through the API, decrypted
+export async function downloadBackup(fileName: string): Promise<Blob> {
+  const response = await fetch(
+    `${API_URL}/backup/files/${encodeURIComponent(fileName)}/content`,
+    { headers: getHeaders() }
+  );
+  if (!response.ok) throw new Error('Failed to download backup file');
+  return response.blob();
+}
+
+// Set the labels and note of a backup file
+export async function updateBackupLabels(fileName: string, update: BackupLabelsUpdate): Promise<ApiResponse<{ fileName: string; labels: string[]; note: string | null }>> {
+  const response = await fetch(`${API_URL}/backup/files/${encodeURIComponent(fileName)}`, {
+    method: 'PATCH',
+    headers: getHeaders(),
+    body: JSON.stringify(update),
+  });
+  if (!response.ok) throw new Error('Failed to update backup labels');
+  return response.json();
+}
+
 // Delete a backup file from GCS
 export async function deleteBackupFile(fileName: string): Promise<ApiResponse> {
   const response = await fetch(
@@ -302,6 +392,25 @@ export async function deleteBackupFile(fileName: string): Promise<ApiResponse> {
   return response.json();
 }
 
+// List deleted backups that can still be restored
+export async function listTrash(engine?: string): Promise<ApiResponse<TrashEntry[]>> {
+  const response = await fetch(`${API_URL}/backup/trash${engine ? `?engine=${encodeURIComponent(engine)}` : ''}`, {
+    headers: getHeaders(),
+  });
+  if (!response.ok) throw new Error('Failed to list trash');
+  return response.json();
+}
+
+// Move a deleted backup back to its original name
+export async function restoreFromTrash(fileName: string): Promise<ApiResponse<{ fileName: string; restoredAt: string }>> {
+  const response = await fetch(`${API_URL}/backup/trash/${encodeURIComponent(fileName)}/restore`, {
+    method: 'POST',
+    headers: getHeaders(),
+  });
+  if (!response.ok) throw new Error('Failed to restore backup file');
+  return response.json();
+}
+
 // =============================================================================
 // TASK FUNCTIONS - Manage scheduled backup tasks
 // =============================================================================
@@ -418,7 +527,11 @@ export const api = {
     scheduleQuestDBBackup,
     scheduleQdrantDBBackup,
     generateDownloadUrl,
+    downloadBackup,
+    updateBackupLabels,
     deleteBackupFile,
+    listTrash,
+    restoreFromTrash,
   },
   task: {
     listTasks,